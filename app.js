@@ -0,0 +1,407 @@
+import express from 'express';
+import cors from 'cors';
+import multer from 'multer';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  MAX_REFERENCE_IMAGES,
+  MAX_UPLOAD_BYTES,
+  composeImages,
+  generateImage,
+  getHealth,
+  imageFromUpload,
+  isImageMimeType,
+  manipulateImage
+} from './lib/core.js';
+import { allowedOrigin, authFromEnv, describeSession, issueKey, listKeys, login, revokeKey } from './lib/auth.js';
+import { HttpError, codedError, toErrorResponse } from './lib/errors.js';
+import { createJsonHistoryStore, deleteHistoryEntry, getHistoryEntry, listHistory } from './lib/history.js';
+import { cancelJob, defaultJobQueue, getJob, submitJob } from './lib/jobs.js';
+import { getModelRegistry, listModels } from './lib/models.js';
+import { getModeration } from './lib/moderation.js';
+import { RATE_LIMIT_HEADERS, checkLimits, createLimiter, getUsage, limitStoreFromEnv, requestCost } from './lib/ratelimit.js';
+import { continueSession, deleteSession, getSession, startSession } from './lib/sessions.js';
+import { createDiskSink, s3SinkFromEnv } from './lib/sinks.js';
+import { streamOperation, wantsEventStream } from './lib/sse.js';
+import { createJsonStatsStore, getStats } from './lib/stats.js';
+import {
+  createJsonTemplateStore,
+  createTemplate,
+  deleteTemplate,
+  getTemplate,
+  listTemplates,
+  renderTemplate,
+  updateTemplate
+} from './lib/templates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where the Express server writes generated images (served under /generated)
+export const GENERATED_DIR = path.join(__dirname, 'public', 'generated');
+
+// Where history is kept unless HISTORY_FILE names another file
+export function defaultHistoryFile() {
+  return process.env.HISTORY_FILE || path.join(__dirname, 'data', 'history.json');
+}
+
+// Configure multer for file uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (isImageMimeType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// The image to edit and an optional mask of the area to change (see lib/masks.js)
+const imageAndMask = upload.fields([{ name: 'image', maxCount: 1 }, { name: 'mask', maxCount: 1 }]);
+
+// Any of the uploads accepted by the manipulate and compose endpoints
+const jobUploads = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'mask', maxCount: 1 },
+  { name: 'images', maxCount: MAX_REFERENCE_IMAGES }
+]);
+
+// Helper function to send a core error as JSON
+function sendError(res, error, fallbackMessage) {
+  const { status, body, headers } = toErrorResponse(error, fallbackMessage);
+  res.status(status).set(headers || {}).json(body);
+}
+
+// Run a core operation and answer with JSON, or stream each result as a
+// Server-Sent Event when the client sends `Accept: text/event-stream`
+async function respond(req, res, operation, fallbackMessage) {
+  if (!wantsEventStream(req.get('accept'))) {
+    try {
+      res.json(await operation());
+    } catch (error) {
+      console.error(`${fallbackMessage}:`, error);
+      sendError(res, error, fallbackMessage);
+    }
+    return;
+  }
+
+  const { error } = await streamOperation(operation, chunk => {
+    if (!res.headersSent) {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+      });
+      res.flushHeaders();
+    }
+    res.write(chunk);
+  }, fallbackMessage);
+
+  if (error) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+
+  if (res.headersSent) {
+    res.end();
+  } else {
+    sendError(res, error, fallbackMessage);
+  }
+}
+
+// Build the Express app. By default generated images are written to
+// public/generated (or to object storage when S3_BUCKET is set), history is
+// kept in data/history.json (or HISTORY_FILE), token usage in data/stats.json
+// (or STATS_FILE), prompt templates in data/templates.json (or
+// TEMPLATES_FILE), the model provider is selected by AI_PROVIDER, the model
+// registry is the built-in one (or MODELS_FILE), prompts are moderated by
+// the rules from the environment (see lib/moderation.js), edit sessions and
+// jobs are kept in memory, API keys are kept in data/keys.json (or
+// AUTH_KEYS_FILE), with authentication on (and generated images served only
+// on signed links) when ADMIN_API_KEY is set, and rate limits and quotas are
+// counted in the store RATE_LIMIT_STORE names (in memory by default);
+// tests pass their own sink, history, stats store, template store, provider,
+// model registry, moderation, session store, job queue, auth and limiter.
+export function createApp({
+  auth = authFromEnv(process.env.AUTH_KEYS_FILE || path.join(__dirname, 'data', 'keys.json')),
+  sink = s3SinkFromEnv() || createDiskSink(GENERATED_DIR, '/generated', { signUrl: auth.signUrl }),
+  history = createJsonHistoryStore(defaultHistoryFile()),
+  stats = createJsonStatsStore(process.env.STATS_FILE || path.join(__dirname, 'data', 'stats.json')),
+  templates = createJsonTemplateStore(process.env.TEMPLATES_FILE || path.join(__dirname, 'data', 'templates.json')),
+  provider,
+  models = getModelRegistry(),
+  moderation = getModeration(),
+  sessionStore,
+  jobs = defaultJobQueue,
+  limiter = createLimiter({ store: limitStoreFromEnv() })
+} = {}) {
+  const app = express();
+
+  // Behind a reverse proxy, TRUST_PROXY (a hop count, `true` or addresses, as
+  // for Express's "trust proxy") makes req.ip, which anonymous clients are
+  // rate limited by, the address from X-Forwarded-For
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+  }
+
+  // Charge a model request to its client's rate limit and quotas (see
+  // lib/ratelimit.js). Runs after the upload parser, so form fields count too.
+  const rateLimited = async (req, res, next) => {
+    try {
+      res.set(await checkLimits(requestCost(req.body), { limiter, user: req.user, ip: req.ip }));
+      next();
+    } catch (error) {
+      sendError(res, error, 'Failed to check rate limits');
+    }
+  };
+
+  // Middleware
+  app.use(cors({
+    origin: (origin, callback) => callback(null, allowedOrigin(origin, { enabled: auth.enabled }) ?? false),
+    exposedHeaders: RATE_LIMIT_HEADERS
+  }));
+  app.use(express.json());
+
+  // While authentication is on, generated images are only served on the
+  // signed links handed to the users who may see them (see lib/auth.js)
+  app.use('/generated', (req, res, next) => {
+    if (auth.verifyUrl(req.baseUrl + req.path, req.query)) {
+      next();
+    } else {
+      sendError(res, codedError('FORBIDDEN', 'Image link is invalid or has expired', 'Open the image from your results or history for a fresh link.'), 'Failed to load image');
+    }
+  });
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // API Routes
+
+  // Health check endpoint
+  app.get('/api/health', (req, res) => {
+    res.json(getHealth({}, provider, models));
+  });
+
+  // Exchange an API key for a session cookie (the UI's sign-in)
+  app.post('/api/auth/login', async (req, res) => {
+    try {
+      const { body, cookie } = await login(req.body, { auth, secure: req.secure });
+      res.set('Set-Cookie', cookie).json(body);
+    } catch (error) {
+      console.error('Failed to sign in:', error);
+      sendError(res, error, 'Failed to sign in');
+    }
+  });
+
+  app.post('/api/auth/logout', (req, res) => {
+    res.set('Set-Cookie', auth.clearCookie()).json({ success: true });
+  });
+
+  // Whether signing in is needed, and as whom the browser is signed in
+  app.get('/api/auth/me', async (req, res) => {
+    const user = await auth.currentUser(name => req.get(name));
+    res.json(describeSession({ auth, user }));
+  });
+
+  // Every other API route needs an API key or a session (see lib/auth.js)
+  app.use('/api', async (req, res, next) => {
+    try {
+      req.user = await auth.authenticate(name => req.get(name));
+      next();
+    } catch (error) {
+      sendError(res, error, 'Authentication failed');
+    }
+  });
+
+  // Issue, list and revoke API keys (admins only)
+  app.get('/api/admin/keys', (req, res) => {
+    return respond(req, res, () => listKeys({ auth, user: req.user }), 'Failed to load API keys');
+  });
+
+  app.post('/api/admin/keys', (req, res) => {
+    return respond(req, res, () => issueKey(req.body, { auth, user: req.user }), 'Failed to issue API key');
+  });
+
+  app.delete('/api/admin/keys/:id', (req, res) => {
+    return respond(req, res, () => revokeKey(req.params.id, { auth, user: req.user }), 'Failed to revoke API key');
+  });
+
+  // What the client has left of its rate limit and quotas
+  app.get('/api/usage', (req, res) => {
+    return respond(req, res, () => getUsage({ limiter, user: req.user, ip: req.ip }), 'Failed to load usage');
+  });
+
+  // Models the UI can offer, with what each can do and the default per mode
+  app.get('/api/models', (req, res) => {
+    return respond(req, res, () => listModels({ models, provider }), 'Failed to load models');
+  });
+
+  // Generate image from text prompt
+  app.post('/api/generate-image', rateLimited, (req, res) => {
+    const { prompt, count, variations, options, model } = req.body;
+    const operation = (onResult, onRetry) => generateImage(
+      { prompt, count, variations, options, model },
+      { sink, history, stats, provider, models, moderation, user: req.user, onResult, onRetry }
+    );
+    return respond(req, res, operation, 'Failed to generate image');
+  });
+
+  // Manipulate uploaded image with text prompt, optionally within a mask
+  app.post('/api/manipulate-image', imageAndMask, rateLimited, (req, res) => {
+    const image = imageFromUpload(req.files?.image?.[0]);
+    const mask = imageFromUpload(req.files?.mask?.[0]);
+    const { prompt, options, model } = req.body;
+    const operation = (onResult, onRetry) => manipulateImage(
+      { prompt, image, mask, options, model },
+      { sink, history, stats, provider, models, moderation, user: req.user, onResult, onRetry }
+    );
+    return respond(req, res, operation, 'Failed to manipulate image');
+  });
+
+  // Combine several labelled reference images with a text prompt
+  app.post('/api/compose-image', upload.array('images', MAX_REFERENCE_IMAGES), rateLimited, (req, res) => {
+    const images = (req.files || []).map(imageFromUpload);
+    const { prompt, labels, options, model } = req.body;
+    const operation = (onResult, onRetry) => composeImages(
+      { prompt, images, labels, options, model },
+      { sink, history, stats, provider, models, moderation, user: req.user, onResult, onRetry }
+    );
+    return respond(req, res, operation, 'Failed to compose images');
+  });
+
+  // Start a conversational editing session from an uploaded image
+  app.post('/api/sessions', imageAndMask, rateLimited, (req, res) => {
+    const image = imageFromUpload(req.files?.image?.[0]);
+    const mask = imageFromUpload(req.files?.mask?.[0]);
+    const { prompt, options, model } = req.body;
+    const operation = (onResult, onRetry) => startSession(
+      { prompt, image, mask, options, model },
+      { sink, history, stats, provider, models, moderation, store: sessionStore, user: req.user, onResult, onRetry }
+    );
+    return respond(req, res, operation, 'Failed to start editing session');
+  });
+
+  // Refine the latest result of a session with a follow-up prompt
+  app.post('/api/sessions/:id/messages', rateLimited, (req, res) => {
+    const { prompt, options, model } = req.body;
+    const operation = (onResult, onRetry) => continueSession(
+      { sessionId: req.params.id, prompt, options, model },
+      { sink, history, stats, provider, models, moderation, store: sessionStore, user: req.user, onResult, onRetry }
+    );
+    return respond(req, res, operation, 'Failed to continue editing session');
+  });
+
+  app.get('/api/sessions/:id', (req, res) => {
+    return respond(req, res, () => getSession(req.params.id, { store: sessionStore, user: req.user }), 'Failed to load session');
+  });
+
+  app.delete('/api/sessions/:id', (req, res) => {
+    return respond(req, res, () => deleteSession(req.params.id, { store: sessionStore, user: req.user }), 'Failed to delete session');
+  });
+
+  // Queue a generation and answer at once with the job to poll
+  app.post('/api/jobs', jobUploads, rateLimited, async (req, res) => {
+    const request = {
+      ...req.body,
+      image: imageFromUpload(req.files?.image?.[0]),
+      mask: imageFromUpload(req.files?.mask?.[0]),
+      images: (req.files?.images || []).map(imageFromUpload)
+    };
+    try {
+      const job = await submitJob(request, { sink, history, stats, provider, models, moderation, store: sessionStore, user: req.user, jobs });
+      res.status(202).location(`/api/jobs/${job.jobId}`).json(job);
+    } catch (error) {
+      console.error('Failed to queue job:', error);
+      sendError(res, error, 'Failed to queue job');
+    }
+  });
+
+  // Status of a job, with the results produced so far
+  app.get('/api/jobs/:id', (req, res) => {
+    return respond(req, res, () => getJob(req.params.id, { jobs, user: req.user }), 'Failed to load job');
+  });
+
+  // Cancel a queued or running job
+  app.delete('/api/jobs/:id', (req, res) => {
+    return respond(req, res, () => cancelJob(req.params.id, { jobs, user: req.user }), 'Failed to cancel job');
+  });
+
+  // Token usage and estimated spend per day, user, mode and model
+  app.get('/api/stats', (req, res) => {
+    return respond(req, res, () => getStats(req.query, { stats, models, user: req.user }), 'Failed to load usage statistics');
+  });
+
+  // Search past generations by prompt text, date range and mode
+  app.get('/api/history', (req, res) => {
+    return respond(req, res, () => listHistory(req.query, { history, sink, user: req.user }), 'Failed to load history');
+  });
+
+  app.get('/api/history/:id', (req, res) => {
+    return respond(req, res, () => getHistoryEntry(req.params.id, { history, sink, user: req.user }), 'Failed to load history entry');
+  });
+
+  // Delete a history entry together with its generated files
+  app.delete('/api/history/:id', (req, res) => {
+    return respond(req, res, () => deleteHistoryEntry(req.params.id, { history, sink, user: req.user }), 'Failed to delete history entry');
+  });
+
+  // Prompt templates with {{variables}}
+  app.get('/api/templates', (req, res) => {
+    return respond(req, res, () => listTemplates(req.query, { templates }), 'Failed to load templates');
+  });
+
+  app.post('/api/templates', (req, res) => {
+    return respond(req, res, () => createTemplate(req.body, { templates, user: req.user }), 'Failed to create template');
+  });
+
+  app.get('/api/templates/:id', (req, res) => {
+    return respond(req, res, () => getTemplate(req.params.id, { templates }), 'Failed to load template');
+  });
+
+  app.put('/api/templates/:id', (req, res) => {
+    return respond(req, res, () => updateTemplate(req.params.id, req.body, { templates, user: req.user }), 'Failed to update template');
+  });
+
+  app.delete('/api/templates/:id', (req, res) => {
+    return respond(req, res, () => deleteTemplate(req.params.id, { templates, user: req.user }), 'Failed to delete template');
+  });
+
+  // Expand a template's variables into the final prompt
+  app.post('/api/templates/:id/render', (req, res) => {
+    return respond(req, res, () => renderTemplate(req.params.id, req.body, { templates }), 'Failed to render template');
+  });
+
+  // Serve the main HTML page
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  });
+
+  // Error handling middleware: upload and body parsing errors get the same
+  // coded answers as the routes' own (see lib/errors.js)
+  app.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return sendError(res, codedError('INVALID_UPLOAD', 'File too large. Maximum size is 10MB.'));
+      }
+      if (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'images') {
+        return sendError(res, codedError('INVALID_UPLOAD', `Too many images. Maximum is ${MAX_REFERENCE_IMAGES}.`));
+      }
+    }
+
+    if (error.message === 'Only image files are allowed!') {
+      return sendError(res, codedError('INVALID_UPLOAD', 'Only image files are allowed!'));
+    }
+
+    // Malformed or oversized JSON bodies (express.json)
+    if (error.expose && error.status < 500) {
+      return sendError(res, new HttpError(error.status, error.message));
+    }
+
+    console.error('Unhandled error:', error);
+    sendError(res, codedError('INTERNAL_ERROR'));
+  });
+
+  return app;
+}
@@ -0,0 +1,304 @@
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { HttpError, codedError } from './errors.js';
+import { createJsonFileStore } from './jsonstore.js';
+
+// Authentication for the team server. Scripts send an issued API key as
+// `Authorization: Bearer <key>` or `X-API-Key: <key>`; the UI exchanges a key
+// for a signed session cookie at /api/auth/login. An authenticated request
+// carries a user `{ name, role, keyId }`, and what it generates is recorded
+// under that name (see history.js and jobs.js).
+//
+// Authentication is on when ADMIN_API_KEY is set. That key belongs to the
+// `admin` user, who issues and revokes keys for everyone else. Without it the
+// server stays open, as before, for local development.
+//
+// Key stores expose `get(id)`, `put(key)` (insert or replace) and `all()`,
+// like the template stores. Only a SHA-256 hash of each key is stored, so a
+// key is shown once, when it is issued. The session cookie is an HMAC-signed
+// token rather than a server-side session, so it works across Netlify
+// function instances too. Links to generated files are signed the same way
+// (see signUrl), since an <img> cannot send an API key.
+
+export const ROLES = ['user', 'admin'];
+
+const MAX_USER_LENGTH = 100;
+const KEY_PREFIX = 'gai_';
+const SESSION_COOKIE = 'session';
+const SESSION_TTL_MS = (Number(process.env.AUTH_SESSION_HOURS) || 12) * 60 * 60 * 1000;
+
+export function createMemoryKeyStore(initial = []) {
+  const keys = new Map(initial.map(key => [key.id, { ...key }]));
+
+  return {
+    async get(id) {
+      return keys.get(id) || null;
+    },
+    async put(key) {
+      keys.set(key.id, key);
+    },
+    async all() {
+      return [...keys.values()];
+    }
+  };
+}
+
+// Keeps keys in a JSON file, like the template store. The Express server
+// writes it; Netlify reads a copy deployed with the functions (AUTH_KEYS_FILE).
+export function createJsonKeyStore(filePath) {
+  const { load, save } = createJsonFileStore(filePath, 'keys', () => [], { mode: 0o600 });
+
+  return {
+    async get(id) {
+      const keys = await load();
+      return keys.find(key => key.id === id) || null;
+    },
+    async put(key) {
+      const keys = await load();
+      const index = keys.findIndex(existing => existing.id === key.id);
+      if (index === -1) {
+        keys.push(key);
+      } else {
+        keys[index] = key;
+      }
+      await save(keys);
+    },
+    async all() {
+      return [...(await load())];
+    }
+  };
+}
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function sameHash(a, b) {
+  return a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(pair => pair.trim())
+    .filter(pair => pair.includes('='))
+    .map(pair => [pair.slice(0, pair.indexOf('=')), decodeURIComponent(pair.slice(pair.indexOf('=') + 1))]));
+}
+
+// `adminKey` turns authentication on; `secret` signs session cookies and
+// defaults to the admin key, so every instance of a deployment agrees on it
+export function createAuth({
+  keys = createMemoryKeyStore(),
+  adminKey = null,
+  secret = adminKey,
+  sessionTtlMs = SESSION_TTL_MS,
+  now = Date.now
+} = {}) {
+  function sign(payload) {
+    return createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  async function userForKey(apiKey) {
+    const hash = hashKey(apiKey);
+    if (sameHash(hash, hashKey(adminKey))) {
+      return { name: 'admin', role: 'admin', keyId: 'admin' };
+    }
+
+    const key = (await keys.all()).find(candidate => sameHash(candidate.hash, hash));
+    if (!key || key.revokedAt) {
+      throw codedError('INVALID_API_KEY', 'Invalid API key', 'The key is unknown or has been revoked.');
+    }
+    return { name: key.user, role: key.role, keyId: key.id };
+  }
+
+  // A valid, unexpired session whose key has not been revoked since
+  async function userForSession(token) {
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !sameHash(signature, sign(payload))) {
+      return null;
+    }
+
+    const { name, role, keyId, expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (expiresAt < now()) {
+      return null;
+    }
+    if (keyId !== 'admin') {
+      const key = await keys.get(keyId);
+      if (!key || key.revokedAt) {
+        return null;
+      }
+    }
+    return { name, role, keyId };
+  }
+
+  // `getHeader(name)` reads a request header, whatever the transport
+  async function identify(getHeader) {
+    const bearer = getHeader('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+    const apiKey = bearer || getHeader('x-api-key');
+    if (apiKey) {
+      return userForKey(apiKey.trim());
+    }
+
+    const token = parseCookies(getHeader('cookie'))[SESSION_COOKIE];
+    return token ? userForSession(token) : null;
+  }
+
+  return {
+    enabled: Boolean(adminKey),
+    keys,
+    userForKey,
+    // The request's user, or null when authentication is off
+    async authenticate(getHeader) {
+      if (!adminKey) {
+        return null;
+      }
+      const user = await identify(getHeader);
+      if (!user) {
+        throw new HttpError(401, 'Authentication required', 'Send an API key in the Authorization header, or sign in.');
+      }
+      return user;
+    },
+    // Like authenticate, but anonymous requests get null instead of a 401
+    async currentUser(getHeader) {
+      return adminKey ? identify(getHeader).catch(() => null) : null;
+    },
+    sessionCookie(user, { secure = false } = {}) {
+      const payload = Buffer.from(JSON.stringify({ ...user, expiresAt: now() + sessionTtlMs })).toString('base64url');
+      return `${SESSION_COOKIE}=${payload}.${sign(payload)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(sessionTtlMs / 1000)}${secure ? '; Secure' : ''}`;
+    },
+    clearCookie() {
+      return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+    },
+    // A link to `url` (a path such as /generated/x.png) that works for as long
+    // as a session does. Only whoever was handed the link can open the file.
+    signUrl(url) {
+      if (!adminKey) {
+        return url;
+      }
+      const expires = Math.floor((now() + sessionTtlMs) / 1000);
+      return `${url}?expires=${expires}&signature=${sign(`${url}:${expires}`)}`;
+    },
+    // Whether `query` holds a valid, unexpired signature for `url`
+    verifyUrl(url, { expires, signature } = {}) {
+      if (!adminKey) {
+        return true;
+      }
+      return typeof expires === 'string' && typeof signature === 'string'
+        && Number(expires) * 1000 >= now()
+        && sameHash(signature, sign(`${url}:${expires}`));
+    }
+  };
+}
+
+// Auth configured from ADMIN_API_KEY and AUTH_SECRET, with keys in
+// `keysFile` (in memory when there is none)
+export function authFromEnv(keysFile = process.env.AUTH_KEYS_FILE) {
+  return createAuth({
+    keys: keysFile ? createJsonKeyStore(keysFile) : createMemoryKeyStore(),
+    adminKey: process.env.ADMIN_API_KEY || null,
+    secret: process.env.AUTH_SECRET || process.env.ADMIN_API_KEY || null
+  });
+}
+
+let defaultAuth;
+
+// The deployment's auth, created on first use (see authFromEnv)
+export function getAuth() {
+  defaultAuth ??= authFromEnv();
+  return defaultAuth;
+}
+
+// The origin to allow in Access-Control-Allow-Origin for a request from
+// `origin`, or null to allow none. CORS_ORIGINS lists the allowed origins;
+// without it, an open server allows any origin and a protected one only its
+// own pages.
+export function allowedOrigin(origin, { enabled, origins = process.env.CORS_ORIGINS } = {}) {
+  const allowed = (origins || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (allowed.length > 0) {
+    return origin && allowed.includes(origin) ? origin : null;
+  }
+  return enabled ? null : '*';
+}
+
+// Keys as listed to admins, without their hash
+function describeKey({ hash, ...key }) {
+  return key;
+}
+
+export function requireAdmin({ auth, user }) {
+  if (!auth.enabled) {
+    throw new HttpError(403, 'Authentication is not enabled', 'Set ADMIN_API_KEY to issue and revoke API keys.');
+  }
+  if (user?.role !== 'admin') {
+    throw new HttpError(403, 'Admin access required');
+  }
+}
+
+// Check an API key and start a UI session. Resolves to the user and the
+// Set-Cookie header value the transport sends with it.
+export async function login({ apiKey } = {}, { auth, secure }) {
+  if (!auth.enabled) {
+    throw new HttpError(400, 'Authentication is not enabled', 'This server does not require signing in.');
+  }
+  if (typeof apiKey !== 'string' || !apiKey.trim()) {
+    throw new HttpError(400, 'API key is required');
+  }
+
+  const user = await auth.userForKey(apiKey.trim());
+  console.log(`User ${user.name} signed in`);
+  return { body: { success: true, user: user.name, role: user.role }, cookie: auth.sessionCookie(user, { secure }) };
+}
+
+// Whether sign-in is needed and who is signed in, for the UI
+export function describeSession({ auth, user }) {
+  return {
+    enabled: auth.enabled,
+    authenticated: Boolean(user),
+    ...(user && { user: user.name, role: user.role })
+  };
+}
+
+export async function listKeys({ auth, user }) {
+  requireAdmin({ auth, user });
+  const keys = await auth.keys.all();
+  return { keys: keys.map(describeKey).sort((a, b) => a.createdAt.localeCompare(b.createdAt)) };
+}
+
+// Issue a key for `user`. The key itself is only in this response.
+export async function issueKey({ user: name, role = 'user' } = {}, { auth, user }) {
+  requireAdmin({ auth, user });
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_USER_LENGTH) {
+    throw new HttpError(400, `user must be a name of 1 to ${MAX_USER_LENGTH} characters`);
+  }
+  if (!ROLES.includes(role)) {
+    throw new HttpError(400, `role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const apiKey = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  const key = {
+    id: randomUUID(),
+    user: name.trim(),
+    role,
+    prefix: apiKey.slice(0, KEY_PREFIX.length + 4),
+    hash: hashKey(apiKey),
+    createdAt: new Date().toISOString(),
+    createdBy: user.name
+  };
+  await auth.keys.put(key);
+
+  console.log(`Issued ${role} key ${key.id} for ${key.user}`);
+  return { ...describeKey(key), key: apiKey };
+}
+
+export async function revokeKey(keyId, { auth, user }) {
+  requireAdmin({ auth, user });
+  const key = await auth.keys.get(keyId);
+  if (!key) {
+    throw new HttpError(404, 'API key not found');
+  }
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    await auth.keys.put(key);
+    console.log(`Revoked key ${key.id} of ${key.user}`);
+  }
+  return describeKey(key);
+}
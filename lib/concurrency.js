@@ -0,0 +1,21 @@
+// Run `fn(item, index)` over `items` with at most `limit` calls in flight.
+// Resolves to the settled outcome of each call, in input order.
+export async function mapSettled(items, limit, fn) {
+  const outcomes = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        outcomes[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        outcomes[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return outcomes;
+}
@@ -0,0 +1,498 @@
+import mime from 'mime';
+import { mapSettled } from './concurrency.js';
+import { HttpError, codedError, toErrorResponse } from './errors.js';
+import { describeSourceImage, recordHistory } from './history.js';
+import { normalizeImage } from './images.js';
+import { maskParts, maskedSink, prepareMask } from './masks.js';
+import { getModelRegistry, resolveModel } from './models.js';
+import { moderatePrompt, safetyBlock } from './moderation.js';
+import { MAX_SEED, generationConfig, parseGenerationOptions, withAspectRatio } from './options.js';
+import { getProvider } from './providers/index.js';
+import { retryPolicyFromEnv, withRetry } from './retry.js';
+import { recordCall, tokenUsage } from './stats.js';
+
+// Transport-agnostic image generation core shared by server.js and the
+// Netlify functions. Callers pass an image sink (see sinks.js) that decides
+// where generated images are stored, and may pass a model provider (see
+// providers/) to override the one selected by AI_PROVIDER, a model registry
+// (see models.js) and a history store (see history.js) to record each
+// successful request and a stats store (see stats.js) to account for the
+// tokens of every model call. Prompts pass through content moderation (see
+// moderation.js) before they reach the model.
+
+export const MAX_VARIATIONS = 8;
+export const MAX_REFERENCE_IMAGES = 5;
+
+// Upload rules shared by multer (Express) and lib/multipart.js (Netlify)
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// A first, cheap filter on the client's Content-Type. Generic binary is let
+// through because some browsers send HEIC that way; the bytes themselves are
+// checked by normalizeImage (see images.js).
+export function isImageMimeType(mimeType) {
+  return typeof mimeType === 'string' && (mimeType.startsWith('image/') || mimeType === 'application/octet-stream');
+}
+
+// Log lines of signed-in users' requests start with their name (see auth.js)
+export function userTag({ user } = {}) {
+  return user ? `[${user.name}] ` : '';
+}
+
+// How many variation requests run against the model at once
+const VARIATION_CONCURRENCY = Number(process.env.VARIATION_CONCURRENCY) || 3;
+
+// Helper function to process AI response and hand images to the sink.
+//
+// Walks every part of every candidate in stream order. Consecutive text
+// fragments from the same candidate are merged into one text result, so a
+// sentence split across chunks comes back whole. `onResult(result, index)` is
+// called as soon as a result is ready and again with the same index each time
+// a text result grows (streaming clients replace it in place). Reading stops
+// with the abort reason once `signal` is aborted. The token counts of the
+// last `usageMetadata` seen are returned as `usage`.
+export async function processAIResponse(response, sink, baseFileName = 'generated_image', onResult = () => {}, signal) {
+  const results = [];
+  const candidates = new Map();
+  const lastResults = new Map();
+  let promptFeedback;
+  let usageMetadata;
+  let fileIndex = 0;
+
+  for await (const chunk of response) {
+    signal?.throwIfAborted();
+    if (chunk.promptFeedback) {
+      promptFeedback = chunk.promptFeedback;
+    }
+    if (chunk.usageMetadata) {
+      usageMetadata = chunk.usageMetadata;
+    }
+
+    for (const [position, candidate] of (chunk.candidates || []).entries()) {
+      const candidateIndex = candidate.index ?? position;
+      const summary = candidates.get(candidateIndex) || { index: candidateIndex };
+      if (candidate.finishReason) {
+        summary.finishReason = candidate.finishReason;
+      }
+      if (candidate.safetyRatings?.length) {
+        summary.safetyRatings = candidate.safetyRatings;
+      }
+      candidates.set(candidateIndex, summary);
+
+      for (const part of candidate.content?.parts || []) {
+        const lastResult = lastResults.get(candidateIndex);
+
+        if (part.inlineData) {
+          const mimeType = part.inlineData.mimeType || 'image/png';
+          const fileName = `${baseFileName}_${Date.now()}_${fileIndex++}.${mime.getExtension(mimeType)}`;
+          const buffer = Buffer.from(part.inlineData.data || '', 'base64');
+
+          const url = await sink.save({ fileName, buffer, mimeType });
+          const result = {
+            type: 'image',
+            candidate: candidateIndex,
+            url,
+            mimeType,
+            filename: fileName
+          };
+          results.push(result);
+          lastResults.set(candidateIndex, result);
+          onResult(result, results.length - 1);
+        } else if (part.text && !part.thought) {
+          if (lastResult?.type === 'text') {
+            lastResult.content += part.text;
+            onResult(lastResult, results.indexOf(lastResult));
+          } else {
+            const result = {
+              type: 'text',
+              candidate: candidateIndex,
+              content: part.text
+            };
+            results.push(result);
+            lastResults.set(candidateIndex, result);
+            onResult(result, results.length - 1);
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    results,
+    candidates: [...candidates.values()].sort((a, b) => a.index - b.index),
+    ...(promptFeedback && { promptFeedback }),
+    ...(usageMetadata && { usage: tokenUsage(usageMetadata) })
+  };
+}
+
+// Send `contents` to the model and collect the results. `model` is the
+// registry model to run on (the provider's own when left out). Failed calls
+// are retried under the `retry` policy (see retry.js), reporting each retry
+// to `onRetry`, until the first result has been handed to `onResult`.
+// Aborting `signal` (see jobs.js) cancels the call. Each call, failed or
+// not, is recorded in the `stats` store under its `mode` and `user`. A call
+// the model refused on safety grounds fails with a 422 (see moderation.js).
+// Exported for features that build their own multi-turn contents (see
+// sessions.js).
+export async function runModel(
+  contents,
+  { sink, provider = getProvider(), model, mode, stats, user, onResult, onRetry, signal, retry = retryPolicyFromEnv() },
+  baseFileName,
+  extraConfig = {}
+) {
+  let started = false;
+  const startedAt = Date.now();
+
+  const output = await withRetry(async () => {
+    signal?.throwIfAborted();
+    const response = await provider.generateContentStream({
+      model,
+      config: {
+        responseModalities: ['IMAGE', 'TEXT'],
+        ...extraConfig,
+      },
+      contents,
+      signal,
+    });
+
+    return processAIResponse(response, sink, baseFileName, (result, index) => {
+      started = true;
+      onResult?.(result, index);
+    }, signal);
+  }, {
+    policy: retry,
+    // Results already sent to the client can't be taken back
+    shouldRetry: () => !started,
+    onRetry,
+    signal
+  }).catch(async error => {
+    await recordCall({ stats, provider, user }, { mode, model, startedAt, failed: true });
+    throw error;
+  });
+  const block = safetyBlock(output);
+  await recordCall({ stats, provider, user }, { mode, model, startedAt, usage: output.usage, failed: Boolean(block) });
+
+  if (block) {
+    throw block;
+  }
+  if (output.results.length === 0) {
+    throw codedError('NO_CONTENT', 'No content generated');
+  }
+
+  return output;
+}
+
+function textContents(text) {
+  return [
+    {
+      role: 'user',
+      parts: [
+        {
+          text,
+        },
+      ],
+    },
+  ];
+}
+
+// Turn `count` and optional per-variation hints into a list of
+// `{ index, seed, style }`, or null for a plain single generation
+function planVariations(count, variations) {
+  if (count === undefined && variations === undefined) {
+    return null;
+  }
+
+  if (variations !== undefined && !Array.isArray(variations)) {
+    throw new HttpError(400, 'variations must be an array');
+  }
+
+  const total = count === undefined ? variations.length : Number(count);
+  if (!Number.isInteger(total) || total < 1 || total > MAX_VARIATIONS) {
+    throw new HttpError(400, `count must be an integer between 1 and ${MAX_VARIATIONS}`);
+  }
+
+  if (variations && variations.length > total) {
+    throw new HttpError(400, 'variations cannot have more entries than count');
+  }
+
+  if (total === 1 && !variations?.length) {
+    return null;
+  }
+
+  return Array.from({ length: total }, (_, index) => {
+    const { seed, style } = variations?.[index] || {};
+    // Same bounds as options.seed (see options.js)
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)) {
+      throw new HttpError(400, `variations[${index}].seed must be an integer between 0 and ${MAX_SEED}`);
+    }
+    if (style !== undefined && typeof style !== 'string') {
+      throw new HttpError(400, `variations[${index}].style must be a string`);
+    }
+    return { index, seed, style };
+  });
+}
+
+// Fan one prompt out into several parallel generations. Variations that fail
+// are reported individually; the call only fails if every variation does.
+// A variation's own seed wins over the request's `options.seed`.
+async function generateVariations(prompt, plan, generation, options) {
+  const { onResult, onRetry } = options;
+  const config = generationConfig(generation);
+
+  const outcomes = await mapSettled(plan, VARIATION_CONCURRENCY, ({ index, seed, style }) => {
+    const text = style ? `${prompt}\n\nStyle: ${style}` : prompt;
+    const variationOptions = {
+      ...options,
+      onResult: onResult && ((result, resultIndex) => onResult({ ...result, variation: index }, resultIndex)),
+      onRetry: onRetry && (retry => onRetry({ ...retry, variation: index })),
+    };
+    return runModel(
+      textContents(withAspectRatio(text, generation)),
+      variationOptions,
+      `text_to_image_v${index}`,
+      seed === undefined ? config : { ...config, seed }
+    );
+  });
+
+  if (outcomes.every(outcome => outcome.status === 'rejected')) {
+    throw outcomes[0].reason;
+  }
+
+  const variations = outcomes.map((outcome, index) => {
+    const { seed, style } = plan[index];
+    if (outcome.status === 'fulfilled') {
+      return { index, seed, style, ...outcome.value };
+    }
+    console.error(`Variation ${index} failed:`, outcome.reason);
+    const { status, body } = toErrorResponse(outcome.reason, 'Failed to generate image');
+    return { index, seed, style, results: [], error: { status, ...body } };
+  });
+
+  return {
+    success: true,
+    prompt,
+    model: options.model,
+    options: generation,
+    count: plan.length,
+    variations
+  };
+}
+
+// Check a request's prompt. JSON bodies can send any type, and only
+// strings can be moderated, searched and sent to the model.
+export function requirePrompt(prompt) {
+  if (!prompt) {
+    throw new HttpError(400, 'Prompt is required');
+  }
+  if (typeof prompt !== 'string') {
+    throw new HttpError(400, 'Prompt must be a string');
+  }
+}
+
+// Generate image from text prompt, optionally as several variations.
+// `generationOptions` is the request's `options` (see options.js) and
+// `model` its choice from the model registry (see models.js).
+export async function generateImage({ prompt, count, variations, options: generationOptions, model }, options = {}) {
+  requirePrompt(prompt);
+
+  const generation = parseGenerationOptions(generationOptions);
+  const runOptions = { ...options, mode: 'generate', model: resolveModel('generate', model, options) };
+  const plan = planVariations(count, variations);
+  await moderatePrompt(prompt, options, plan?.map(variation => variation.style));
+  const startedAt = Date.now();
+
+  let data;
+  if (plan) {
+    console.log(`${userTag(options)}Generating ${plan.length} variations with ${runOptions.model} for prompt:`, prompt);
+    data = await generateVariations(prompt, plan, generation, runOptions);
+  } else {
+    console.log(`${userTag(options)}Generating image with ${runOptions.model} for prompt:`, prompt);
+    const output = await runModel(
+      textContents(withAspectRatio(prompt, generation)),
+      runOptions,
+      'text_to_image',
+      generationConfig(generation)
+    );
+    data = {
+      success: true,
+      prompt,
+      model: runOptions.model,
+      options: generation,
+      ...output
+    };
+  }
+
+  await recordHistory(options, { mode: 'generate', prompt, startedAt, data, model: runOptions.model, options: generation });
+  return data;
+}
+
+// Manipulate an uploaded image ({ buffer, mimeType, name }) with a text
+// prompt. An optional mask (same shape) confines the edit to its painted
+// area; see masks.js.
+export async function manipulateImage({ prompt, image, mask, options: generationOptions, model }, options) {
+  requirePrompt(prompt);
+
+  if (!image) {
+    throw new HttpError(400, 'Image file is required');
+  }
+  await moderatePrompt(prompt, options);
+
+  const generation = parseGenerationOptions(generationOptions);
+  const runOptions = { ...options, mode: 'manipulate', model: resolveModel('manipulate', model, options) };
+  const normalized = await normalizeImage(image);
+  const preparedMask = mask && await prepareMask(mask, normalized);
+
+  console.log(`${userTag(options)}Manipulating image${mask ? ' (masked)' : ''} with ${runOptions.model} and prompt:`, prompt);
+
+  const contents = [
+    {
+      role: 'user',
+      parts: [
+        {
+          text: withAspectRatio(`Based on the uploaded image, ${prompt}`, generation),
+        },
+        {
+          inlineData: {
+            mimeType: normalized.mimeType,
+            data: normalized.buffer.toString('base64')
+          }
+        },
+        ...(preparedMask ? maskParts(preparedMask) : [])
+      ],
+    },
+  ];
+
+  const startedAt = Date.now();
+  const output = await runModel(
+    contents,
+    preparedMask ? { ...runOptions, sink: maskedSink(options.sink, normalized, preparedMask) } : runOptions,
+    'image_manipulation',
+    generationConfig(generation)
+  );
+
+  const data = {
+    success: true,
+    prompt,
+    model: runOptions.model,
+    options: generation,
+    originalImage: {
+      name: image.name,
+      size: image.buffer.length,
+      mimeType: normalized.original.mimeType
+    },
+    ...(preparedMask && {
+      mask: {
+        name: mask.name,
+        size: mask.buffer.length,
+        mimeType: preparedMask.original.mimeType
+      }
+    }),
+    ...output
+  };
+
+  await recordHistory(options, {
+    mode: 'manipulate',
+    prompt,
+    sourceImages: [describeSourceImage(image), ...(mask ? [{ label: 'mask', ...describeSourceImage(mask) }] : [])],
+    startedAt,
+    data,
+    model: runOptions.model,
+    options: generation
+  });
+  return data;
+}
+
+// Combine several labelled reference images ({ buffer, mimeType, name }) into
+// one result. `labels` (a string or array, matched to images by position)
+// names each image's role, e.g. "product" and "scene".
+export async function composeImages({ prompt, images = [], labels = [], options: generationOptions, model }, options) {
+  requirePrompt(prompt);
+
+  if (images.length < 2) {
+    throw new HttpError(400, 'At least two reference images are required');
+  }
+
+  if (images.length > MAX_REFERENCE_IMAGES) {
+    throw new HttpError(400, `Too many images. Maximum is ${MAX_REFERENCE_IMAGES}.`);
+  }
+
+  const labelList = [].concat(labels);
+  const badLabel = labelList.findIndex(label => label !== null && label !== undefined && typeof label !== 'string');
+  if (badLabel !== -1) {
+    throw codedError('INVALID_REQUEST', 'Labels must be strings', `labels[${badLabel}] is a ${typeof labelList[badLabel]}.`);
+  }
+  await moderatePrompt(prompt, options, labelList);
+  const generation = parseGenerationOptions(generationOptions);
+  const runOptions = { ...options, mode: 'compose', model: resolveModel('compose', model, options) };
+  const normalizedImages = await Promise.all(images.map(image => normalizeImage(image)));
+  const references = images.map((image, index) => ({
+    ...image,
+    normalized: normalizedImages[index],
+    label: labelList[index]?.trim() || `Image ${index + 1}`
+  }));
+
+  console.log(`${userTag(options)}Composing ${references.length} images with ${runOptions.model} and prompt:`, prompt);
+
+  const parts = [{ text: `You are given ${references.length} reference images, each introduced by its role.` }];
+  references.forEach((reference, index) => {
+    parts.push(
+      { text: `Image ${index + 1} (${reference.label}):` },
+      {
+        inlineData: {
+          mimeType: reference.normalized.mimeType,
+          data: reference.normalized.buffer.toString('base64')
+        }
+      }
+    );
+  });
+  parts.push({ text: withAspectRatio(`Using these images, ${prompt}`, generation) });
+
+  const startedAt = Date.now();
+  const output = await runModel([{ role: 'user', parts }], runOptions, 'image_composition', generationConfig(generation));
+
+  const data = {
+    success: true,
+    prompt,
+    model: runOptions.model,
+    options: generation,
+    referenceImages: references.map(reference => ({
+      label: reference.label,
+      name: reference.name,
+      size: reference.buffer.length,
+      mimeType: reference.normalized.original.mimeType
+    })),
+    ...output
+  };
+
+  await recordHistory(options, {
+    mode: 'compose',
+    prompt,
+    sourceImages: references.map(reference => ({ label: reference.label, ...describeSourceImage(reference) })),
+    startedAt,
+    data,
+    model: runOptions.model,
+    options: generation
+  });
+  return data;
+}
+
+// Convert a multer-style upload (Express, or lib/multipart.js on Netlify)
+// into the image shape the core expects
+export function imageFromUpload(file) {
+  return file && {
+    buffer: file.buffer,
+    mimeType: file.mimetype,
+    name: file.originalname
+  };
+}
+
+// Health check payload; transports may add their own fields. `model` is
+// the default model for text-to-image.
+export function getHealth(extra = {}, provider = getProvider(), models = getModelRegistry()) {
+  return {
+    status: 'OK',
+    message: 'Google AI Image Generation Server is running',
+    provider: provider.name,
+    model: models.defaultModel('generate', provider),
+    ...extra
+  };
+}
@@ -0,0 +1,135 @@
+// The errors the API answers with. Every error body carries a stable `code`
+// from this catalog, along with the HTTP status that goes with it, a message
+// fit to show users when the error has no more specific one, and whether
+// the same request may succeed if retried later. Clients branch on `code`;
+// messages and `details` are for people and may change.
+export const ERROR_CATALOG = {
+  INVALID_REQUEST: { status: 400, message: 'Invalid request', retryable: false },
+  INVALID_OPTIONS: { status: 400, message: 'Invalid generation options', retryable: false },
+  INVALID_MODEL: { status: 400, message: 'Model not available', retryable: false },
+  INVALID_UPLOAD: { status: 400, message: 'Invalid upload', retryable: false },
+  INVALID_MASK: { status: 400, message: 'Invalid mask', retryable: false },
+  PROMPT_TOO_LONG: { status: 400, message: 'Prompt is too long', retryable: false },
+  AUTH_REQUIRED: { status: 401, message: 'Authentication required', retryable: false },
+  INVALID_API_KEY: { status: 401, message: 'Invalid API key', retryable: false },
+  FORBIDDEN: { status: 403, message: 'Access denied', retryable: false },
+  NOT_FOUND: { status: 404, message: 'Not found', retryable: false },
+  SESSION_NOT_FOUND: { status: 404, message: 'Session not found', retryable: false },
+  METHOD_NOT_ALLOWED: { status: 405, message: 'Method not allowed', retryable: false },
+  CONFLICT: { status: 409, message: 'Conflict', retryable: false },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'Request is too large', retryable: false },
+  CONTENT_BLOCKED: { status: 422, message: 'Content blocked', retryable: false },
+  RATE_LIMITED: { status: 429, message: 'Rate limit exceeded', retryable: true },
+  QUOTA_EXCEEDED: { status: 429, message: 'Quota exceeded', retryable: true },
+  CANCELLED: { status: 499, message: 'Request cancelled', retryable: false },
+  INTERNAL_ERROR: { status: 500, message: 'Internal server error', retryable: false },
+  CONFIGURATION_ERROR: { status: 500, message: 'Server is not configured', retryable: false },
+  NO_CONTENT: { status: 500, message: 'No content generated', retryable: true },
+  NOT_IMPLEMENTED: { status: 501, message: 'Not available on this server', retryable: false },
+  QUEUE_FULL: { status: 503, message: 'Too many queued jobs', retryable: true },
+  // Errors from the model API itself
+  MODEL_INVALID_REQUEST: { status: 400, message: 'Invalid request', retryable: false },
+  MODEL_AUTH_FAILED: { status: 401, message: 'Invalid API key', retryable: false },
+  MODEL_RATE_LIMITED: { status: 429, message: 'API rate limit exceeded', retryable: true },
+  MODEL_ERROR: { status: 500, message: 'The model failed', retryable: true }
+};
+
+// The code of errors thrown with a status but no code
+const STATUS_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'AUTH_REQUIRED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'CONTENT_BLOCKED',
+  429: 'RATE_LIMITED',
+  499: 'CANCELLED',
+  501: 'NOT_IMPLEMENTED',
+  503: 'QUEUE_FULL'
+};
+
+// Error raised by the core for problems the client can fix (or needs to know about)
+export class HttpError extends Error {
+  constructor(status, message, details, code = STATUS_CODES[status] || 'INTERNAL_ERROR') {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+// An HttpError for a catalog code, with the code's status and, unless
+// given, its message
+export function codedError(code, message = ERROR_CATALOG[code].message, details) {
+  return new HttpError(ERROR_CATALOG[code].status, message, details, code);
+}
+
+function errorBody(code, message, extra = {}) {
+  const { retryable } = ERROR_CATALOG[code];
+  return { error: message || ERROR_CATALOG[code].message, code, retryable, ...extra };
+}
+
+// Map any error thrown by the core or the Gemini SDK to a status code and JSON
+// body `{ error, code, retryable, details? }`. Used by the Express error
+// handling and every Netlify handler, so both answer alike. An HttpError may
+// also carry `retryAfter` (seconds) and response `headers`, as the rate
+// limiter's do (see ratelimit.js), and a `moderation` verdict, as content
+// moderation's 422s do (see moderation.js).
+export function toErrorResponse(error, fallbackMessage = 'Internal server error') {
+  if (error instanceof HttpError) {
+    const body = errorBody(error.code, error.message);
+    if (error.details) {
+      body.details = error.details;
+    }
+    if (error.retryAfter) {
+      body.retryAfter = error.retryAfter;
+    }
+    if (error.moderation) {
+      body.moderation = error.moderation;
+    }
+    return { status: error.status, body, ...(error.headers && { headers: error.headers }) };
+  }
+
+  // `attempts` and `retryAfterMs` are set by the retry policy (see retry.js)
+  if (error.status === 429) {
+    const retryAfter = error.retryAfterMs ? Math.ceil(error.retryAfterMs / 1000) : null;
+    const tried = error.attempts > 1 ? ` after ${error.attempts} attempts` : '';
+    return {
+      status: 429,
+      body: errorBody('MODEL_RATE_LIMITED', null, {
+        details: `You have exceeded the API rate limit${tried}. Please wait ${retryAfter ? `${retryAfter} seconds` : 'a few minutes'} and try again.`,
+        suggestion: 'Consider upgrading your API plan for higher limits.',
+        ...(retryAfter && { retryAfter })
+      })
+    };
+  }
+
+  if (error.status === 401) {
+    return {
+      status: 401,
+      body: errorBody('MODEL_AUTH_FAILED', null, {
+        details: 'Please check the GEMINI_API_KEY environment variable.'
+      })
+    };
+  }
+
+  if (error.status === 400) {
+    return {
+      status: 400,
+      body: errorBody('MODEL_INVALID_REQUEST', null, {
+        details: error.message || 'The request was malformed or invalid.'
+      })
+    };
+  }
+
+  // Other errors with a status come from the model API (5xx after retries)
+  return {
+    status: 500,
+    body: errorBody(error.status ? 'MODEL_ERROR' : 'INTERNAL_ERROR', fallbackMessage, {
+      details: error.message
+    })
+  };
+}
@@ -0,0 +1,222 @@
+import { createHash, randomUUID } from 'crypto';
+import { HttpError } from './errors.js';
+import { createJsonFileStore } from './jsonstore.js';
+import { getProvider } from './providers/index.js';
+
+// Generation history. Every successful generate, manipulate, compose and
+// edit-session turn is recorded with its prompt, model, timing, a hash of
+// each source image and the output files, so the gallery can find them again.
+//
+// History stores expose `add(entry)`, `get(id)`, `delete(id)` and `all()`
+// (newest first). The core only records when a store is passed in the
+// options, the same way it takes a sink.
+
+export function createMemoryHistoryStore() {
+  const entries = [];
+
+  return {
+    async add(entry) {
+      entries.unshift(entry);
+    },
+    async get(id) {
+      return entries.find(entry => entry.id === id) || null;
+    },
+    async delete(id) {
+      const index = entries.findIndex(entry => entry.id === id);
+      return index === -1 ? null : entries.splice(index, 1)[0];
+    },
+    async all() {
+      return [...entries];
+    }
+  };
+}
+
+// Keeps history in a JSON file (Express; see jsonstore.js)
+export function createJsonHistoryStore(filePath) {
+  const { load, save } = createJsonFileStore(filePath, 'entries');
+
+  return {
+    async add(entry) {
+      const entries = await load();
+      entries.unshift(entry);
+      await save(entries);
+    },
+    async get(id) {
+      const entries = await load();
+      return entries.find(entry => entry.id === id) || null;
+    },
+    async delete(id) {
+      const entries = await load();
+      const index = entries.findIndex(entry => entry.id === id);
+      if (index === -1) {
+        return null;
+      }
+      const [removed] = entries.splice(index, 1);
+      await save(entries);
+      return removed;
+    },
+    async all() {
+      return [...(await load())];
+    }
+  };
+}
+
+// Describe an uploaded image ({ buffer, mimeType, name }) without keeping its bytes
+export function describeSourceImage(image) {
+  return {
+    name: image.name,
+    mimeType: image.mimeType,
+    size: image.buffer.length,
+    sha256: createHash('sha256').update(image.buffer).digest('hex')
+  };
+}
+
+// Image outputs of a response, including every batch variation. Inline data
+// URLs are not kept; the filename still identifies the image.
+function outputFiles(data) {
+  const groups = data.variations || [{ results: data.results }];
+  return groups.flatMap(group => (group.results || [])
+    .filter(result => result.type === 'image')
+    .map(result => ({
+      filename: result.filename,
+      mimeType: result.mimeType,
+      ...(!result.url.startsWith('data:') && { url: result.url }),
+      ...(group.index !== undefined && { variation: group.index })
+    })));
+}
+
+// Record a successful operation. `startedAt` is the Date.now() taken before
+// the model was called, and `user` the signed-in user (see auth.js), if any.
+// Recording failures are logged and never fail the request that produced
+// the images.
+export async function recordHistory({ history, provider, user }, { mode, prompt, sourceImages = [], startedAt, data, ...extra }) {
+  if (!history) {
+    return;
+  }
+  provider ??= getProvider();
+
+  const entry = {
+    id: randomUUID(),
+    mode,
+    prompt,
+    provider: provider.name,
+    model: provider.model,
+    sourceImages,
+    outputs: outputFiles(data),
+    createdAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    ...(user && { user: user.name }),
+    ...extra
+  };
+
+  try {
+    await history.add(entry);
+  } catch (error) {
+    console.error('Failed to record history:', error);
+  }
+}
+
+// Every file a history entry points at, which the retention sweeper keeps
+// (see retention.js) until the entry is deleted
+export async function historyFiles(history) {
+  const entries = await history.all();
+  return new Set(entries.flatMap(entry => entry.outputs.map(output => output.filename)));
+}
+
+// Signed object-storage URLs expire, so entries are handed out with fresh ones
+async function withFreshUrls(entry, sink) {
+  if (!sink?.url) {
+    return entry;
+  }
+  const outputs = await Promise.all(entry.outputs.map(async output => ({
+    ...output,
+    url: await sink.url(output.filename)
+  })));
+  return { ...entry, outputs };
+}
+
+function parseDate(value, name, endOfDay = false) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  // A bare YYYY-MM-DD `to` date includes the whole day
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be a valid date`);
+  }
+  return date;
+}
+
+function parseCount(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new HttpError(400, `${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+// While authentication is on, users only see their own entries; admins
+// see everyone's
+function visibleTo(entry, user) {
+  return !user || user.role === 'admin' || entry.user === user.name;
+}
+
+// List history newest first. `q` matches prompt text (case-insensitive),
+// `from`/`to` bound the creation date and `mode` picks one kind of request.
+export async function listHistory({ q, from, to, mode, limit, offset } = {}, { history, sink, user }) {
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to', true);
+  const pageSize = Math.min(parseCount(limit, 'limit', 50), 200);
+  const start = parseCount(offset, 'offset', 0);
+  if (q !== undefined && typeof q !== 'string') {
+    throw new HttpError(400, 'q must be a single search text');
+  }
+  const search = q?.trim().toLowerCase();
+
+  const matches = (await history.all()).filter(entry => {
+    const createdAt = new Date(entry.createdAt);
+    return visibleTo(entry, user)
+      && (!search || String(entry.prompt).toLowerCase().includes(search))
+      && (!mode || entry.mode === mode)
+      && (!fromDate || createdAt >= fromDate)
+      && (!toDate || createdAt <= toDate);
+  });
+
+  return {
+    total: matches.length,
+    entries: await Promise.all(matches.slice(start, start + pageSize).map(entry => withFreshUrls(entry, sink)))
+  };
+}
+
+export async function getHistoryEntry(id, { history, sink, user }) {
+  const entry = await history.get(id);
+  // Other users' entries are reported as missing rather than forbidden
+  if (!entry || !visibleTo(entry, user)) {
+    throw new HttpError(404, 'History entry not found');
+  }
+  return withFreshUrls(entry, sink);
+}
+
+// Delete an entry and, when the sink can remove files, its output images
+export async function deleteHistoryEntry(id, { history, sink, user }) {
+  const existing = await history.get(id);
+  if (!existing || !visibleTo(existing, user)) {
+    throw new HttpError(404, 'History entry not found');
+  }
+  const entry = await history.delete(id);
+  if (!entry) {
+    throw new HttpError(404, 'History entry not found');
+  }
+
+  if (sink?.remove) {
+    await Promise.all(entry.outputs.map(output => sink.remove(output.filename)));
+  }
+
+  return { success: true, id };
+}
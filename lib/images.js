@@ -0,0 +1,106 @@
+import sharp from 'sharp';
+import { codedError } from './errors.js';
+
+// Normalize uploaded images before they are sent to the model. The client's
+// Content-Type is not trusted: the format is sniffed from the bytes, then
+// the image is decoded, turned upright from its EXIF orientation, stripped of
+// metadata, scaled down to IMAGE_MAX_DIMENSION and re-encoded as PNG (when it
+// has transparency or was a PNG/GIF) or JPEG. HEIC, WebP, AVIF, TIFF and the
+// first frame of animated GIFs all end up in one of those two formats.
+
+export const IMAGE_MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION) || 2048;
+
+// Refuse to decode images larger than this, however small the file
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000;
+
+const SUPPORTED_FORMATS = 'PNG, JPEG, WebP, GIF, HEIC, AVIF or TIFF';
+
+// ISO base media file brands (the `ftyp` box) used by HEIC and AVIF
+const HEIC_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1']);
+const AVIF_BRANDS = new Set(['avif', 'avis']);
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+// Identify an image by its magic bytes. Returns its MIME type, or null.
+export function sniffImageType(buffer) {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38])) {
+    return 'image/gif';
+  }
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) {
+    return 'image/tiff';
+  }
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    // The major brand, then the compatible brands up to the end of the box
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [buffer.toString('latin1', 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      brands.push(buffer.toString('latin1', offset, offset + 4));
+    }
+    if (brands.some(brand => AVIF_BRANDS.has(brand))) {
+      return 'image/avif';
+    }
+    if (brands.some(brand => HEIC_BRANDS.has(brand))) {
+      return 'image/heic';
+    }
+  }
+  return null;
+}
+
+// libvips (as bundled with sharp) cannot decode HEVC-based HEIC, so those
+// are converted with libheif compiled to WebAssembly first
+async function decodeHeic(buffer) {
+  const { default: convert } = await import('heic-convert');
+  return Buffer.from(await convert({ buffer, format: 'PNG' }));
+}
+
+// Normalize an uploaded image ({ buffer, mimeType, name }). Resolves to the
+// same shape with the re-encoded bytes, plus `width`, `height` and what was
+// uploaded in `original`.
+export async function normalizeImage(image, { maxDimension = IMAGE_MAX_DIMENSION } = {}) {
+  const detectedType = sniffImageType(image.buffer);
+  if (!detectedType) {
+    throw codedError('INVALID_UPLOAD', 'Unsupported image format', `Upload a ${SUPPORTED_FORMATS} image.`);
+  }
+
+  let output;
+  try {
+    const input = detectedType === 'image/heic' ? await decodeHeic(image.buffer) : image.buffer;
+    const pipeline = sharp(input, { pages: 1, limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+
+    const { hasAlpha } = await pipeline.metadata();
+    const lossless = hasAlpha || detectedType === 'image/png' || detectedType === 'image/gif';
+    output = await (lossless ? pipeline.png() : pipeline.jpeg({ quality: 90, mozjpeg: true }))
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    if (/pixel limit/i.test(error.message)) {
+      throw codedError('INVALID_UPLOAD', 'Image is too large', `Images may have at most ${MAX_INPUT_PIXELS / 1e6} megapixels.`);
+    }
+    throw codedError('INVALID_UPLOAD', 'Could not read the uploaded image', `The file looks like ${detectedType} but could not be decoded.`);
+  }
+
+  const { data, info } = output;
+  return {
+    buffer: data,
+    mimeType: `image/${info.format}`,
+    name: image.name,
+    width: info.width,
+    height: info.height,
+    original: {
+      mimeType: detectedType,
+      size: image.buffer.length
+    }
+  };
+}
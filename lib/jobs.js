@@ -0,0 +1,434 @@
+import { randomUUID } from 'crypto';
+import { composeImages, generateImage, manipulateImage, userTag } from './core.js';
+import { HttpError, codedError, toErrorResponse } from './errors.js';
+import { createS3Client, s3OptionsFromEnv } from './s3.js';
+import { continueSession, startSession } from './sessions.js';
+
+// Asynchronous generation jobs. Instead of holding a connection open until
+// the model finishes, a client submits a job, polls its status (including
+// the results produced so far) and may cancel it, which aborts the model
+// call through an AbortController.
+//
+// The queue lives in memory and runs at most `concurrency` jobs at once;
+// the rest wait in submission order. Finished jobs are kept for `ttlMs` so
+// their results can still be fetched; expired ones are dropped whenever a
+// job is submitted or looked up.
+//
+// Hosts whose instances share no memory (Netlify) use a stored job queue
+// instead (see createStoredJobQueue): the job lives in a shared store and a
+// separate worker runs it.
+
+export const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+
+const JOB_TTL_MS = (Number(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+const MAX_QUEUED_JOBS = Number(process.env.JOB_MAX_QUEUED) || 50;
+
+const JOB_TYPES = {
+  generate: { run: generateImage, fallbackMessage: 'Failed to generate image' },
+  manipulate: { run: manipulateImage, fallbackMessage: 'Failed to manipulate image' },
+  compose: { run: composeImages, fallbackMessage: 'Failed to compose images' },
+  edit: { run: startSession, fallbackMessage: 'Failed to start editing session' },
+  'follow-up': { run: continueSession, fallbackMessage: 'Failed to continue editing session' },
+};
+
+const FINISHED_STATUSES = new Set(['succeeded', 'failed', 'cancelled']);
+
+// Results arrive as the model produces them; a text result is re-sent
+// with the same index (per variation) as it grows and replaces the last copy
+function recordResult(results, result, index) {
+  const position = results.findIndex(existing => existing.index === index && existing.variation === result.variation);
+  const copy = { index, ...result };
+  if (position === -1) {
+    results.push(copy);
+  } else {
+    results[position] = copy;
+  }
+}
+
+export function createJobQueue({ concurrency = JOB_CONCURRENCY, ttlMs = JOB_TTL_MS, maxQueued = MAX_QUEUED_JOBS } = {}) {
+  const jobs = new Map();
+  const queue = [];
+  let active = 0;
+
+  function evictExpired() {
+    const now = Date.now();
+    for (const [id, entry] of jobs) {
+      if (entry.finishedAt && now - entry.finishedAt > ttlMs) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  function finish(entry, status) {
+    entry.status = status;
+    entry.finishedAt = Date.now();
+    entry.retry = undefined;
+  }
+
+  async function run(entry) {
+    const { operation, fallbackMessage, controller } = entry;
+    // Drop the request (and its uploaded images) once it has started
+    entry.operation = null;
+    entry.status = 'running';
+    entry.startedAt = Date.now();
+    active++;
+
+    try {
+      const response = await operation({
+        signal: controller.signal,
+        onResult: (result, index) => recordResult(entry.results, result, index),
+        onRetry: retry => {
+          entry.retry = retry;
+        }
+      });
+      if (!controller.signal.aborted) {
+        entry.response = response;
+        finish(entry, 'succeeded');
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error(`Job ${entry.id} failed:`, error);
+        const { status, body } = toErrorResponse(error, fallbackMessage);
+        entry.error = { status, ...body };
+        finish(entry, 'failed');
+      }
+    } finally {
+      active--;
+      next();
+    }
+  }
+
+  function next() {
+    while (active < concurrency && queue.length > 0) {
+      run(queue.shift());
+    }
+  }
+
+  // What clients see: queued jobs report their place in line
+  function view(entry) {
+    const position = queue.indexOf(entry);
+    return {
+      jobId: entry.id,
+      type: entry.type,
+      ...(entry.user && { user: entry.user }),
+      status: entry.status,
+      ...(position !== -1 && { position: position + 1 }),
+      createdAt: new Date(entry.createdAt).toISOString(),
+      ...(entry.startedAt && { startedAt: new Date(entry.startedAt).toISOString() }),
+      ...(entry.finishedAt && { finishedAt: new Date(entry.finishedAt).toISOString() }),
+      ...(entry.retry && { retry: entry.retry }),
+      results: entry.results,
+      ...(entry.response && { response: entry.response }),
+      ...(entry.error && { error: entry.error })
+    };
+  }
+
+  return {
+    // `operation({ signal, onResult, onRetry })` runs when a slot is free
+    submit(type, operation, fallbackMessage, user) {
+      evictExpired();
+      if (queue.length >= maxQueued) {
+        throw new HttpError(503, 'Too many queued jobs', 'Wait for some of the queued jobs to finish and try again.');
+      }
+
+      const entry = {
+        id: randomUUID(),
+        type,
+        user,
+        status: 'queued',
+        createdAt: Date.now(),
+        results: [],
+        operation,
+        fallbackMessage,
+        controller: new AbortController()
+      };
+      jobs.set(entry.id, entry);
+      queue.push(entry);
+      next();
+      return view(entry);
+    },
+    get(id) {
+      evictExpired();
+      const entry = jobs.get(id);
+      return entry ? view(entry) : null;
+    },
+    // Queued jobs leave the queue; running ones have their model call aborted
+    cancel(id) {
+      const entry = jobs.get(id);
+      if (!entry) {
+        return null;
+      }
+      if (!FINISHED_STATUSES.has(entry.status)) {
+        const position = queue.indexOf(entry);
+        if (position !== -1) {
+          queue.splice(position, 1);
+          entry.operation = null;
+        }
+        entry.controller.abort(new HttpError(499, 'Job cancelled'));
+        finish(entry, 'cancelled');
+      }
+      return view(entry);
+    }
+  };
+}
+
+export const defaultJobQueue = createJobQueue();
+
+// Queue a generate, manipulate or compose request, the start of an edit
+// session (`edit`) or a session follow-up (`follow-up`, with `sessionId`).
+// The request carries the same fields as the matching endpoint (uploaded
+// images included) plus its `type`; `options` are the core options (sink,
+// history, provider, session store, signed-in user, ...). Validation errors
+// surface when the job runs, as its `error`. When authentication is on (see
+// auth.js) only the user who submitted a job, or an admin, can see it.
+export async function submitJob({ type, ...request }, { jobs = defaultJobQueue, ...options } = {}) {
+  const jobType = JOB_TYPES[type];
+  if (!jobType) {
+    throw new HttpError(400, 'Unknown job type', `Expected one of: ${Object.keys(JOB_TYPES).join(', ')}`);
+  }
+
+  console.log(`${userTag(options)}Queueing ${type} job`);
+  return jobs.submit(
+    type,
+    progress => jobType.run(request, { ...options, ...progress }),
+    jobType.fallbackMessage,
+    options.user?.name
+  );
+}
+
+export async function getJob(jobId, { jobs = defaultJobQueue, user } = {}) {
+  const job = await jobs.get(jobId);
+  // Other users' jobs are reported as missing rather than forbidden
+  const visible = job && (!job.user || job.user === user?.name || user?.role === 'admin');
+  if (!visible) {
+    throw new HttpError(404, 'Job not found', 'Finished jobs are only kept for a limited time.');
+  }
+  return job;
+}
+
+export async function cancelJob(jobId, { jobs = defaultJobQueue, user } = {}) {
+  const job = await getJob(jobId, { jobs, user });
+  if (FINISHED_STATUSES.has(job.status)) {
+    throw new HttpError(409, 'Job has already finished', `Its status is ${job.status}.`);
+  }
+  return jobs.cancel(jobId);
+}
+
+// Job types a stored queue runs. Edit sessions live in the memory of the
+// instance that started them, so a worker could not continue one.
+const STORED_JOB_TYPES = ['generate', 'manipulate', 'compose'];
+
+// How often a worker saves a running job's progress and checks whether it
+// was cancelled
+const PROGRESS_INTERVAL_MS = 1000;
+
+// How often a job update is retried when the job keeps changing under it
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Job stores keep a job as the record clients see, plus the input it was
+// queued with until a worker takes it. They expose `get(id)`,
+// `create(job, input)`, `takeInput(id)` (read once, then removed) and
+// `update(id, change)`, which applies `change(job)` atomically: it resolves
+// to the stored job, changed unless `change` returned null, or to null when
+// there is no such job.
+export function createMemoryJobStore() {
+  const jobs = new Map();
+  const inputs = new Map();
+
+  return {
+    async get(id) {
+      return jobs.get(id) || null;
+    },
+    async create(job, input) {
+      inputs.set(job.jobId, input);
+      jobs.set(job.jobId, job);
+    },
+    async takeInput(id) {
+      const input = inputs.get(id);
+      inputs.delete(id);
+      return input || null;
+    },
+    async update(id, change) {
+      const job = jobs.get(id);
+      if (!job) {
+        return null;
+      }
+      const next = change(job);
+      if (next) {
+        jobs.set(id, next);
+      }
+      return next || job;
+    }
+  };
+}
+
+// Keeps jobs in S3-compatible object storage (see s3.js) as JSON objects
+// under `prefix`, and relies on conditional writes for update. A lifecycle
+// rule on the prefix deletes old jobs.
+export function createS3JobStore({ client, prefix = 'jobs/' }) {
+  const jobKey = id => `${prefix}${id}.json`;
+  const inputKey = id => `${prefix}${id}.input.json`;
+
+  async function read(key) {
+    const object = await client.getObject(key);
+    return object && { value: JSON.parse(object.body.toString()), etag: object.etag };
+  }
+
+  return {
+    async get(id) {
+      return (await read(jobKey(id)))?.value || null;
+    },
+    async create(job, input) {
+      await client.putObject(inputKey(job.jobId), JSON.stringify(input), 'application/json');
+      await client.putObject(jobKey(job.jobId), JSON.stringify(job), 'application/json', { ifNoneMatch: '*' });
+    },
+    async takeInput(id) {
+      const input = await read(inputKey(id));
+      await client.deleteObject(inputKey(id));
+      return input?.value || null;
+    },
+    async update(id, change) {
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const current = await read(jobKey(id));
+        if (!current) {
+          return null;
+        }
+        const next = change(current.value);
+        if (!next) {
+          return current.value;
+        }
+        if (await client.putObject(jobKey(id), JSON.stringify(next), 'application/json', { ifMatch: current.etag })) {
+          return next;
+        }
+      }
+      throw new Error(`Job ${id} kept changing while it was being updated`);
+    }
+  };
+}
+
+// The S3 job store in the S3_* bucket (see s3.js) under JOB_S3_PREFIX, or
+// null when S3_BUCKET is unset
+export function jobStoreFromEnv(env = process.env) {
+  const options = s3OptionsFromEnv(env);
+  return options && createS3JobStore({ client: createS3Client(options), prefix: env.JOB_S3_PREFIX ?? 'jobs/' });
+}
+
+// A job queue whose jobs live in a shared `store`, for hosts where the
+// request that queues a job is not the process that runs it. `start(jobId)`
+// hands a queued job to a worker, which runs it with runStoredJob; a
+// cancelled job is marked in the store and its worker aborts once it sees
+// the mark. Offers `get` and `cancel` like createJobQueue, so getJob and
+// cancelJob work with either. `input` is whatever the worker needs to
+// rebuild the request, such as the raw request body.
+export function createStoredJobQueue({ store, start, ttlMs = JOB_TTL_MS, now = Date.now }) {
+  return {
+    async submit(type, input, user) {
+      if (!JOB_TYPES[type]) {
+        throw new HttpError(400, 'Unknown job type', `Expected one of: ${Object.keys(JOB_TYPES).join(', ')}`);
+      }
+      if (!STORED_JOB_TYPES.includes(type)) {
+        throw codedError('NOT_IMPLEMENTED', `${type} jobs are not available on this server`, 'Edit sessions only last while one instance stays warm. Use the session endpoints directly.');
+      }
+
+      const job = {
+        jobId: randomUUID(),
+        type,
+        ...(user && { user: user.name }),
+        status: 'queued',
+        createdAt: new Date(now()).toISOString(),
+        results: []
+      };
+      await store.create(job, { input, user: user || null });
+      console.log(`${userTag({ user })}Queueing ${type} job ${job.jobId}`);
+
+      try {
+        await start(job.jobId);
+      } catch (error) {
+        const { status, body } = toErrorResponse(error, 'Failed to start job');
+        await store.update(job.jobId, current => ({ ...current, status: 'failed', finishedAt: new Date(now()).toISOString(), error: { status, ...body } }));
+        throw error;
+      }
+      return job;
+    },
+    async get(id) {
+      const job = JOB_ID.test(id) ? await store.get(id) : null;
+      const expired = job?.finishedAt && now() - Date.parse(job.finishedAt) > ttlMs;
+      return expired ? null : job;
+    },
+    async cancel(id) {
+      return store.update(id, job => (FINISHED_STATUSES.has(job.status)
+        ? null
+        : { ...job, status: 'cancelled', finishedAt: new Date(now()).toISOString(), retry: undefined }));
+    }
+  };
+}
+
+// Run a job of a stored queue (see createStoredJobQueue). Only the first
+// worker started for a job runs it, and ids that are not job ids are
+// ignored; `parse(input)` rebuilds the request from
+// what the job was queued with, and `options` are the core options (sink,
+// provider, ...). Progress is saved every `progressIntervalMs`.
+export async function runStoredJob(jobId, { store, parse, progressIntervalMs = PROGRESS_INTERVAL_MS, now = Date.now, ...options }) {
+  if (!JOB_ID.test(jobId)) {
+    return;
+  }
+
+  let claimed = false;
+  const job = await store.update(jobId, current => {
+    claimed = current.status === 'queued';
+    return claimed ? { ...current, status: 'running', startedAt: new Date(now()).toISOString() } : null;
+  });
+  if (!claimed) {
+    return;
+  }
+
+  const { run, fallbackMessage } = JOB_TYPES[job.type];
+  const controller = new AbortController();
+  const results = [];
+  let retry;
+
+  // Save what the job has produced so far, and abort it once it is cancelled
+  let saving = Promise.resolve();
+  function save(finish = {}) {
+    saving = saving.then(async () => {
+      const saved = await store.update(jobId, current => (current.status === 'running'
+        ? { ...current, results, retry, ...finish }
+        : null));
+      if (saved?.status === 'cancelled') {
+        controller.abort(new HttpError(499, 'Job cancelled'));
+      }
+    }).catch(error => console.error(`Failed to save job ${jobId}:`, error));
+    return saving;
+  }
+  const timer = setInterval(save, progressIntervalMs);
+
+  try {
+    const queued = await store.takeInput(jobId);
+    if (!queued) {
+      throw new Error(`Job ${jobId} has no input to run`);
+    }
+    const response = await run(parse(queued.input), {
+      ...options,
+      user: queued.user || undefined,
+      signal: controller.signal,
+      onResult: (result, index) => recordResult(results, result, index),
+      onRetry: latest => {
+        retry = latest;
+      }
+    });
+    retry = undefined;
+    await save({ status: 'succeeded', finishedAt: new Date(now()).toISOString(), response });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error(`Job ${jobId} failed:`, error);
+      const { status, body } = toErrorResponse(error, fallbackMessage);
+      retry = undefined;
+      await save({ status: 'failed', finishedAt: new Date(now()).toISOString(), error: { status, ...body } });
+    }
+  } finally {
+    clearInterval(timer);
+    await saving;
+  }
+}
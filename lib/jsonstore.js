@@ -0,0 +1,41 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// The file behind the JSON stores (history, templates, ...). The file
+// holds `{ [key]: items }`; it is read once, on first use, and rewritten
+// after every change. `initial()` gives the items of a missing file and
+// `mode` the file's permissions. A read that fails is tried again on the
+// next call.
+//
+// `load()` resolves to the items, which the store changes in place, and
+// `save(items)` writes them. Writes are queued so they never interleave.
+export function createJsonFileStore(filePath, key, initial = () => [], { mode } = {}) {
+  let loading;
+  let writing = Promise.resolve();
+
+  function load() {
+    loading ??= fs.readFile(filePath, 'utf8')
+      .then(text => JSON.parse(text)[key] || [])
+      .catch(err => {
+        if (err.code === 'ENOENT') {
+          return initial();
+        }
+        loading = null;
+        throw err;
+      });
+    return loading;
+  }
+
+  function save(items) {
+    // A failed write must not block the ones queued after it
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ [key]: items }, null, 2), mode === undefined ? undefined : { mode });
+      await fs.rename(tempPath, filePath);
+    });
+    return writing;
+  }
+
+  return { load, save };
+}
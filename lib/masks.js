@@ -0,0 +1,87 @@
+import sharp from 'sharp';
+import { codedError } from './errors.js';
+import { normalizeImage } from './images.js';
+
+// Mask-based inpainting. A mask is an image with the same aspect ratio as the
+// uploaded one in which painted pixels mark the area to change: opaque pixels
+// if the mask has transparency (as drawn by the manipulate tab's brush),
+// otherwise light ones. The model sees the image and a black-and-white copy
+// of the mask, and every image it returns is composited over the original so
+// that nothing outside the painted area changes.
+
+// Blur radius that softens the seam between the edit and the original
+const FEATHER_SIGMA = 2;
+
+// How far (relative) the mask's aspect ratio may be from the image's
+const ASPECT_TOLERANCE = 0.02;
+
+// Decode a mask upload ({ buffer, mimeType, name }) into a black-and-white
+// PNG of the same size as the normalized image (see images.js)
+export async function prepareMask(mask, image) {
+  const normalized = await normalizeImage(mask);
+
+  const imageAspect = image.width / image.height;
+  if (Math.abs(normalized.width / normalized.height - imageAspect) > imageAspect * ASPECT_TOLERANCE) {
+    throw codedError('INVALID_MASK', 'Mask does not match the image', 'The mask must have the same aspect ratio as the image.');
+  }
+
+  const { isOpaque } = await sharp(normalized.buffer).stats();
+  const channel = isOpaque
+    ? sharp(normalized.buffer).greyscale()
+    : sharp(normalized.buffer).extractChannel('alpha');
+  const buffer = await channel
+    .resize(image.width, image.height, { fit: 'fill' })
+    .threshold(128)
+    .toColourspace('b-w')
+    .png()
+    .toBuffer();
+
+  const { channels: [{ max }] } = await sharp(buffer).stats();
+  if (max === 0) {
+    throw codedError('INVALID_MASK', 'Mask is empty', 'Paint over the area to change.');
+  }
+
+  return {
+    buffer,
+    mimeType: 'image/png',
+    name: mask.name,
+    width: image.width,
+    height: image.height,
+    original: normalized.original
+  };
+}
+
+// Prompt parts that introduce the mask, sent after the image itself
+export function maskParts(mask) {
+  return [
+    { text: 'Change only the area that is white in this mask. Keep everything in the black area exactly as it is.' },
+    { inlineData: { mimeType: mask.mimeType, data: mask.buffer.toString('base64') } }
+  ];
+}
+
+// Put the masked area of a generated image over the original image. The
+// result is encoded in the generated image's format.
+export async function compositeWithMask(buffer, mimeType, image, mask) {
+  const edited = await sharp(buffer)
+    .removeAlpha()
+    .resize(image.width, image.height, { fit: 'fill' })
+    .toColourspace('srgb')
+    .toBuffer();
+  const alpha = await sharp(mask.buffer).blur(FEATHER_SIGMA).toBuffer();
+  const overlay = await sharp(edited).joinChannel(alpha).png().toBuffer();
+
+  return sharp(image.buffer)
+    .composite([{ input: overlay }])
+    .toFormat(mimeType.replace('image/', ''))
+    .toBuffer();
+}
+
+// Wrap a sink so every image is composited before it is saved
+export function maskedSink(sink, image, mask) {
+  return {
+    ...sink,
+    async save(file) {
+      return sink.save({ ...file, buffer: await compositeWithMask(file.buffer, file.mimeType, image, mask) });
+    }
+  };
+}
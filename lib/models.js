@@ -0,0 +1,185 @@
+import { readFileSync } from 'fs';
+import { codedError } from './errors.js';
+import { GEMINI_MODEL } from './providers/gemini.js';
+import { getProvider } from './providers/index.js';
+import { MOCK_MODEL } from './providers/mock.js';
+
+// Model registry: which models requests may pick, what each can do and the
+// default for each mode. Requests name a model with `model`; without one
+// they get the default for their mode. Only models of the active provider
+// (see providers/) are offered.
+//
+// The built-in registry can be replaced with a JSON file named by
+// MODELS_FILE, shaped like DEFAULT_MODEL_REGISTRY:
+//
+//   { "models": [{ "id", "label", "provider", "capabilities", "pricing" }], "defaults": { "generate": "<id>" } }
+//
+// `pricing` is optional and only used to estimate spend (see stats.js): USD
+// per million `input` tokens, text `output` tokens and `imageOutput` tokens
+// (output images; defaults to the `output` price).
+
+// `image-in`: accepts uploaded images; `image-out`: returns images
+export const MODEL_CAPABILITIES = ['image-in', 'image-out'];
+
+export const PRICING_FIELDS = ['input', 'output', 'imageOutput'];
+
+// What a model needs to serve each mode
+export const MODE_CAPABILITIES = {
+  generate: ['image-out'],
+  manipulate: ['image-in', 'image-out'],
+  compose: ['image-in', 'image-out'],
+  edit: ['image-in', 'image-out']
+};
+
+export const DEFAULT_MODEL_REGISTRY = {
+  models: [
+    {
+      id: GEMINI_MODEL,
+      label: 'Gemini 2.5 Flash Image Preview',
+      provider: 'gemini',
+      capabilities: ['image-in', 'image-out'],
+      pricing: { input: 0.3, output: 2.5, imageOutput: 30 }
+    },
+    {
+      id: 'gemini-2.5-flash-image',
+      label: 'Gemini 2.5 Flash Image',
+      provider: 'gemini',
+      capabilities: ['image-in', 'image-out'],
+      pricing: { input: 0.3, output: 2.5, imageOutput: 30 }
+    },
+    {
+      id: 'gemini-2.0-flash-preview-image-generation',
+      label: 'Gemini 2.0 Flash Image Generation (Preview)',
+      provider: 'gemini',
+      capabilities: ['image-in', 'image-out'],
+      pricing: { input: 0.1, output: 0.4, imageOutput: 30 }
+    },
+    {
+      id: MOCK_MODEL,
+      label: 'Mock image model',
+      provider: 'mock',
+      capabilities: ['image-in', 'image-out']
+    }
+  ],
+  defaults: {
+    generate: GEMINI_MODEL,
+    manipulate: GEMINI_MODEL,
+    compose: GEMINI_MODEL,
+    edit: GEMINI_MODEL
+  }
+};
+
+function canServe(model, mode) {
+  return MODE_CAPABILITIES[mode].every(capability => model.capabilities.includes(capability));
+}
+
+// Check a registry config and build the registry. Config mistakes are
+// reported as plain errors, since they are found at startup.
+export function createModelRegistry({ models, defaults = {} } = DEFAULT_MODEL_REGISTRY) {
+  if (!Array.isArray(models) || models.length === 0) {
+    throw new Error('Model registry needs a non-empty "models" list');
+  }
+
+  const entries = models.map((model, index) => {
+    if (typeof model?.id !== 'string' || !model.id) {
+      throw new Error(`Model registry: models[${index}] needs an "id"`);
+    }
+    const capabilities = model.capabilities ?? MODEL_CAPABILITIES;
+    const unknown = [].concat(capabilities).filter(capability => !MODEL_CAPABILITIES.includes(capability));
+    if (!Array.isArray(capabilities) || unknown.length > 0) {
+      throw new Error(`Model registry: "${model.id}" has unknown capabilities (expected some of: ${MODEL_CAPABILITIES.join(', ')})`);
+    }
+    const pricing = model.pricing;
+    if (pricing !== undefined && (typeof pricing !== 'object' || pricing === null || !Object.entries(pricing)
+      .every(([field, price]) => PRICING_FIELDS.includes(field) && typeof price === 'number' && price >= 0))) {
+      throw new Error(`Model registry: "${model.id}" has invalid pricing (expected non-negative numbers for some of: ${PRICING_FIELDS.join(', ')})`);
+    }
+    return {
+      id: model.id,
+      label: model.label || model.id,
+      provider: (model.provider || 'gemini').toLowerCase(),
+      capabilities,
+      ...(pricing && { pricing })
+    };
+  });
+
+  for (const [mode, id] of Object.entries(defaults)) {
+    if (!MODE_CAPABILITIES[mode]) {
+      throw new Error(`Model registry: unknown mode "${mode}" in defaults`);
+    }
+    const model = entries.find(entry => entry.id === id);
+    if (!model) {
+      throw new Error(`Model registry: default ${mode} model "${id}" is not in the models list`);
+    }
+    if (!canServe(model, mode)) {
+      throw new Error(`Model registry: default ${mode} model "${id}" cannot be used to ${mode}`);
+    }
+  }
+
+  return {
+    // The entry for a model id, whatever its provider
+    get(id) {
+      return entries.find(entry => entry.id === id) || null;
+    },
+
+    // Models the provider named `providerName` can run
+    forProvider(providerName) {
+      return entries.filter(entry => entry.provider === providerName);
+    },
+
+    // The configured default for a mode, else the first model that can
+    // serve it, else the provider's own model
+    defaultModel(mode, provider) {
+      const available = this.forProvider(provider.name).filter(model => canServe(model, mode));
+      const configured = available.find(model => model.id === defaults[mode]);
+      return (configured || available[0])?.id || provider.model;
+    }
+  };
+}
+
+let defaultRegistry;
+
+// The registry from MODELS_FILE, or the built-in one
+export function getModelRegistry() {
+  if (!defaultRegistry) {
+    const filePath = process.env.MODELS_FILE;
+    defaultRegistry = createModelRegistry(filePath ? JSON.parse(readFileSync(filePath, 'utf8')) : DEFAULT_MODEL_REGISTRY);
+  }
+  return defaultRegistry;
+}
+
+// The model a request runs on: the one it asked for, checked against the
+// registry, or the default for its mode
+export function resolveModel(mode, requested, { models = getModelRegistry(), provider = getProvider() } = {}) {
+  if (requested === undefined || requested === null || requested === '') {
+    return models.defaultModel(mode, provider);
+  }
+
+  const available = models.forProvider(provider.name);
+  const model = available.find(entry => entry.id === requested);
+  if (!model) {
+    throw codedError(
+      'INVALID_MODEL',
+      `Unknown model: ${requested}`,
+      available.length ? `Available models: ${available.map(entry => entry.id).join(', ')}` : `The ${provider.name} provider has no selectable models`
+    );
+  }
+  if (!canServe(model, mode)) {
+    throw codedError('INVALID_MODEL', `Model ${requested} cannot be used to ${mode}`, `It needs: ${MODE_CAPABILITIES[mode].join(', ')}`);
+  }
+  return model.id;
+}
+
+// The models of the active provider, with the modes each can serve and the
+// default per mode (for /api/models)
+export function listModels({ models = getModelRegistry(), provider = getProvider() } = {}) {
+  const modes = Object.keys(MODE_CAPABILITIES);
+  return {
+    provider: provider.name,
+    defaults: Object.fromEntries(modes.map(mode => [mode, models.defaultModel(mode, provider)])),
+    models: models.forProvider(provider.name).map(model => ({
+      ...model,
+      modes: modes.filter(mode => canServe(model, mode))
+    }))
+  };
+}
@@ -0,0 +1,275 @@
+import { readFileSync } from 'fs';
+import { codedError } from './errors.js';
+import { getProvider } from './providers/index.js';
+
+// Content moderation around model calls. Before a prompt reaches the model
+// it is checked against a maximum length, the configured rules (blocked
+// terms and regular expressions, each with a category) and, optionally, a
+// classifier model. After the call, a prompt or response the model refused
+// on safety grounds becomes the same structured 422 instead of an empty
+// result, naming the category that was triggered.
+//
+// Rules are read from the JSON file named by MODERATION_RULES_FILE:
+//
+//   { "maxPromptLength": 2000,
+//     "rules": [
+//       { "category": "violence", "terms": ["gore", "beheading"] },
+//       { "category": "personal_data", "label": "Personal data", "pattern": "\\b\\d{3}-\\d{2}-\\d{4}\\b",
+//         "message": "Prompts must not contain social security numbers." }
+//     ] }
+//
+// Terms match whole words, ignoring case; patterns are regular expressions
+// with optional `flags` (default `i`). MODERATION_BLOCKLIST adds
+// comma-separated terms under the `blocklist` category, and
+// PROMPT_MAX_LENGTH (default 4000) overrides the file's maximum.
+//
+// MODERATION_CLASSIFIER=model also asks MODERATION_MODEL (default
+// gemini-2.5-flash) whether each prompt is acceptable. A classifier that
+// fails or gives an answer we can't read lets the prompt through, since
+// the image model still applies its own safety filters.
+
+export const DEFAULT_MAX_PROMPT_LENGTH = 4000;
+export const DEFAULT_CLASSIFIER_MODEL = 'gemini-2.5-flash';
+
+// Gemini's harm categories, by the id we report them under
+const HARM_CATEGORIES = {
+  harassment: 'Harassment',
+  hate_speech: 'Hate speech',
+  sexually_explicit: 'Sexually explicit content',
+  dangerous_content: 'Dangerous content',
+  civic_integrity: 'Civic integrity'
+};
+
+// Why the model refuses a prompt or stops a response, for the reasons that
+// are about content. Other finish reasons (STOP, MAX_TOKENS, ...) are not
+// moderation.
+const BLOCK_REASONS = {
+  SAFETY: 'it was flagged by the safety filters',
+  IMAGE_SAFETY: 'the image was flagged by the safety filters',
+  PROHIBITED_CONTENT: 'it may contain prohibited content',
+  IMAGE_PROHIBITED_CONTENT: 'the image may contain prohibited content',
+  BLOCKLIST: 'it contains blocked terms',
+  SPII: 'it may contain sensitive personal information',
+  RECITATION: 'it resembles existing copyrighted material',
+  IMAGE_RECITATION: 'the image resembles existing copyrighted material'
+};
+
+const FLAGGED_PROBABILITIES = ['MEDIUM', 'HIGH'];
+
+const CLASSIFIER_INSTRUCTION = 'You screen prompts sent to an image generator. Reply with JSON only: '
+  + '{"allowed": true} if the prompt is acceptable, otherwise {"allowed": false, "category": "<one of: '
+  + `${Object.keys(HARM_CATEGORIES).join(', ')}, other>", "reason": "<one short sentence>"}.`;
+
+function categoryLabel(category) {
+  const label = HARM_CATEGORIES[category] || category.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a rule from the rules file. Config mistakes are reported as plain
+// errors, since they are found at startup.
+function compileRule(rule, index) {
+  if (typeof rule?.category !== 'string' || !rule.category) {
+    throw new Error(`Moderation rules: rules[${index}] needs a "category"`);
+  }
+  const terms = rule.terms === undefined ? [] : rule.terms;
+  if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string' || !term.trim())) {
+    throw new Error(`Moderation rules: rules[${index}].terms must be a list of words`);
+  }
+  if (terms.length === 0 && !rule.pattern) {
+    throw new Error(`Moderation rules: rules[${index}] needs "terms" or a "pattern"`);
+  }
+
+  const expressions = [];
+  if (terms.length > 0) {
+    const alternatives = terms.map(term => escapeRegExp(term.trim())).join('|');
+    expressions.push(new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'iu'));
+  }
+  if (rule.pattern) {
+    try {
+      expressions.push(new RegExp(rule.pattern, rule.flags ?? 'i'));
+    } catch (error) {
+      throw new Error(`Moderation rules: rules[${index}].pattern is invalid: ${error.message}`);
+    }
+  }
+
+  return {
+    category: rule.category,
+    label: rule.label || categoryLabel(rule.category),
+    message: rule.message,
+    matches: text => expressions.some(expression => expression.test(text))
+  };
+}
+
+// A 422 telling the client what was flagged. `moderation` is
+// `{ stage, source, reason?, categories }`: `stage` is `prompt` or
+// `response`, `source` is `rules`, `classifier` or `model`, and
+// `categories` lists `{ category, label, probability? }`.
+export function moderationError(message, details, moderation) {
+  return Object.assign(codedError('CONTENT_BLOCKED', message, details), { moderation });
+}
+
+function flaggedBy(source, category, label, details) {
+  return moderationError('Prompt blocked by content moderation', details, {
+    stage: 'prompt',
+    source,
+    categories: [{ category, label }]
+  });
+}
+
+// Ask a text model whether a prompt is acceptable. Resolves to
+// `{ allowed, category, reason }`.
+export function createModelClassifier({ model = process.env.MODERATION_MODEL || DEFAULT_CLASSIFIER_MODEL } = {}) {
+  return async function classify(text, { provider = getProvider(), signal } = {}) {
+    const response = await provider.generateContentStream({
+      model,
+      config: {
+        responseModalities: ['TEXT'],
+        responseMimeType: 'application/json',
+        systemInstruction: CLASSIFIER_INSTRUCTION
+      },
+      contents: [{ role: 'user', parts: [{ text }] }],
+      signal
+    });
+
+    let answer = '';
+    for await (const chunk of response) {
+      answer += chunk.text ?? '';
+    }
+    const verdict = JSON.parse(answer);
+    if (typeof verdict?.allowed !== 'boolean') {
+      throw new Error(`Unexpected classifier answer: ${answer}`);
+    }
+    return verdict;
+  };
+}
+
+export function createModeration({ rules = [], maxPromptLength = DEFAULT_MAX_PROMPT_LENGTH, classifier = null } = {}) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Moderation rules: "rules" must be a list');
+  }
+  const compiled = rules.map(compileRule);
+
+  return {
+    maxPromptLength,
+
+    // Check the prompt and any other text sent with it (variation styles,
+    // image labels). Throws a 400 for overlong prompts and a 422 for
+    // flagged ones.
+    async check(prompt, extraTexts = [], { provider, signal } = {}) {
+      prompt = String(prompt);
+      if (maxPromptLength > 0 && prompt.length > maxPromptLength) {
+        throw codedError('PROMPT_TOO_LONG', 'Prompt is too long',
+          `Prompts can be at most ${maxPromptLength} characters; this one has ${prompt.length}.`);
+      }
+
+      const text = [prompt, ...extraTexts.filter(Boolean)].join('\n');
+      const rule = compiled.find(candidate => candidate.matches(text));
+      if (rule) {
+        throw flaggedBy('rules', rule.category, rule.label,
+          rule.message || `The prompt was flagged as ${rule.label.toLowerCase()}. Please rephrase it and try again.`);
+      }
+
+      if (!classifier) {
+        return;
+      }
+      let verdict;
+      try {
+        verdict = await classifier(text, { provider, signal });
+      } catch (error) {
+        signal?.throwIfAborted();
+        console.error('Moderation classifier failed, allowing the prompt:', error);
+        return;
+      }
+      if (!verdict.allowed) {
+        const category = typeof verdict.category === 'string' && verdict.category ? verdict.category : 'other';
+        const label = categoryLabel(category);
+        const reason = typeof verdict.reason === 'string' && verdict.reason ? ` ${verdict.reason}` : '';
+        throw flaggedBy('classifier', category, label,
+          `The prompt was flagged as ${label.toLowerCase()}.${reason} Please rephrase it and try again.`);
+      }
+    }
+  };
+}
+
+// Moderation configured from the environment (see the top of this file)
+export function moderationFromEnv(env = process.env) {
+  const config = env.MODERATION_RULES_FILE ? JSON.parse(readFileSync(env.MODERATION_RULES_FILE, 'utf8')) : {};
+  const blocklist = (env.MODERATION_BLOCKLIST || '').split(',').map(term => term.trim()).filter(Boolean);
+  const blocklistRule = {
+    category: 'blocklist',
+    label: 'Blocked term',
+    terms: blocklist,
+    message: 'The prompt contains a blocked term. Please rephrase it and try again.'
+  };
+  const rules = [...(config.rules || []), ...(blocklist.length ? [blocklistRule] : [])];
+  const maxPromptLength = env.PROMPT_MAX_LENGTH !== undefined && env.PROMPT_MAX_LENGTH !== ''
+    ? Number(env.PROMPT_MAX_LENGTH)
+    : config.maxPromptLength ?? DEFAULT_MAX_PROMPT_LENGTH;
+  if (!Number.isInteger(maxPromptLength) || maxPromptLength < 0) {
+    throw new Error('PROMPT_MAX_LENGTH must be a whole number of characters (0: no limit)');
+  }
+
+  return createModeration({
+    rules,
+    maxPromptLength,
+    classifier: env.MODERATION_CLASSIFIER === 'model' ? createModelClassifier({ model: env.MODERATION_MODEL || undefined }) : null
+  });
+}
+
+let defaultModeration;
+
+export function getModeration() {
+  defaultModeration ??= moderationFromEnv();
+  return defaultModeration;
+}
+
+// Check a request's prompt before the model sees it. `options` are the core
+// options, which may carry their own `moderation` (see createModeration).
+export async function moderatePrompt(prompt, options = {}, extraTexts = []) {
+  const { moderation = getModeration(), provider, signal } = options;
+  await moderation.check(prompt, extraTexts, { provider, signal });
+}
+
+function flaggedRatings(ratings = []) {
+  return ratings
+    .filter(rating => rating.blocked || FLAGGED_PROBABILITIES.includes(rating.probability))
+    .map(({ category, probability }) => {
+      const id = String(category).replace(/^HARM_CATEGORY_/, '').toLowerCase();
+      return { category: id, label: categoryLabel(id), ...(probability && { probability }) };
+    });
+}
+
+function describeCategories(categories) {
+  return categories.length ? ` (${categories.map(category => category.label.toLowerCase()).join(', ')})` : '';
+}
+
+// The 422 for a model output (see processAIResponse) that the model refused
+// on safety grounds and that holds no image, or null
+export function safetyBlock({ results = [], candidates = [], promptFeedback }) {
+  if (results.some(result => result.type === 'image')) {
+    return null;
+  }
+
+  if (promptFeedback?.blockReason) {
+    const { blockReason } = promptFeedback;
+    const categories = flaggedRatings(promptFeedback.safetyRatings);
+    const why = BLOCK_REASONS[blockReason] || 'of its content';
+    return moderationError('Prompt blocked by safety filters',
+      `The model refused the prompt because ${why}${describeCategories(categories)}. Please rephrase it and try again.`,
+      { stage: 'prompt', source: 'model', reason: blockReason, categories });
+  }
+
+  const blocked = candidates.find(candidate => BLOCK_REASONS[candidate.finishReason]);
+  if (blocked) {
+    const categories = flaggedRatings(blocked.safetyRatings);
+    return moderationError('Image blocked by safety filters',
+      `The model stopped because ${BLOCK_REASONS[blocked.finishReason]}${describeCategories(categories)}. Please change the prompt and try again.`,
+      { stage: 'response', source: 'model', reason: blocked.finishReason, categories });
+  }
+
+  return null;
+}
@@ -0,0 +1,153 @@
+import { MAX_UPLOAD_BYTES, isImageMimeType } from './core.js';
+import { HttpError, codedError } from './errors.js';
+import { getHeader } from './netlify.js';
+
+// multipart/form-data parsing for the Netlify functions. The result mirrors
+// what multer gives the Express routes: `fields` is like `req.body` (a field
+// sent more than once becomes an array) and `files` is like `req.files`.
+// Files get the same checks as multer's `limits` and `fileFilter` in app.js.
+//
+// The body is parsed as bytes, so binary uploads come through untouched.
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+function malformed(reason) {
+  return new HttpError(400, 'Malformed multipart/form-data body', reason);
+}
+
+// Split `type/subtype; name=value; name="quoted value"` into the lowercased
+// media type and its parameters (names lowercased, quotes removed)
+export function parseHeaderValue(value = '') {
+  const [type, ...rest] = value.split(';');
+  const params = {};
+  const paramPattern = /\s*([^=\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/;
+
+  for (const segment of rest.join(';').match(/(?:[^;"]|"(?:[^"\\]|\\.)*")+/g) || []) {
+    const match = segment.match(paramPattern);
+    if (match) {
+      const [, name, quoted, token] = match;
+      params[name.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : token.trim();
+    }
+  }
+
+  return { type: type.trim().toLowerCase(), params };
+}
+
+function parsePartHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  }
+  return headers;
+}
+
+// RFC 5987 `filename*=UTF-8''na%C3%AFve.png` wins over a plain `filename`
+function partFilename(params) {
+  const extended = params['filename*']?.match(/^([^']*)'[^']*'(.*)$/);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[2]);
+    } catch {
+      // Fall back to the plain filename
+    }
+  }
+  return params.filename;
+}
+
+function addField(fields, name, value) {
+  if (name in fields) {
+    fields[name] = [].concat(fields[name], value);
+  } else {
+    fields[name] = value;
+  }
+}
+
+// Parse a multipart body (a Buffer) into { fields, files }
+export function parseMultipartFormData(body, boundary, { maxFileSize = MAX_UPLOAD_BYTES } = {}) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const partDelimiter = Buffer.from(`\r\n--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw malformed('The body does not contain the boundary from the Content-Type header.');
+  }
+  position += delimiter.length;
+
+  // After each delimiter comes either `--` (the end) or a line break and a part
+  while (body.toString('latin1', position, position + 2) !== '--') {
+    const lineEnd = body.indexOf(CRLF, position);
+    if (lineEnd === -1) {
+      throw malformed('The body ends before its closing boundary.');
+    }
+
+    const partStart = lineEnd + CRLF.length;
+    const partEnd = body.indexOf(partDelimiter, partStart);
+    if (partEnd === -1) {
+      throw malformed('The body ends before its closing boundary.');
+    }
+
+    const part = body.subarray(partStart, partEnd);
+    const headerEnd = part.subarray(0, CRLF.length).equals(CRLF) ? 0 : part.indexOf(HEADER_END);
+    if (headerEnd === -1) {
+      throw malformed('A part is missing the blank line after its headers.');
+    }
+
+    const headers = parsePartHeaders(part.toString('utf8', 0, headerEnd));
+    const data = part.subarray(headerEnd === 0 ? CRLF.length : headerEnd + HEADER_END.length);
+    const { params } = parseHeaderValue(headers['content-disposition']);
+    const filename = partFilename(params);
+
+    if (!params.name) {
+      // Not a form field; nothing to keep
+    } else if (filename === undefined) {
+      addField(fields, params.name, data.toString('utf8'));
+    } else if (filename !== '' || data.length > 0) {
+      // Browsers send an empty, unnamed file for a file input left blank
+      const mimetype = headers['content-type'] || 'application/octet-stream';
+
+      if (data.length > maxFileSize) {
+        throw codedError('INVALID_UPLOAD', `File too large. Maximum size is ${Math.round(maxFileSize / (1024 * 1024))}MB.`);
+      }
+
+      if (!isImageMimeType(mimetype)) {
+        throw codedError('INVALID_UPLOAD', 'Only image files are allowed!');
+      }
+
+      files.push({
+        fieldname: params.name,
+        originalname: filename,
+        mimetype,
+        size: data.length,
+        buffer: Buffer.from(data)
+      });
+    }
+
+    position = partEnd + partDelimiter.length;
+  }
+
+  return { fields, files };
+}
+
+// Validate the request's Content-Type and parse its multipart body. Netlify
+// base64-encodes binary bodies and sets `isBase64Encoded`; other bodies
+// arrive as UTF-8 text.
+export function parseMultipartEvent(event) {
+  const { type, params } = parseHeaderValue(getHeader(event, 'content-type'));
+
+  if (type !== 'multipart/form-data') {
+    throw new HttpError(400, 'Content-Type must be multipart/form-data');
+  }
+
+  if (!params.boundary) {
+    throw new HttpError(400, 'Missing boundary in Content-Type');
+  }
+
+  const body = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+  return parseMultipartFormData(body, params.boundary);
+}
@@ -0,0 +1,150 @@
+import { allowedOrigin, getAuth } from './auth.js';
+import { codedError, toErrorResponse } from './errors.js';
+import { RATE_LIMIT_HEADERS, checkLimits, createLimiter, getLimiter } from './ratelimit.js';
+import { createInlineSink, s3SinkFromEnv } from './sinks.js';
+import { streamOperation, wantsEventStream } from './sse.js';
+
+// Response helpers shared by the Netlify function handlers. Access-Control-
+// Allow-Origin is added by withAuth, which wraps every handler.
+
+export function preflightResponse() {
+  return {
+    statusCode: 200,
+    headers: {
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    },
+    body: '',
+  };
+}
+
+export function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  };
+}
+
+export function errorResponse(error, fallbackMessage) {
+  const { status, body, headers } = toErrorResponse(error, fallbackMessage);
+  const response = jsonResponse(status, body);
+  response.headers = { ...response.headers, ...headers };
+  return response;
+}
+
+export function methodNotAllowed() {
+  return errorResponse(codedError('METHOD_NOT_ALLOWED'));
+}
+
+// Netlify has no writable public directory, so images go to object storage
+// when S3_BUCKET is set and are returned inline otherwise
+export function netlifySink() {
+  return s3SinkFromEnv() || createInlineSink();
+}
+
+export function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+// Wrap a handler so it only runs for authenticated requests (see auth.js),
+// which it receives with the user as `event.user`, and answers CORS for the
+// allowed origins. `isPublic` handlers (health, sign-in) skip the check.
+export function withAuth(handler, { isPublic = false, auth } = {}) {
+  return async (event, context) => {
+    const currentAuth = auth || getAuth();
+    let response;
+
+    if (isPublic || event.httpMethod === 'OPTIONS') {
+      response = await handler(event, context);
+    } else {
+      let user;
+      try {
+        user = await currentAuth.authenticate(name => getHeader(event, name));
+      } catch (error) {
+        response = errorResponse(error, 'Authentication failed');
+      }
+      response ??= await handler({ ...event, user }, context);
+    }
+
+    const origin = allowedOrigin(getHeader(event, 'origin'), { enabled: currentAuth.enabled });
+    if (origin) {
+      response.headers = {
+        ...response.headers,
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Expose-Headers': RATE_LIMIT_HEADERS.join(', ')
+      };
+    }
+    return response;
+  };
+}
+
+// The client's address, as Netlify reports it
+export function clientIp(event) {
+  return getHeader(event, 'x-nf-client-connection-ip') || getHeader(event, 'x-forwarded-for')?.split(',')[0].trim();
+}
+
+// Charge POST requests to the client's rate limit and quotas (see
+// ratelimit.js) and add the rate limit headers to the response. `cost(event)`
+// is what a request costs. Goes inside withAuth, which sets `event.user`.
+// Without a `limiter` or a limit `store` of its own, the handler uses the
+// deployment's limiter (see getLimiter), whose counts are kept per function
+// instance unless RATE_LIMIT_STORE names a shared store.
+export function withRateLimit(handler, { limiter, store, cost = () => 1 } = {}) {
+  limiter ??= store && createLimiter({ store });
+
+  return async (event, context) => {
+    if (event.httpMethod !== 'POST') {
+      return handler(event, context);
+    }
+
+    let headers;
+    try {
+      headers = await checkLimits(cost(event), { limiter: limiter || getLimiter(), user: event.user, ip: clientIp(event) });
+    } catch (error) {
+      return errorResponse(error, 'Failed to check rate limits');
+    }
+    const response = await handler(event, context);
+    response.headers = { ...response.headers, ...headers };
+    return response;
+  };
+}
+
+// Run a core operation and answer with JSON, or with Server-Sent Events when
+// the client asks for them. Classic Netlify functions cannot stream, so the
+// events are buffered and sent together; the wire format matches Express.
+export async function respond(event, operation, fallbackMessage) {
+  if (!wantsEventStream(getHeader(event, 'accept'))) {
+    try {
+      return jsonResponse(200, await operation());
+    } catch (error) {
+      console.error(`${fallbackMessage}:`, error);
+      return errorResponse(error, fallbackMessage);
+    }
+  }
+
+  let body = '';
+  const { started, error } = await streamOperation(operation, chunk => {
+    body += chunk;
+  }, fallbackMessage);
+
+  if (error) {
+    console.error(`${fallbackMessage}:`, error);
+    if (!started) {
+      return errorResponse(error, fallbackMessage);
+    }
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+    },
+    body,
+  };
+}
@@ -0,0 +1,149 @@
+import { HarmBlockThreshold, HarmCategory } from '@google/genai';
+import { codedError } from './errors.js';
+
+// Generation parameters a request may set through its `options` object:
+//
+//   { temperature, seed, candidateCount, aspectRatio, safetySettings, systemInstruction }
+//
+// Every field is optional. parseGenerationOptions checks them against the
+// schema below and returns the cleaned-up options, which are echoed in the
+// response; generationConfig turns them into model config for runModel.
+
+export const MAX_CANDIDATES = 4;
+export const MAX_SYSTEM_INSTRUCTION_LENGTH = 2000;
+export const MAX_SEED = 2 ** 31 - 1;
+
+// The image model has no aspect ratio setting, so the ratio is sent as a
+// hint in the prompt (see withAspectRatio)
+export const ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+export const SAFETY_CATEGORIES = Object.values(HarmCategory).filter(value => !value.endsWith('_UNSPECIFIED'));
+export const SAFETY_THRESHOLDS = Object.values(HarmBlockThreshold).filter(value => !value.endsWith('_UNSPECIFIED'));
+
+// Each validator returns the cleaned value or throws with the option's name
+function number(min, max) {
+  return (value, name) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw codedError('INVALID_OPTIONS', `${name} must be a number between ${min} and ${max}`);
+    }
+    return value;
+  };
+}
+
+function integer(min, max) {
+  return (value, name) => {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw codedError('INVALID_OPTIONS', `${name} must be an integer between ${min} and ${max}`);
+    }
+    return value;
+  };
+}
+
+function oneOf(allowed) {
+  return (value, name) => {
+    if (!allowed.includes(value)) {
+      throw codedError('INVALID_OPTIONS', `${name} must be one of: ${allowed.join(', ')}`);
+    }
+    return value;
+  };
+}
+
+function text(maxLength) {
+  return (value, name) => {
+    if (typeof value !== 'string') {
+      throw codedError('INVALID_OPTIONS', `${name} must be a string`);
+    }
+    if (value.length > maxLength) {
+      throw codedError('INVALID_OPTIONS', `${name} must be at most ${maxLength} characters`);
+    }
+    return value.trim();
+  };
+}
+
+// [{ category, threshold }], at most one entry per category
+function safetySettings(value, name) {
+  if (!Array.isArray(value)) {
+    throw codedError('INVALID_OPTIONS', `${name} must be an array of { category, threshold }`);
+  }
+
+  const category = oneOf(SAFETY_CATEGORIES);
+  const threshold = oneOf(SAFETY_THRESHOLDS);
+  const seen = new Set();
+
+  return value.map((setting, index) => {
+    if (typeof setting !== 'object' || setting === null) {
+      throw codedError('INVALID_OPTIONS', `${name}[${index}] must be an object with category and threshold`);
+    }
+    const cleaned = {
+      category: category(setting.category, `${name}[${index}].category`),
+      threshold: threshold(setting.threshold, `${name}[${index}].threshold`)
+    };
+    if (seen.has(cleaned.category)) {
+      throw codedError('INVALID_OPTIONS', `${name} lists ${cleaned.category} more than once`);
+    }
+    seen.add(cleaned.category);
+    return cleaned;
+  });
+}
+
+const SCHEMA = {
+  temperature: number(0, 2),
+  seed: integer(0, MAX_SEED),
+  candidateCount: integer(1, MAX_CANDIDATES),
+  aspectRatio: oneOf(ASPECT_RATIOS),
+  safetySettings,
+  systemInstruction: text(MAX_SYSTEM_INSTRUCTION_LENGTH)
+};
+
+// Validate a request's `options`. Multipart requests send it as a JSON
+// string. Fields set to null or '' are treated as left out.
+export function parseGenerationOptions(options) {
+  if (options === undefined || options === null || options === '') {
+    return {};
+  }
+
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch {
+      throw codedError('INVALID_OPTIONS', 'options must be a JSON object');
+    }
+  }
+
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw codedError('INVALID_OPTIONS', 'options must be a JSON object');
+  }
+
+  const unknown = Object.keys(options).filter(key => !Object.hasOwn(SCHEMA, key));
+  if (unknown.length > 0) {
+    throw codedError('INVALID_OPTIONS', `Unknown options: ${unknown.join(', ')}`, `Supported options are: ${Object.keys(SCHEMA).join(', ')}`);
+  }
+
+  const parsed = {};
+  for (const [key, validate] of Object.entries(SCHEMA)) {
+    const value = options[key];
+    if (value !== undefined && value !== null && value !== '') {
+      parsed[key] = validate(value, `options.${key}`);
+    }
+  }
+  if (parsed.systemInstruction === '') {
+    delete parsed.systemInstruction;
+  }
+  return parsed;
+}
+
+// Model config for parsed options, passed to runModel as its extra config
+export function generationConfig({ temperature, seed, candidateCount, safetySettings, systemInstruction } = {}) {
+  return {
+    ...(temperature !== undefined && { temperature }),
+    ...(seed !== undefined && { seed }),
+    ...(candidateCount !== undefined && { candidateCount }),
+    ...(safetySettings?.length && { safetySettings }),
+    ...(systemInstruction && { systemInstruction })
+  };
+}
+
+// Append the requested aspect ratio to a prompt
+export function withAspectRatio(prompt, { aspectRatio } = {}) {
+  return aspectRatio ? `${prompt}\n\nAspect ratio: ${aspectRatio}` : prompt;
+}
@@ -0,0 +1,37 @@
+import { GoogleGenAI } from '@google/genai';
+import { codedError } from '../errors.js';
+
+// The model used when a request doesn't pick one (see models.js)
+export const GEMINI_MODEL = 'gemini-2.5-flash-image-preview';
+
+// Google Gemini provider. The API key is read on each call so a key added
+// to the environment after startup is picked up without a restart.
+export function createGeminiProvider({ model: defaultModel = GEMINI_MODEL } = {}) {
+  let client = null;
+  let clientApiKey = null;
+
+  function getClient() {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw codedError('CONFIGURATION_ERROR', 'GEMINI_API_KEY not configured');
+    }
+
+    if (!client || clientApiKey !== apiKey) {
+      client = new GoogleGenAI({ apiKey });
+      clientApiKey = apiKey;
+    }
+    return client;
+  }
+
+  return {
+    name: 'gemini',
+    model: defaultModel,
+    async generateContentStream({ model = defaultModel, contents, config, signal }) {
+      return getClient().models.generateContentStream({
+        model,
+        config: signal ? { ...config, abortSignal: signal } : config,
+        contents
+      });
+    }
+  };
+}
@@ -0,0 +1,35 @@
+import { codedError } from '../errors.js';
+import { createGeminiProvider } from './gemini.js';
+import { createMockProvider } from './mock.js';
+
+// A provider turns `{ model, contents, config, signal }` into a Gemini-shaped
+// stream of response chunks, using its own `model` when none is given and
+// stopping when the optional AbortSignal fires. Select one with AI_PROVIDER
+// (default: gemini).
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  mock: createMockProvider,
+};
+
+const instances = new Map();
+
+// Add (or replace) a provider factory, e.g. a stub in tests
+export function registerProvider(name, create) {
+  const key = name.toLowerCase();
+  PROVIDERS[key] = create;
+  instances.delete(key);
+}
+
+export function getProvider(name = process.env.AI_PROVIDER || 'gemini') {
+  const key = name.toLowerCase();
+  const create = PROVIDERS[key];
+  if (!create) {
+    throw codedError('CONFIGURATION_ERROR', `Unknown AI_PROVIDER "${name}"`, `Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  if (!instances.has(key)) {
+    instances.set(key, create());
+  }
+  return instances.get(key);
+}
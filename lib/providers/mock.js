@@ -0,0 +1,198 @@
+import { createHash } from 'crypto';
+import { deflateSync } from 'zlib';
+import { ApiError } from '@google/genai';
+
+// Deterministic offline provider for CI and local development.
+//
+//   MOCK_AI_ERROR=429|401|400|500   fail every call with that status
+//   MOCK_AI_DELAY_MS=250            wait before each streamed chunk
+//
+// A prompt containing `[mock-error:429]` fails just that request, and one
+// containing `[mock-blocked:SAFETY]` (or another finish reason) is stopped
+// by the simulated safety filters. Moderation requests (JSON answers, see
+// moderation.js) flag prompts containing `[mock-unsafe]`.
+
+export const MOCK_MODEL = 'mock-image-model';
+
+const PLACEHOLDER_SIZE = 256;
+const TILE_SIZE = 32;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Build a checkerboard PNG in two colours derived from the seed
+export function createPlaceholderPng(seed, size = PLACEHOLDER_SIZE) {
+  const digest = createHash('sha256').update(seed).digest();
+  const light = [digest[0], digest[1], digest[2]];
+  const dark = light.map(value => Math.floor(value / 2));
+
+  const rowLength = size * 3 + 1;
+  const pixels = Buffer.alloc(rowLength * size);
+  for (let y = 0; y < size; y++) {
+    pixels[y * rowLength] = 0; // filter: none
+    for (let x = 0; x < size; x++) {
+      const colour = (Math.floor(x / TILE_SIZE) + Math.floor(y / TILE_SIZE)) % 2 ? dark : light;
+      const offset = y * rowLength + 1 + x * 3;
+      pixels[offset] = colour[0];
+      pixels[offset + 1] = colour[1];
+      pixels[offset + 2] = colour[2];
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+const ERROR_MESSAGES = {
+  400: 'Mock invalid request',
+  401: 'Mock API key not valid',
+  429: 'Mock resource exhausted',
+  500: 'Mock internal error',
+};
+
+function simulatedError(status) {
+  return new ApiError({ status, message: ERROR_MESSAGES[status] || `Mock error ${status}` });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    function abort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+function textChunk(text) {
+  return {
+    text,
+    candidates: [{ index: 0, content: { role: 'model', parts: [{ text }] } }],
+  };
+}
+
+// Token counts shaped like Gemini's, so usage accounting can be tried
+// offline: a prompt token per four characters, 258 per input image and
+// 1290 per output image, as Gemini counts them
+function usageMetadata(prompt, inputImages, description) {
+  const promptTokens = Math.ceil(prompt.length / 4) + 258 * inputImages;
+  const textTokens = Math.ceil(description.length / 4);
+  return {
+    promptTokenCount: promptTokens,
+    candidatesTokenCount: textTokens + 1290,
+    totalTokenCount: promptTokens + textTokens + 1290,
+    candidatesTokensDetails: [{ modality: 'TEXT', tokenCount: textTokens }, { modality: 'IMAGE', tokenCount: 1290 }]
+  };
+}
+
+function imageChunk(buffer, usage) {
+  return {
+    usageMetadata: usage,
+    candidates: [{
+      index: 0,
+      content: {
+        role: 'model',
+        parts: [{ inlineData: { mimeType: 'image/png', data: buffer.toString('base64') } }],
+      },
+      finishReason: 'STOP',
+    }],
+  };
+}
+
+// The response of a call the safety filters stopped: no content, the
+// finish reason and a blocking rating
+function blockedChunk(finishReason) {
+  return {
+    candidates: [{
+      index: 0,
+      finishReason,
+      safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true }],
+    }],
+  };
+}
+
+function moderationChunk(prompt) {
+  const verdict = prompt.includes('[mock-unsafe]')
+    ? { allowed: false, category: 'dangerous_content', reason: 'The prompt is marked [mock-unsafe].' }
+    : { allowed: true };
+  return textChunk(JSON.stringify(verdict));
+}
+
+export function createMockProvider({ model = MOCK_MODEL } = {}) {
+  return {
+    name: 'mock',
+    model,
+    async generateContentStream({ contents, config, signal }) {
+      const parts = contents.flatMap(content => content.parts || []);
+      const prompt = parts.filter(part => part.text).map(part => part.text).join(' ');
+      const inputImages = parts.filter(part => part.inlineData).map(part => part.inlineData.data);
+
+      const forcedStatus = Number(process.env.MOCK_AI_ERROR) || Number(prompt.match(/\[mock-error:(\d{3})\]/)?.[1]);
+      if (forcedStatus) {
+        throw simulatedError(forcedStatus);
+      }
+
+      const blockedReason = prompt.match(/\[mock-blocked:([A-Z_]+)\]/)?.[1];
+      const delay = Number(process.env.MOCK_AI_DELAY_MS) || 0;
+      // The request's seed (see options.js) changes the colours, so batch
+      // variations with their own seeds come back different
+      const seed = [prompt, ...inputImages, ...(config?.seed !== undefined ? [`seed:${config.seed}`] : [])].join('|');
+      const description = inputImages.length
+        ? `Mock edit of ${inputImages.length} uploaded image(s): ${prompt}`
+        : `Mock image for: ${prompt}`;
+
+      return (async function* () {
+        const usage = usageMetadata(prompt, inputImages.length, description);
+        let chunks = [textChunk(description), imageChunk(createPlaceholderPng(seed), usage)];
+        if (config?.responseMimeType === 'application/json') {
+          chunks = [moderationChunk(prompt)];
+        } else if (blockedReason) {
+          chunks = [blockedChunk(blockedReason)];
+        }
+        for (const chunk of chunks) {
+          if (delay) {
+            await sleep(delay, signal);
+          }
+          signal?.throwIfAborted();
+          yield chunk;
+        }
+      })();
+    }
+  };
+}
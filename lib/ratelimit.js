@@ -0,0 +1,331 @@
+import { MAX_VARIATIONS } from './core.js';
+import { codedError } from './errors.js';
+import { createS3Client, s3OptionsFromEnv } from './s3.js';
+
+// Our own limits on model calls, so one busy client cannot use up the
+// team's Gemini quota. Each client (an API key, or an IP address while
+// authentication is off) has a token bucket that refills continuously, plus
+// optional daily and monthly quotas (calendar days and months, in UTC).
+// A request costs one token and one unit of quota per image it asks for,
+// so a batch of four variations costs four.
+//
+//   RATE_LIMIT_PER_MINUTE=10   tokens added per minute (0 turns the bucket off)
+//   RATE_LIMIT_BURST=10        bucket size, i.e. requests allowed at once
+//   QUOTA_DAILY=0              images per client per day (0: unlimited)
+//   QUOTA_MONTHLY=0            images per client per month (0: unlimited)
+//   RATE_LIMIT_STORE=memory    where usage is counted: memory or s3
+//
+// Limit stores expose `get(key)` and `compareAndSet(key, expected, value,
+// ttlMs)`, which stores `value` only while the key still holds `expected`
+// (what `get` returned; null for none) and resolves to whether it did.
+// A client's whole usage lives under one key, so a request is charged with a
+// single compare-and-set, retried when another request got there first.
+// The memory store suits a single server; deployments with several instances
+// (Netlify functions included) use the S3 store or pass their own store
+// backed by shared storage (Redis, a database, ...) with the same two
+// methods, so every instance counts against the same budget.
+
+// Response headers browsers on other origins may read (see CORS_ORIGINS)
+export const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'];
+
+export function limitsFromEnv(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === '' || !Number.isFinite(Number(value)) ? fallback : Math.max(0, Number(value)));
+  const perMinute = number(env.RATE_LIMIT_PER_MINUTE, 10);
+  return {
+    perMinute,
+    burst: Math.floor(number(env.RATE_LIMIT_BURST, perMinute)),
+    daily: Math.floor(number(env.QUOTA_DAILY, 0)),
+    monthly: Math.floor(number(env.QUOTA_MONTHLY, 0))
+  };
+}
+
+export function createMemoryLimitStore({ now = Date.now } = {}) {
+  const entries = new Map();
+  let lastSweep = now();
+
+  // Drop expired entries now and then, so idle clients don't accumulate
+  function sweep() {
+    if (now() - lastSweep < 60000) {
+      return;
+    }
+    lastSweep = now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= lastSweep) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  function read(key) {
+    const entry = entries.get(key);
+    return entry && entry.expiresAt > now() ? entry.value : null;
+  }
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+    async compareAndSet(key, expected, value, ttlMs) {
+      sweep();
+      if (!sameValue(read(key), expected)) {
+        return false;
+      }
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      return true;
+    }
+  };
+}
+
+// Keeps usage in S3-compatible object storage (see s3.js), one JSON object
+// per client under `prefix`, and relies on conditional writes for
+// compareAndSet. Expired objects are ignored; a lifecycle rule on the prefix
+// deletes them.
+export function createS3LimitStore({ client, prefix = 'ratelimit/', now = Date.now }) {
+  async function read(key) {
+    const object = await client.getObject(`${prefix}${key}.json`);
+    if (!object) {
+      return { value: null, etag: null };
+    }
+    const { value, expiresAt } = JSON.parse(object.body.toString());
+    return { value: expiresAt > now() ? value : null, etag: object.etag };
+  }
+
+  return {
+    async get(key) {
+      return (await read(key)).value;
+    },
+    async compareAndSet(key, expected, value, ttlMs) {
+      const current = await read(key);
+      if (!sameValue(current.value, expected)) {
+        return false;
+      }
+      const body = JSON.stringify({ value, expiresAt: now() + ttlMs });
+      return client.putObject(`${prefix}${key}.json`, body, 'application/json',
+        current.etag ? { ifMatch: current.etag } : { ifNoneMatch: '*' });
+    }
+  };
+}
+
+// Stored values are plain JSON
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// The store RATE_LIMIT_STORE names: `memory` (the default) or `s3`, which
+// uses the S3_* bucket (see s3.js) under RATE_LIMIT_S3_PREFIX
+export function limitStoreFromEnv(env = process.env) {
+  const type = env.RATE_LIMIT_STORE || 'memory';
+  if (type === 'memory') {
+    return createMemoryLimitStore();
+  }
+  if (type === 's3') {
+    const options = s3OptionsFromEnv(env);
+    if (!options) {
+      throw codedError('CONFIGURATION_ERROR', 'Rate limit store is not configured', 'RATE_LIMIT_STORE=s3 needs S3_BUCKET and its credentials.');
+    }
+    return createS3LimitStore({ client: createS3Client(options), prefix: env.RATE_LIMIT_S3_PREFIX ?? 'ratelimit/' });
+  }
+  throw codedError('CONFIGURATION_ERROR', 'Unknown rate limit store', `RATE_LIMIT_STORE must be memory or s3, not "${type}".`);
+}
+
+// The key a client's usage is counted under
+export function clientId({ user, ip }) {
+  return user ? `key:${user.keyId}` : `ip:${ip || 'unknown'}`;
+}
+
+// Images a request asks for: the variations of a generation, otherwise one
+export function requestCost({ type, count, variations } = {}) {
+  if (type && type !== 'generate') {
+    return 1;
+  }
+  const total = count !== undefined ? Number(count) : Array.isArray(variations) ? variations.length : 1;
+  return Number.isInteger(total) ? Math.min(Math.max(total, 1), MAX_VARIATIONS) : 1;
+}
+
+function nextDay(at) {
+  const date = new Date(at);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function nextMonth(at) {
+  const date = new Date(at);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+// How often a charge is retried when other requests keep changing the usage
+const MAX_ATTEMPTS = 5;
+
+export function createLimiter({ limits = limitsFromEnv(), store = createMemoryLimitStore(), now = Date.now } = {}) {
+  const { perMinute, burst, daily, monthly } = limits;
+  const refillPerMs = perMinute / 60000;
+  // Checks for the same client in this process run one after another, so
+  // they don't keep beating each other to the compare-and-set
+  const pending = new Map();
+
+  function serialized(id, fn) {
+    const run = (pending.get(id) || Promise.resolve()).catch(() => {}).then(fn);
+    pending.set(id, run);
+    run.catch(() => {}).finally(() => {
+      if (pending.get(id) === run) {
+        pending.delete(id);
+      }
+    });
+    return run;
+  }
+
+  // The windows of a client whose stored usage is `state`, as `{ name,
+  // limit, remaining, resetAt, ... }`, with what each needs before `cost` can
+  // be spent and a `spend(next)` that writes the spent window into the next
+  // state and returns how long it must be kept. A batch larger than the
+  // bucket only needs a full one, and leaves the bucket in debt.
+  function windows(state, at, cost = 0) {
+    const result = [];
+
+    if (perMinute > 0 && burst > 0) {
+      const bucket = state?.bucket;
+      const tokens = bucket ? Math.min(burst, bucket.tokens + (at - bucket.updatedAt) * refillPerMs) : burst;
+      const needed = Math.min(cost, burst);
+      result.push({
+        name: 'rate',
+        limit: burst,
+        remaining: Math.max(0, Math.floor(tokens)),
+        perMinute,
+        resetAt: at + Math.ceil((burst - tokens) / refillPerMs),
+        needed,
+        availableAt: at + Math.ceil(Math.max(0, needed - tokens) / refillPerMs),
+        spend: next => {
+          next.bucket = { tokens: tokens - cost, updatedAt: at };
+          return Math.ceil((burst - tokens + cost) / refillPerMs) + 1000;
+        }
+      });
+    }
+
+    const quotas = [
+      { name: 'daily', limit: daily, period: new Date(at).toISOString().slice(0, 10), resetAt: nextDay(at) },
+      { name: 'monthly', limit: monthly, period: new Date(at).toISOString().slice(0, 7), resetAt: nextMonth(at) }
+    ];
+    for (const { name, limit, period, resetAt } of quotas.filter(quota => quota.limit > 0)) {
+      const used = state?.[name]?.period === period ? state[name].used : 0;
+      result.push({
+        name,
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        resetAt,
+        needed: cost,
+        availableAt: resetAt,
+        spend: next => {
+          next[name] = { period, used: used + cost };
+          return resetAt - at;
+        }
+      });
+    }
+
+    return result;
+  }
+
+  return {
+    enabled: (perMinute > 0 && burst > 0) || daily > 0 || monthly > 0,
+    limits,
+    // Spend `cost` from every window, or throw a 429 without spending any.
+    // Resolves to the windows after spending.
+    consume(id, cost = 1) {
+      return serialized(id, async () => {
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+          const at = now();
+          const state = await store.get(id);
+          const current = windows(state, at, cost);
+          const exceeded = current.find(window => window.remaining < window.needed);
+          if (exceeded) {
+            throw limitError(exceeded, cost, at);
+          }
+          if (current.length === 0) {
+            return current;
+          }
+
+          const next = {};
+          const ttlMs = Math.max(...current.map(window => window.spend(next)));
+          if (await store.compareAndSet(id, state, next, ttlMs)) {
+            return windows(next, at);
+          }
+        }
+        throw Object.assign(codedError('RATE_LIMITED', 'Rate limit exceeded', 'Too many requests from this client at once. Please try again.'), {
+          retryAfter: 1,
+          headers: { 'Retry-After': '1' }
+        });
+      });
+    },
+    // The client's windows without spending anything
+    usage(id) {
+      return serialized(id, async () => windows(await store.get(id), now()));
+    }
+  };
+}
+
+let defaultLimiter;
+
+// The deployment's limiter, with the store RATE_LIMIT_STORE names (see
+// limitStoreFromEnv), created on first use
+export function getLimiter() {
+  defaultLimiter ??= createLimiter({ store: limitStoreFromEnv() });
+  return defaultLimiter;
+}
+
+// Standard rate limit headers (as in the IETF RateLimit draft) for the
+// window closest to running out
+export function rateLimitHeaders(windows, at = Date.now()) {
+  if (windows.length === 0) {
+    return {};
+  }
+  const closest = windows.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a));
+  return {
+    'RateLimit-Limit': String(closest.limit),
+    'RateLimit-Remaining': String(Math.max(0, closest.remaining)),
+    'RateLimit-Reset': String(Math.max(0, Math.ceil((closest.resetAt - at) / 1000)))
+  };
+}
+
+function limitError(window, cost, at) {
+  const retryAfter = Math.max(1, Math.ceil((window.availableAt - at) / 1000));
+  const asked = cost > 1 ? ` This request asks for ${cost} images.` : '';
+  const error = window.name === 'rate'
+    ? codedError('RATE_LIMITED', 'Rate limit exceeded',
+      `You can make ${window.limit} requests at once, refilled at ${window.perMinute} per minute.${asked} Please wait ${retryAfter} seconds and try again.`)
+    : codedError('QUOTA_EXCEEDED', window.name === 'daily' ? 'Daily quota exceeded' : 'Monthly quota exceeded',
+      `You have ${window.remaining} of ${window.limit} images left ${window.name === 'daily' ? 'today' : 'this month'}.${asked} The quota resets at ${new Date(window.resetAt).toISOString()}.`);
+  return Object.assign(error, {
+    retryAfter,
+    headers: { ...rateLimitHeaders([window], at), 'Retry-After': String(retryAfter) }
+  });
+}
+
+// Charge a request to its client. Resolves to the rate limit headers to
+// send with the response; a client over its limits gets a 429 carrying
+// them plus Retry-After.
+export async function checkLimits(cost, { limiter, user, ip }) {
+  if (!limiter.enabled) {
+    return {};
+  }
+  const windows = await limiter.consume(clientId({ user, ip }), cost);
+  return rateLimitHeaders(windows);
+}
+
+// What the client has left, for /api/usage
+export async function getUsage({ limiter, user, ip }) {
+  const windows = await limiter.usage(clientId({ user, ip }));
+  const describe = name => {
+    const window = windows.find(candidate => candidate.name === name);
+    if (!window) {
+      return null;
+    }
+    const { spend, needed, availableAt, resetAt, ...rest } = window;
+    return { ...rest, resetAt: new Date(resetAt).toISOString() };
+  };
+
+  return {
+    client: user ? { user: user.name } : { ip: ip || 'unknown' },
+    rate: describe('rate'),
+    daily: describe('daily'),
+    monthly: describe('monthly')
+  };
+}
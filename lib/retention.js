@@ -0,0 +1,153 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Retention for the generated images directory. A sweep evicts files older
+// than `maxAgeMs`, then the oldest remaining files until the directory is
+// back under `maxBytes` and `maxFiles`. A limit of 0 is off.
+//
+// Files that are still referenced (e.g. by a live edit session or a history
+// entry) are never evicted, and neither are files named in the directory's
+// .keep file (one per line) or files younger than MIN_AGE_MS, which may
+// still be on their way to a client.
+
+const MIN_AGE_MS = 5 * 60 * 1000;
+const KEEP_FILE = '.keep';
+
+// Unset variables use the default; an explicit 0 turns the limit off
+function envNumber(value, fallback) {
+  return value === undefined || value === '' ? fallback : Number(value) || 0;
+}
+
+// By default only the total size is capped (1 GB); age and file count are unlimited
+export function retentionLimitsFromEnv(env = process.env) {
+  return {
+    maxAgeMs: envNumber(env.GENERATED_MAX_AGE_HOURS, 0) * 60 * 60 * 1000,
+    maxBytes: envNumber(env.GENERATED_MAX_MB, 1024) * 1024 * 1024,
+    maxFiles: envNumber(env.GENERATED_MAX_FILES, 0),
+    sweepIntervalMs: (envNumber(env.GENERATED_SWEEP_MINUTES, 10) || 10) * 60 * 1000
+  };
+}
+
+// Regular, non-hidden files in `dir`, oldest first. A missing directory is empty.
+export async function scanDirectory(dir) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  const files = [];
+  for (const name of names.filter(name => !name.startsWith('.'))) {
+    const stats = await fs.stat(path.join(dir, name));
+    if (stats.isFile()) {
+      files.push({ name, size: stats.size, mtimeMs: stats.mtimeMs });
+    }
+  }
+  return files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+}
+
+export async function diskUsage(dir) {
+  const files = await scanDirectory(dir);
+  return {
+    files: files.length,
+    bytes: files.reduce((total, file) => total + file.size, 0),
+    oldest: files.length ? new Date(files[0].mtimeMs).toISOString() : null
+  };
+}
+
+async function keptFiles(dir) {
+  try {
+    const lines = (await fs.readFile(path.join(dir, KEEP_FILE), 'utf8')).split('\n');
+    return lines.map(line => line.trim()).filter(Boolean);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+}
+
+// Run one sweep. `referencedFiles()` resolves to the names that must be kept.
+export async function sweepDirectory(dir, { maxAgeMs, maxBytes, maxFiles }, referencedFiles = async () => new Set(), now = Date.now()) {
+  const files = await scanDirectory(dir);
+  const referenced = new Set([...await referencedFiles(), ...await keptFiles(dir)]);
+  let bytes = files.reduce((total, file) => total + file.size, 0);
+  let count = files.length;
+
+  const removed = [];
+  for (const file of files) {
+    const age = now - file.mtimeMs;
+    if (referenced.has(file.name) || age < MIN_AGE_MS) {
+      continue;
+    }
+
+    const expired = maxAgeMs > 0 && age > maxAgeMs;
+    const overBytes = maxBytes > 0 && bytes > maxBytes;
+    const overFiles = maxFiles > 0 && count > maxFiles;
+    if (!expired && !overBytes && !overFiles) {
+      continue;
+    }
+
+    try {
+      await fs.unlink(path.join(dir, file.name));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    bytes -= file.size;
+    count--;
+    removed.push(file.name);
+  }
+
+  return { removed, files: count, bytes };
+}
+
+// Sweep now and then every `sweepIntervalMs`. The timer does not keep the
+// process alive, and a sweep that is still running is never started twice.
+export function startSweeper(dir, limits, referencedFiles) {
+  let running = false;
+
+  async function sweep() {
+    if (running) {
+      return null;
+    }
+    running = true;
+    try {
+      const result = await sweepDirectory(dir, limits, referencedFiles);
+      if (result.removed.length > 0) {
+        console.log(`Retention sweep removed ${result.removed.length} generated files (${formatBytes(result.bytes)} in ${result.files} files left)`);
+      }
+      return result;
+    } catch (error) {
+      console.error('Retention sweep failed:', error);
+      return null;
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = setInterval(sweep, limits.sweepIntervalMs);
+  timer.unref();
+  sweep();
+
+  return {
+    sweep,
+    stop: () => clearInterval(timer)
+  };
+}
+
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
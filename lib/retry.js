@@ -0,0 +1,102 @@
+import { HttpError, toErrorResponse } from './errors.js';
+
+// Retry policy for model calls. Rate limits (429) and server-side failures
+// (500, 502, 503, 504, dropped connections) are retried with exponential
+// backoff and full jitter; everything else, such as 400 (bad request) and
+// 401 (bad key), fails at once. A retry-after hint from the API is honoured
+// when it is within `maxDelayMs`; a longer one (e.g. a daily quota) is not
+// worth waiting for and fails at once.
+//
+//   MODEL_MAX_ATTEMPTS=3        attempts per model call, including the first
+//   MODEL_RETRY_BASE_MS=1000    backoff before the second attempt
+//   MODEL_RETRY_MAX_MS=30000    longest single wait
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+export function retryPolicyFromEnv(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value));
+  return {
+    maxAttempts: Math.max(1, Math.floor(number(env.MODEL_MAX_ATTEMPTS, 3))),
+    baseDelayMs: Math.max(0, number(env.MODEL_RETRY_BASE_MS, 1000)),
+    maxDelayMs: Math.max(0, number(env.MODEL_RETRY_MAX_MS, 30000))
+  };
+}
+
+// Errors raised by our own code (HttpError) are never retried
+export function isRetryable(error) {
+  if (error instanceof HttpError) {
+    return false;
+  }
+  return RETRYABLE_STATUSES.has(error.status) || TRANSIENT_CODES.has(error.code ?? error.cause?.code);
+}
+
+// How long the API asked us to wait, in ms: a Retry-After header, or the
+// `retryDelay` of a Gemini RetryInfo detail (embedded in the error message)
+export function retryAfterMs(error) {
+  const header = error.headers?.get?.('retry-after') ?? error.headers?.['retry-after'];
+  if (header !== undefined && header !== null && Number.isFinite(Number(header))) {
+    return Number(header) * 1000;
+  }
+
+  const match = String(error.message || '').match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+  return match ? Math.round(Number(match[1]) * 1000) : null;
+}
+
+// Full jitter: a random wait up to the exponential ceiling for `attempt`
+// (the attempt that just failed, from 1)
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+}
+
+// Resolves after `ms`, or rejects as soon as `signal` is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    function abort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+// Call `fn` until it succeeds, the error is not retryable, `shouldRetry()`
+// says no, `signal` is aborted or the attempts run out. Before each retry
+// `onRetry` gets
+// `{ attempt, maxAttempts, delayMs, status, reason }`, where `attempt` is the
+// attempt about to start. The final error carries `attempts` and, when the
+// API sent one, `retryAfterMs`.
+export async function withRetry(fn, { policy = retryPolicyFromEnv(), shouldRetry = () => true, onRetry, signal, wait = ms => sleep(ms, signal), random } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const hint = retryAfterMs(error);
+      const gaveUp = attempt >= policy.maxAttempts
+        || signal?.aborted
+        || !isRetryable(error)
+        || !shouldRetry(error)
+        || (hint !== null && hint > policy.maxDelayMs);
+
+      if (gaveUp) {
+        error.attempts = attempt;
+        if (hint !== null) {
+          error.retryAfterMs = hint;
+        }
+        throw error;
+      }
+
+      const delayMs = Math.max(hint ?? 0, backoffDelay(attempt, policy, random));
+      const status = error.status ?? error.code ?? error.cause?.code;
+      const reason = toErrorResponse(error, 'Model temporarily unavailable').body.error;
+      console.log(`Model call failed with ${status} (attempt ${attempt} of ${policy.maxAttempts}); retrying in ${delayMs}ms`);
+      onRetry?.({ attempt: attempt + 1, maxAttempts: policy.maxAttempts, delayMs, status, reason });
+      await wait(delayMs);
+    }
+  }
+}
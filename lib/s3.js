@@ -0,0 +1,196 @@
+import { createHash, createHmac } from 'crypto';
+
+// Minimal client for S3-compatible object storage (AWS S3, MinIO, R2, ...)
+// signed with AWS Signature Version 4. It only covers what the object-storage
+// sink and the shared stores need: reading, uploading (optionally on a
+// condition) and deleting objects and presigning GET URLs.
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+function sha256Hex(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+// 20130524T000000Z
+function amzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+function canonicalQuery(params) {
+  return Object.keys(params)
+    .sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+    .join('&');
+}
+
+export function createS3Client({
+  bucket,
+  region = 'us-east-1',
+  endpoint = `https://s3.${region}.amazonaws.com`,
+  forcePathStyle = false,
+  accessKeyId,
+  secretAccessKey,
+  sessionToken,
+  fetch = globalThis.fetch
+}) {
+  const base = new URL(endpoint);
+
+  // Path-style (endpoint/bucket/key) suits MinIO and other stand-ins;
+  // virtual-hosted style (bucket.endpoint/key) is what AWS expects
+  function objectUrl(key) {
+    const url = new URL(base);
+    if (forcePathStyle) {
+      url.pathname = `${base.pathname.replace(/\/$/, '')}/${bucket}/${encodeKey(key)}`;
+    } else {
+      url.host = `${bucket}.${base.host}`;
+      url.pathname = `/${encodeKey(key)}`;
+    }
+    return url;
+  }
+
+  function sign(method, url, headers, query, payloadHash, date) {
+    const dateStamp = amzDate(date).slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(query),
+      headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate(date), scope, sha256Hex(canonicalRequest)].join('\n');
+
+    let key = hmac(`AWS4${secretAccessKey}`, dateStamp);
+    for (const part of [region, 's3', 'aws4_request']) {
+      key = hmac(key, part);
+    }
+
+    return {
+      credential: `${accessKeyId}/${scope}`,
+      signedHeaders: headerNames.join(';'),
+      signature: createHmac('sha256', key).update(stringToSign).digest('hex')
+    };
+  }
+
+  async function send(method, key, { body, contentType, extraHeaders } = {}) {
+    const url = objectUrl(key);
+    const date = new Date();
+    const payloadHash = sha256Hex(body || '');
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate(date),
+      ...(contentType && { 'content-type': contentType }),
+      ...(sessionToken && { 'x-amz-security-token': sessionToken }),
+      ...extraHeaders
+    };
+
+    const { credential, signedHeaders, signature } = sign(method, url, headers, {}, payloadHash, date);
+    const { host, ...requestHeaders } = headers;
+
+    return fetch(url, {
+      method,
+      body,
+      headers: {
+        ...requestHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      }
+    });
+  }
+
+  async function check(response, action, key) {
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`S3 ${action} of ${key} failed with status ${response.status}${text ? `: ${text}` : ''}`);
+    }
+  }
+
+  return {
+    // With `ifMatch` (an ETag) or `ifNoneMatch: '*'` the upload only happens
+    // while the object is unchanged or missing; resolves to whether it did
+    async putObject(key, body, contentType, { ifMatch, ifNoneMatch } = {}) {
+      const extraHeaders = {
+        ...(ifMatch && { 'if-match': ifMatch }),
+        ...(ifNoneMatch && { 'if-none-match': ifNoneMatch })
+      };
+      const response = await send('PUT', key, { body, contentType, extraHeaders });
+      // 409 is a conditional write that lost a race with another one
+      if ((ifMatch || ifNoneMatch) && (response.status === 412 || response.status === 409)) {
+        return false;
+      }
+      await check(response, 'upload', key);
+      return true;
+    },
+
+    // The object's body and ETag, or null when there is no such object
+    async getObject(key) {
+      const response = await send('GET', key);
+      if (response.status === 404) {
+        return null;
+      }
+      await check(response, 'download', key);
+      return { body: Buffer.from(await response.arrayBuffer()), etag: response.headers.get('etag') };
+    },
+
+    // Deleting an object that does not exist is not an error
+    async deleteObject(key) {
+      const response = await send('DELETE', key);
+      if (response.status !== 404) {
+        await check(response, 'delete', key);
+      }
+    },
+
+    // A GET URL anyone can use until it expires
+    presignGetObject(key, expiresIn, date = new Date()) {
+      const url = objectUrl(key);
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${amzDate(date).slice(0, 8)}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate(date),
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host',
+        ...(sessionToken && { 'X-Amz-Security-Token': sessionToken })
+      };
+
+      const { signature } = sign('GET', url, { host: url.host }, query, UNSIGNED_PAYLOAD, date);
+      url.search = `${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+      return url.toString();
+    }
+  };
+}
+
+// Client options from the S3_* variables, or null when S3_BUCKET is unset.
+// A custom S3_ENDPOINT (MinIO and friends) defaults to path-style URLs.
+export function s3OptionsFromEnv(env = process.env) {
+  if (!env.S3_BUCKET) {
+    return null;
+  }
+
+  return {
+    bucket: env.S3_BUCKET,
+    region: env.S3_REGION || 'us-east-1',
+    endpoint: env.S3_ENDPOINT || undefined,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE === undefined ? Boolean(env.S3_ENDPOINT) : env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: env.S3_ACCESS_KEY_ID,
+    secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+    sessionToken: env.S3_SESSION_TOKEN || undefined
+  };
+}
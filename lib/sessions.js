@@ -0,0 +1,277 @@
+import { randomUUID } from 'crypto';
+import { requirePrompt, runModel, userTag } from './core.js';
+import { HttpError, codedError } from './errors.js';
+import { describeSourceImage, recordHistory } from './history.js';
+import { normalizeImage } from './images.js';
+import { maskParts, maskedSink, prepareMask } from './masks.js';
+import { resolveModel } from './models.js';
+import { moderatePrompt } from './moderation.js';
+import { generationConfig, parseGenerationOptions, withAspectRatio } from './options.js';
+
+// Conversational editing sessions. A session keeps the multi-turn `contents`
+// history (user prompts, the uploaded image, the model's replies and images)
+// so follow-ups like "now make it warmer" refine the previous result.
+//
+// Sessions live in a store with `get(id)`, `set(id, session)`, `delete(id)`
+// and `all()`. The default store is in memory, so on Netlify a session only
+// survives while the same function instance stays warm.
+
+// Older turns are dropped (keeping the first, which has the original image)
+// so long sessions don't grow the prompt without bound
+export const MAX_HISTORY_TURNS = Number(process.env.SESSION_MAX_TURNS) || 10;
+
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 60) * 60 * 1000;
+
+export function createMemorySessionStore({ ttlMs = SESSION_TTL_MS, maxSessions = 100 } = {}) {
+  const sessions = new Map();
+
+  function evictExpired() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (now - session.updatedAt > ttlMs) {
+        sessions.delete(id);
+      }
+    }
+  }
+
+  return {
+    async get(id) {
+      evictExpired();
+      return sessions.get(id) || null;
+    },
+    async set(id, session) {
+      sessions.delete(id);
+      sessions.set(id, session);
+      // Map keeps insertion order, so the first entry is the least recently used
+      while (sessions.size > maxSessions) {
+        sessions.delete(sessions.keys().next().value);
+      }
+    },
+    async delete(id) {
+      return sessions.delete(id);
+    },
+    async all() {
+      evictExpired();
+      return [...sessions.values()];
+    }
+  };
+}
+
+export const defaultSessionStore = createMemorySessionStore();
+
+// Wrap a sink so the bytes of every saved image are kept for the history
+function capturingSink(sink, images) {
+  return {
+    ...sink,
+    async save(file) {
+      const url = await sink.save(file);
+      images.set(url, file);
+      return url;
+    }
+  };
+}
+
+// Rebuild the model's reply (first candidate) from its results
+function modelContent(results, images) {
+  const parts = results
+    .filter(result => (result.candidate ?? 0) === 0)
+    .map(result => {
+      if (result.type === 'image') {
+        const { buffer, mimeType } = images.get(result.url);
+        return { inlineData: { mimeType, data: buffer.toString('base64') } };
+      }
+      return { text: result.content };
+    });
+  return { role: 'model', parts };
+}
+
+function trimHistory(contents) {
+  const maxEntries = MAX_HISTORY_TURNS * 2;
+  if (contents.length <= maxEntries) {
+    return contents;
+  }
+  return [...contents.slice(0, 2), ...contents.slice(contents.length - (maxEntries - 2))];
+}
+
+// While authentication is on, only the user who started a session, or an
+// admin, can use it. Other users' sessions are reported as missing.
+async function loadSession(store, sessionId, user) {
+  const session = await store.get(sessionId);
+  const visible = session && (!session.user || session.user === user?.name || user?.role === 'admin');
+  if (!visible) {
+    throw codedError('SESSION_NOT_FOUND', 'Session not found', 'The session may have expired. Start a new one by uploading an image.');
+  }
+  return session;
+}
+
+async function runTurn(session, prompt, userContent, { store = defaultSessionStore, sink, ...options }) {
+  if (session.busy) {
+    throw new HttpError(409, 'Session is busy', 'Wait for the current edit to finish before sending another.');
+  }
+
+  session.busy = true;
+  try {
+    const images = new Map();
+    const contents = [...session.contents, userContent];
+    // Masked sessions composite every turn over the original image, so the
+    // model's history holds the same images the user sees
+    const capturing = capturingSink(sink, images);
+    const turnSink = session.mask ? maskedSink(capturing, session.image, session.mask) : capturing;
+    const output = await runModel(
+      contents,
+      { ...options, sink: turnSink, model: session.model, mode: 'edit' },
+      'edit_session',
+      generationConfig(session.options)
+    );
+
+    const turn = session.turns.length + 1;
+    session.contents = trimHistory([...contents, modelContent(output.results, images)]);
+    session.turns.push({ turn, prompt, results: output.results, createdAt: new Date().toISOString() });
+    session.updatedAt = Date.now();
+    session.busy = false;
+    await store.set(session.id, session);
+
+    return {
+      success: true,
+      sessionId: session.id,
+      turn,
+      prompt,
+      model: session.model,
+      options: session.options,
+      ...output
+    };
+  } finally {
+    session.busy = false;
+  }
+}
+
+// Start a session from an uploaded image ({ buffer, mimeType, name }) and a
+// first prompt. With a mask, every turn only changes the painted area. The
+// `model` (see models.js) and generation `options` (see options.js) apply
+// to every turn until a follow-up sends its own.
+export async function startSession({ prompt, image, mask, options: generationOptions, model }, options = {}) {
+  requirePrompt(prompt);
+
+  if (!image) {
+    throw new HttpError(400, 'Image file is required');
+  }
+  await moderatePrompt(prompt, options);
+
+  const generation = parseGenerationOptions(generationOptions);
+  const sessionModel = resolveModel('edit', model, options);
+  const normalized = await normalizeImage(image);
+  const preparedMask = mask && await prepareMask(mask, normalized);
+
+  const session = {
+    id: randomUUID(),
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    originalImage: {
+      name: image.name,
+      size: image.buffer.length,
+      mimeType: normalized.original.mimeType
+    },
+    ...(preparedMask && { image: normalized, mask: preparedMask }),
+    model: sessionModel,
+    options: generation,
+    ...(options.user && { user: options.user.name }),
+    contents: [],
+    turns: [],
+    busy: false
+  };
+
+  console.log(`${userTag(options)}Starting edit session ${session.id} with prompt:`, prompt);
+
+  const userContent = {
+    role: 'user',
+    parts: [
+      { text: withAspectRatio(`Based on the uploaded image, ${prompt}`, generation) },
+      { inlineData: { mimeType: normalized.mimeType, data: normalized.buffer.toString('base64') } },
+      ...(preparedMask ? maskParts(preparedMask) : [])
+    ]
+  };
+
+  const startedAt = Date.now();
+  const data = await runTurn(session, prompt, userContent, options);
+
+  await recordHistory(options, {
+    mode: 'edit',
+    prompt,
+    sourceImages: [describeSourceImage(image), ...(mask ? [{ label: 'mask', ...describeSourceImage(mask) }] : [])],
+    startedAt,
+    data,
+    model: sessionModel,
+    options: generation,
+    sessionId: session.id,
+    turn: data.turn
+  });
+  return { ...data, originalImage: session.originalImage };
+}
+
+// Send a follow-up prompt that refines the latest result of a session.
+// Follow-ups that send `model` or `options` replace the session's for this
+// and later turns.
+export async function continueSession({ sessionId, prompt, options: generationOptions, model }, options = {}) {
+  requirePrompt(prompt);
+  await moderatePrompt(prompt, options);
+
+  const generation = generationOptions === undefined ? null : parseGenerationOptions(generationOptions);
+  const sessionModel = model ? resolveModel('edit', model, options) : null;
+  const session = await loadSession(options.store || defaultSessionStore, sessionId, options.user);
+  if (!session.busy) {
+    session.options = generation || session.options;
+    session.model = sessionModel || session.model;
+  }
+
+  console.log(`${userTag(options)}Continuing edit session ${sessionId} with prompt:`, prompt);
+
+  const masked = session.mask ? ' Again, only change the area that is white in the mask.' : '';
+  const userContent = {
+    role: 'user',
+    parts: [{ text: withAspectRatio(`Now, starting from your most recent image, ${prompt}${masked}`, session.options) }]
+  };
+
+  const startedAt = Date.now();
+  const data = await runTurn(session, prompt, userContent, options);
+
+  await recordHistory(options, {
+    mode: 'edit',
+    prompt,
+    startedAt,
+    data,
+    model: session.model,
+    options: session.options,
+    sessionId,
+    turn: data.turn
+  });
+  return data;
+}
+
+// The edit chain of a session, without the raw model history
+export async function getSession(sessionId, { store = defaultSessionStore, user } = {}) {
+  const session = await loadSession(store, sessionId, user);
+  return {
+    sessionId: session.id,
+    createdAt: new Date(session.createdAt).toISOString(),
+    updatedAt: new Date(session.updatedAt).toISOString(),
+    originalImage: session.originalImage,
+    turns: session.turns
+  };
+}
+
+// Names of the generated files shown in live sessions' edit chains, which
+// the retention sweeper must keep (see retention.js)
+export async function referencedFiles(store = defaultSessionStore) {
+  const sessions = await store.all();
+  return new Set(sessions.flatMap(session => session.turns.flatMap(turn => turn.results
+    .filter(result => result.type === 'image')
+    .map(result => result.filename))));
+}
+
+export async function deleteSession(sessionId, { store = defaultSessionStore, user } = {}) {
+  await loadSession(store, sessionId, user);
+  if (!(await store.delete(sessionId))) {
+    throw codedError('SESSION_NOT_FOUND', 'Session not found');
+  }
+  return { success: true, sessionId };
+}
@@ -0,0 +1,97 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createS3Client, s3OptionsFromEnv } from './s3.js';
+
+// Image sinks decide where generated images end up. Every sink exposes
+// `save({ fileName, buffer, mimeType })` and resolves to the `url` the
+// client should use to display or download the image. Sinks that keep files
+// also expose `remove(fileName)`, and sinks whose URLs expire expose
+// `url(fileName)` to issue a fresh one.
+
+// Writes images to a directory that is served statically (Express). With
+// `signUrl` (see auth.js) the URLs are signed links that expire.
+export function createDiskSink(outputDir, publicPath = '/generated', { signUrl } = {}) {
+  const fileUrl = fileName => (signUrl ? signUrl(`${publicPath}/${fileName}`) : `${publicPath}/${fileName}`);
+
+  return {
+    name: 'disk',
+    async save({ fileName, buffer }) {
+      try {
+        await fs.mkdir(outputDir, { recursive: true });
+        const filePath = path.join(outputDir, fileName);
+        await fs.writeFile(filePath, buffer);
+        console.log(`File ${fileName} saved to ${filePath}`);
+        return fileUrl(fileName);
+      } catch (err) {
+        console.error(`Error writing file ${fileName}:`, err);
+        throw err;
+      }
+    },
+    // Delete a saved image; files that are already gone are ignored
+    async remove(fileName) {
+      try {
+        await fs.unlink(path.join(outputDir, path.basename(fileName)));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    },
+    ...(signUrl && {
+      async url(fileName) {
+        return fileUrl(path.basename(fileName));
+      }
+    })
+  };
+}
+
+// Returns images inline as data URLs (Netlify, where there is no writable public dir)
+export function createInlineSink() {
+  return {
+    name: 'inline',
+    async save({ buffer, mimeType }) {
+      return `data:${mimeType};base64,${buffer.toString('base64')}`;
+    }
+  };
+}
+
+// Uploads images to S3-compatible object storage and returns short-lived
+// signed URLs, so neither transport serves or inlines the image bytes
+export function createS3Sink({ prefix = 'generated/', urlExpiresIn = 3600, ...clientOptions }) {
+  const client = createS3Client(clientOptions);
+
+  return {
+    name: 's3',
+    async save({ fileName, buffer, mimeType }) {
+      try {
+        await client.putObject(`${prefix}${fileName}`, buffer, mimeType);
+        console.log(`File ${fileName} uploaded to ${clientOptions.bucket}/${prefix}${fileName}`);
+        return client.presignGetObject(`${prefix}${fileName}`, urlExpiresIn);
+      } catch (err) {
+        console.error(`Error uploading file ${fileName}:`, err);
+        throw err;
+      }
+    },
+    async remove(fileName) {
+      await client.deleteObject(`${prefix}${path.basename(fileName)}`);
+    },
+    async url(fileName) {
+      return client.presignGetObject(`${prefix}${path.basename(fileName)}`, urlExpiresIn);
+    }
+  };
+}
+
+// The S3 sink configured by S3_* variables (see s3OptionsFromEnv), or null
+// when S3_BUCKET is unset
+export function s3SinkFromEnv(env = process.env) {
+  const options = s3OptionsFromEnv(env);
+  if (!options) {
+    return null;
+  }
+
+  return createS3Sink({
+    ...options,
+    prefix: env.S3_PREFIX ?? 'generated/',
+    urlExpiresIn: Number(env.S3_URL_EXPIRES_SECONDS) || 3600
+  });
+}
@@ -0,0 +1,66 @@
+import { toErrorResponse } from './errors.js';
+
+// Server-Sent Events framing for the streaming variant of the image endpoints.
+// A client opts in with `Accept: text/event-stream` and receives:
+//
+//   event: result   { index, ...result } as soon as the model produces it; a
+//                   text result is re-sent with the same index as it grows
+//   event: done     the response summary (same as the JSON body, minus results)
+//   event: retrying { attempt, maxAttempts, delayMs, status, reason } when a
+//                   model call failed and is retried (see retry.js)
+//   event: error    { status, error, details } if the call fails mid-stream
+//
+// Batch generations tag each result (and retry) with its `variation` index;
+// result indexes are per variation.
+//
+// Errors raised before the first event are returned as a normal JSON error
+// response so validation failures keep their HTTP status.
+
+export function wantsEventStream(acceptHeader) {
+  return /text\/event-stream/.test(acceptHeader || '');
+}
+
+export function formatSseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// The JSON body without the results that were already streamed
+function summarize({ results, variations, ...summary }) {
+  if (variations) {
+    summary.variations = variations.map(({ results: variationResults, ...variation }) => ({
+      ...variation,
+      resultCount: variationResults.length,
+    }));
+  }
+  if (results) {
+    summary.resultCount = results.length;
+  }
+  return summary;
+}
+
+// Run a core operation, passing each event to `write`. `write` is only called
+// once something is ready to send; resolves to `{ started, error }` so the
+// transport can fall back to a JSON error when nothing was sent yet.
+export async function streamOperation(operation, write, fallbackMessage) {
+  let started = false;
+  const send = (event, data) => {
+    started = true;
+    write(formatSseEvent(event, data));
+  };
+
+  try {
+    const data = await operation(
+      (result, index) => send('result', { index, ...result }),
+      retry => send('retrying', retry)
+    );
+    send('done', summarize(data));
+    return { started };
+  } catch (error) {
+    if (!started) {
+      return { started, error };
+    }
+    const { status, body } = toErrorResponse(error, fallbackMessage);
+    send('error', { status, ...body });
+    return { started, error };
+  }
+}
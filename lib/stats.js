@@ -0,0 +1,185 @@
+import { HttpError } from './errors.js';
+import { createJsonFileStore } from './jsonstore.js';
+import { getModelRegistry } from './models.js';
+import { getProvider } from './providers/index.js';
+
+// Usage and cost accounting. Every model call (each variation of a batch,
+// each edit-session turn) is recorded with the token counts from its
+// response's `usageMetadata`, its latency and its model. Calls are added up
+// per day (UTC), user, mode and model, so the store stays small however
+// busy the server is. /api/stats reports the totals with an estimated cost
+// from each model's `pricing` in the model registry (see models.js).
+//
+// Stats stores expose `add(call)`, which adds a call to its row, and
+// `all()`, the rows. The core only records when a store is passed in the
+// options, the same way it takes a history store.
+
+const COUNTERS = ['calls', 'failures', 'promptTokens', 'candidateTokens', 'imageTokens', 'totalTokens', 'latencyMs'];
+const DEFAULT_DAYS = 30;
+
+// Add a call to the row for its day, user, mode and model
+function addCall(rows, { day, user, mode, model, provider, ...counts }) {
+  let row = rows.find(candidate => candidate.day === day && candidate.user === user
+    && candidate.mode === mode && candidate.model === model);
+  if (!row) {
+    row = { day, user, mode, model, provider, ...Object.fromEntries(COUNTERS.map(counter => [counter, 0])) };
+    rows.push(row);
+  }
+  for (const counter of COUNTERS) {
+    row[counter] += counts[counter] || 0;
+  }
+}
+
+export function createMemoryStatsStore() {
+  const rows = [];
+
+  return {
+    async add(call) {
+      addCall(rows, call);
+    },
+    async all() {
+      return rows.map(row => ({ ...row }));
+    }
+  };
+}
+
+// Keeps the rows in a JSON file (Express), like the history store
+export function createJsonStatsStore(filePath) {
+  const { load, save } = createJsonFileStore(filePath, 'rows');
+
+  return {
+    async add(call) {
+      const rows = await load();
+      addCall(rows, call);
+      await save(rows);
+    },
+    async all() {
+      return (await load()).map(row => ({ ...row }));
+    }
+  };
+}
+
+// The token counts of a response's `usageMetadata`. Streamed responses
+// repeat it with running totals, so the last one seen counts.
+export function tokenUsage(metadata) {
+  if (!metadata) {
+    return null;
+  }
+  const imageTokens = (metadata.candidatesTokensDetails || [])
+    .filter(detail => detail.modality === 'IMAGE')
+    .reduce((sum, detail) => sum + (detail.tokenCount || 0), 0);
+  return {
+    promptTokens: metadata.promptTokenCount || 0,
+    candidateTokens: metadata.candidatesTokenCount || 0,
+    imageTokens,
+    totalTokens: metadata.totalTokenCount || 0
+  };
+}
+
+// Record one model call. `startedAt` is the Date.now() taken before the
+// call (retries included) and `usage` its tokenUsage, if the model sent
+// any. Recording failures are logged and never fail the request.
+export async function recordCall({ stats, provider, user }, { mode, model, startedAt, usage, failed = false }) {
+  if (!stats) {
+    return;
+  }
+  provider ??= getProvider();
+
+  try {
+    await stats.add({
+      day: new Date(startedAt).toISOString().slice(0, 10),
+      user: user?.name ?? null,
+      mode,
+      model: model ?? provider.model,
+      provider: provider.name,
+      calls: 1,
+      failures: failed ? 1 : 0,
+      latencyMs: Date.now() - startedAt,
+      ...usage
+    });
+  } catch (error) {
+    console.error('Failed to record usage:', error);
+  }
+}
+
+// Estimated USD cost of a row's tokens, or null for models without pricing
+export function estimateCost(row, pricing) {
+  if (!pricing) {
+    return null;
+  }
+  const { input = 0, output = 0, imageOutput = output } = pricing;
+  const textTokens = Math.max(0, row.candidateTokens - row.imageTokens);
+  return (row.promptTokens * input + textTokens * output + row.imageTokens * imageOutput) / 1e6;
+}
+
+function parseDay(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new HttpError(400, `${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+// Sum rows into one summary. Calls to models without pricing are counted
+// in `unpricedCalls` and left out of `estimatedCost`.
+function summarize(rows, models) {
+  const totals = Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+  let cost = 0;
+  let unpricedCalls = 0;
+
+  for (const row of rows) {
+    for (const counter of COUNTERS) {
+      totals[counter] += row[counter];
+    }
+    const rowCost = estimateCost(row, models.get(row.model)?.pricing);
+    if (rowCost === null) {
+      unpricedCalls += row.calls;
+    } else {
+      cost += rowCost;
+    }
+  }
+
+  const { latencyMs, ...counts } = totals;
+  return {
+    ...counts,
+    averageLatencyMs: totals.calls ? Math.round(latencyMs / totals.calls) : 0,
+    estimatedCost: Math.round(cost * 1e6) / 1e6,
+    unpricedCalls
+  };
+}
+
+function groupBy(rows, field, models) {
+  const groups = new Map();
+  for (const row of rows) {
+    groups.set(row[field], [...(groups.get(row[field]) || []), row]);
+  }
+  return [...groups].map(([key, group]) => ({ [field]: key, ...summarize(group, models) }));
+}
+
+// Usage between `from` and `to` (days, default the last 30) for /api/stats,
+// in total and per day, user, mode and model. While authentication is on,
+// users only see their own usage; admins see everyone's and may pick a
+// `user`. `mode` keeps one kind of request.
+export async function getStats({ from, to, user: userName, mode } = {}, { stats, models = getModelRegistry(), user, now = Date.now() }) {
+  const today = new Date(now).toISOString().slice(0, 10);
+  const toDay = parseDay(to, 'to', today);
+  const fromDay = parseDay(from, 'from', new Date(Date.parse(toDay) - (DEFAULT_DAYS - 1) * 86400000).toISOString().slice(0, 10));
+  const onlyUser = user && user.role !== 'admin' ? user.name : userName || null;
+
+  const rows = (await stats.all()).filter(row => row.day >= fromDay && row.day <= toDay
+    && (!onlyUser || row.user === onlyUser)
+    && (!mode || row.mode === mode));
+
+  return {
+    from: fromDay,
+    to: toDay,
+    currency: 'USD',
+    totals: summarize(rows, models),
+    byDay: groupBy(rows, 'day', models).sort((a, b) => a.day.localeCompare(b.day)),
+    byUser: groupBy(rows, 'user', models).sort((a, b) => b.calls - a.calls),
+    byMode: groupBy(rows, 'mode', models).sort((a, b) => b.calls - a.calls),
+    byModel: groupBy(rows, 'model', models).sort((a, b) => b.calls - a.calls)
+  };
+}
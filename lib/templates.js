@@ -0,0 +1,228 @@
+import { randomUUID } from 'crypto';
+import { HttpError } from './errors.js';
+import { createJsonFileStore } from './jsonstore.js';
+
+// Prompt templates. A template is a prompt with `{{variables}}`, e.g.
+// "A studio photo of {{subject}} in a {{palette}} palette", plus optional
+// default values. The UI renders a small form for the variables and expands
+// the template into the prompt it sends to /api/generate-image or
+// /api/manipulate-image.
+//
+// Template stores expose `get(id)`, `put(template)` (insert or replace),
+// `delete(id)` and `all()`. New stores start with DEFAULT_TEMPLATES.
+
+const MAX_NAME_LENGTH = 100;
+const MAX_PROMPT_LENGTH = 4000;
+const TEMPLATE_MODES = ['any', 'generate', 'manipulate'];
+
+// `{{ name }}`; names are letters, digits and underscores
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'product-shot',
+    name: 'Product shot',
+    mode: 'generate',
+    prompt: 'A professional studio photograph of {{subject}} on a seamless background, soft diffused lighting, {{palette}} color palette, {{aspect}} aspect ratio',
+    defaults: { palette: 'neutral', aspect: '1:1' }
+  },
+  {
+    id: 'watercolor',
+    name: 'Watercolor illustration',
+    mode: 'generate',
+    prompt: 'A loose watercolor illustration of {{subject}} with visible paper texture, {{palette}} palette, {{aspect}} aspect ratio',
+    defaults: { palette: 'soft pastel', aspect: '4:3' }
+  },
+  {
+    id: 'restyle',
+    name: 'Restyle photo',
+    mode: 'manipulate',
+    prompt: 'Restyle this image as {{style}} using a {{palette}} palette, keeping {{subject}} recognizable',
+    defaults: { style: 'a vintage film photograph', palette: 'warm' }
+  }
+].map(template => ({ ...template, createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z' }));
+
+export function createMemoryTemplateStore(initial = DEFAULT_TEMPLATES) {
+  const templates = new Map(initial.map(template => [template.id, { ...template }]));
+
+  return {
+    async get(id) {
+      return templates.get(id) || null;
+    },
+    async put(template) {
+      templates.set(template.id, template);
+    },
+    async delete(id) {
+      return templates.delete(id);
+    },
+    async all() {
+      return [...templates.values()];
+    }
+  };
+}
+
+// Keeps templates in a JSON file (Express), like the history store. A
+// missing file starts from DEFAULT_TEMPLATES.
+export function createJsonTemplateStore(filePath) {
+  const { load, save } = createJsonFileStore(filePath, 'templates',
+    () => DEFAULT_TEMPLATES.map(template => ({ ...template })));
+
+  return {
+    async get(id) {
+      const templates = await load();
+      return templates.find(template => template.id === id) || null;
+    },
+    async put(template) {
+      const templates = await load();
+      const index = templates.findIndex(existing => existing.id === template.id);
+      if (index === -1) {
+        templates.push(template);
+      } else {
+        templates[index] = template;
+      }
+      await save(templates);
+    },
+    async delete(id) {
+      const templates = await load();
+      const index = templates.findIndex(template => template.id === id);
+      if (index === -1) {
+        return false;
+      }
+      templates.splice(index, 1);
+      await save(templates);
+      return true;
+    },
+    async all() {
+      return [...(await load())];
+    }
+  };
+}
+
+// Variable names in the order they first appear in the prompt
+export function templateVariables(prompt) {
+  return [...new Set([...prompt.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+// Replace each `{{variable}}` with its value, falling back to `defaults`
+export function expandTemplate(prompt, values = {}, defaults = {}) {
+  const missing = templateVariables(prompt).filter(name => !(values[name]?.trim() || defaults[name]));
+  if (missing.length > 0) {
+    throw new HttpError(400, 'Missing template variables', `Provide a value for: ${missing.join(', ')}`);
+  }
+  return prompt.replace(VARIABLE_PATTERN, (_, name) => values[name]?.trim() || defaults[name]);
+}
+
+// Check a template's editable fields and return them cleaned up
+function validateTemplate({ name, prompt, mode = 'any', defaults = {} }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new HttpError(400, 'Template name is required');
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new HttpError(400, `Template name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    throw new HttpError(400, 'Template prompt is required');
+  }
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    throw new HttpError(400, `Template prompt must be at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+  if (!TEMPLATE_MODES.includes(mode)) {
+    throw new HttpError(400, `mode must be one of: ${TEMPLATE_MODES.join(', ')}`);
+  }
+  if (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults)
+    || Object.values(defaults).some(value => typeof value !== 'string')) {
+    throw new HttpError(400, 'defaults must be an object of strings');
+  }
+
+  // Defaults for variables the prompt no longer uses are dropped
+  const variables = templateVariables(prompt);
+  const usedDefaults = Object.fromEntries(Object.entries(defaults)
+    .filter(([variable, value]) => variables.includes(variable) && value.trim()));
+
+  return { name: name.trim(), prompt: prompt.trim(), mode, defaults: usedDefaults };
+}
+
+// Templates are handed out with the variables their form needs
+function describeTemplate(template) {
+  return { ...template, variables: templateVariables(template.prompt) };
+}
+
+async function loadTemplate(templates, id) {
+  const template = await templates.get(id);
+  if (!template) {
+    throw new HttpError(404, 'Template not found');
+  }
+  return template;
+}
+
+// Templates are shared, but while authentication is on only the user who
+// created one, or an admin, may change or delete it. Built-in templates
+// have no `createdBy`, so only admins may change them.
+async function loadOwnTemplate(templates, id, user) {
+  const template = await loadTemplate(templates, id);
+  if (user && user.role !== 'admin' && template.createdBy !== user.name) {
+    throw new HttpError(403, 'Template belongs to another user', 'Only its creator or an admin can change it.');
+  }
+  return template;
+}
+
+// List templates by name. `mode` keeps those meant for that tab (and the
+// ones for any tab).
+export async function listTemplates({ mode } = {}, { templates }) {
+  const matches = (await templates.all())
+    .filter(template => !mode || template.mode === 'any' || template.mode === mode)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return { templates: matches.map(describeTemplate) };
+}
+
+export async function getTemplate(id, { templates }) {
+  return describeTemplate(await loadTemplate(templates, id));
+}
+
+export async function createTemplate(fields, { templates, user }) {
+  const now = new Date().toISOString();
+  const template = {
+    id: randomUUID(),
+    ...validateTemplate(fields || {}),
+    ...(user && { createdBy: user.name }),
+    createdAt: now,
+    updatedAt: now
+  };
+  await templates.put(template);
+  return { success: true, template: describeTemplate(template) };
+}
+
+// Fields left out of `fields` keep their current values
+export async function updateTemplate(id, fields, { templates, user }) {
+  const existing = await loadOwnTemplate(templates, id, user);
+  const template = {
+    ...existing,
+    ...validateTemplate({ ...existing, ...fields }),
+    updatedAt: new Date().toISOString()
+  };
+  await templates.put(template);
+  return { success: true, template: describeTemplate(template) };
+}
+
+export async function deleteTemplate(id, { templates, user }) {
+  await loadOwnTemplate(templates, id, user);
+  if (!(await templates.delete(id))) {
+    throw new HttpError(404, 'Template not found');
+  }
+  return { success: true, id };
+}
+
+// Expand a template with `variables` into the prompt to send
+export async function renderTemplate(id, { variables } = {}, { templates }) {
+  if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+    throw new HttpError(400, 'variables must be an object');
+  }
+
+  const template = await loadTemplate(templates, id);
+  // null and undefined count as missing, so the default (or the check for
+  // missing variables) applies
+  const values = Object.fromEntries(Object.entries(variables || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => [name, String(value)]));
+  return { templateId: id, prompt: expandTemplate(template.prompt, values, template.defaults) };
+}
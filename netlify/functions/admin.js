@@ -0,0 +1,44 @@
+import { getAuth, listKeys, requireAdmin } from '../../lib/auth.js';
+import { HttpError } from '../../lib/errors.js';
+import { preflightResponse, errorResponse, respond, withAuth, methodNotAllowed } from '../../lib/netlify.js';
+
+// Matches /api/admin/keys and /api/admin/keys/:id
+// (and the same under /.netlify/functions)
+const KEYS_PATH = /\/admin\/keys(?:\/([^/]+))?\/?$/;
+
+// Netlify functions cannot write the key file, so keys deployed with the
+// site (AUTH_KEYS_FILE) can be listed here but are issued and revoked with
+// the Express server
+export const handler = withAuth(async (event, context) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  const match = (event.path || '').match(KEYS_PATH);
+  if (!match) {
+    return errorResponse(new HttpError(404, 'Not found'));
+  }
+
+  const auth = getAuth();
+  const route = `${event.httpMethod} ${match[1] ? ':id' : '/'}`;
+
+  switch (route) {
+    case 'GET /':
+      return respond(event, () => listKeys({ auth, user: event.user }), 'Failed to load API keys');
+
+    case 'POST /':
+    case 'DELETE :id':
+      return respond(event, () => {
+        requireAdmin({ auth, user: event.user });
+        throw new HttpError(
+          501,
+          'API keys are read-only on Netlify',
+          'Netlify functions cannot update the key file. Issue and revoke keys with the Express server (npm start) and deploy the updated AUTH_KEYS_FILE.'
+        );
+      }, 'Failed to update API keys');
+
+    default:
+      return methodNotAllowed();
+  }
+});
@@ -0,0 +1,53 @@
+import { describeSession, getAuth, login } from '../../lib/auth.js';
+import { HttpError } from '../../lib/errors.js';
+import { preflightResponse, jsonResponse, errorResponse, getHeader, withAuth, methodNotAllowed } from '../../lib/netlify.js';
+
+// Matches /api/auth/login, /api/auth/logout and /api/auth/me
+// (and the same under /.netlify/functions)
+const AUTH_PATH = /\/auth\/(login|logout|me)\/?$/;
+
+// Signing in and out happens before authentication, so these routes are public
+export const handler = withAuth(async (event, context) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  const action = (event.path || '').match(AUTH_PATH)?.[1];
+  if (!action) {
+    return errorResponse(new HttpError(404, 'Not found'));
+  }
+
+  const auth = getAuth();
+  const route = `${event.httpMethod} ${action}`;
+
+  switch (route) {
+    case 'POST login':
+      // Exchange an API key for a session cookie (the UI's sign-in)
+      try {
+        const secure = getHeader(event, 'x-forwarded-proto') !== 'http';
+        const { body, cookie } = await login(JSON.parse(event.body || '{}'), { auth, secure });
+        const response = jsonResponse(200, body);
+        response.headers['Set-Cookie'] = cookie;
+        return response;
+      } catch (error) {
+        console.error('Failed to sign in:', error);
+        return errorResponse(error, 'Failed to sign in');
+      }
+
+    case 'POST logout': {
+      const response = jsonResponse(200, { success: true });
+      response.headers['Set-Cookie'] = auth.clearCookie();
+      return response;
+    }
+
+    case 'GET me': {
+      // Whether signing in is needed, and as whom the browser is signed in
+      const user = await auth.currentUser(name => getHeader(event, name));
+      return jsonResponse(200, describeSession({ auth, user }));
+    }
+
+    default:
+      return methodNotAllowed();
+  }
+}, { isPublic: true });
@@ -0,0 +1,22 @@
+import { composeImages, imageFromUpload } from '../../lib/core.js';
+import { parseMultipartEvent } from '../../lib/multipart.js';
+import { preflightResponse, respond, withAuth, withRateLimit, methodNotAllowed, netlifySink } from '../../lib/netlify.js';
+
+const sink = netlifySink();
+
+export const handler = withAuth(withRateLimit(async (event, context) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return methodNotAllowed();
+  }
+
+  return respond(event, async (onResult, onRetry) => {
+    const { fields, files } = parseMultipartEvent(event);
+    const images = files.filter(file => file.fieldname === 'images').map(imageFromUpload);
+    return composeImages({ prompt: fields.prompt, images, labels: fields.labels, options: fields.options, model: fields.model }, { sink, user: event.user, onResult, onRetry });
+  }, 'Failed to compose images');
+}));
@@ -1,39 +1,18 @@
-export const handler = async (event, context) => {
+import { getHealth } from '../../lib/core.js';
+import { preflightResponse, jsonResponse, withAuth, methodNotAllowed } from '../../lib/netlify.js';
+
+export const handler = withAuth(async (event, context) => {
   // Handle CORS preflight requests
   if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      },
-      body: '',
-    };
+    return preflightResponse();
   }
 
   if (event.httpMethod !== 'GET') {
-    return {
-      statusCode: 405,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ error: 'Method not allowed' }),
-    };
+    return methodNotAllowed();
   }
 
-  return {
-    statusCode: 200,
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      status: 'OK',
-      message: 'Google AI Image Generation Server is running on Netlify',
-      model: 'gemini-2.5-flash-image-preview',
-      environment: 'Netlify Serverless Functions'
-    }),
-  };
-};
+  return jsonResponse(200, getHealth({
+    message: 'Google AI Image Generation Server is running on Netlify',
+    environment: 'Netlify Serverless Functions'
+  }));
+}, { isPublic: true });
@@ -0,0 +1,18 @@
+import { HttpError } from '../../lib/errors.js';
+import { preflightResponse, errorResponse, withAuth } from '../../lib/netlify.js';
+
+// Each Netlify function runs in its own instance without shared, persistent
+// storage, so generations are not recorded there and the history routes
+// explain that instead of returning an empty or partial list.
+export const handler = withAuth(async (event, context) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  return errorResponse(new HttpError(
+    501,
+    'History is not available on Netlify',
+    'Netlify functions have no shared persistent storage. Run the Express server (npm start) to keep a generation history.'
+  ));
+});
@@ -0,0 +1,23 @@
+import { jobStoreFromEnv, runStoredJob } from '../../lib/jobs.js';
+import { netlifySink } from '../../lib/netlify.js';
+import { jobRequest } from './jobs.js';
+
+const sink = netlifySink();
+
+// Runs a job queued by the jobs function. Netlify answers the caller with a
+// 202 straight away and keeps this function running for up to 15 minutes.
+// It is reachable without a key, but only starts jobs that are still
+// queued, and each job only once (see runStoredJob).
+export const handler = async (event) => {
+  const store = jobStoreFromEnv();
+  if (!store) {
+    return;
+  }
+
+  try {
+    const { jobId } = JSON.parse(event.body || '{}');
+    await runStoredJob(jobId, { store, parse: jobRequest, sink });
+  } catch (error) {
+    console.error('Background job failed:', error);
+  }
+};
@@ -0,0 +1,102 @@
+import { imageFromUpload } from '../../lib/core.js';
+import { HttpError } from '../../lib/errors.js';
+import { cancelJob, createStoredJobQueue, getJob, jobStoreFromEnv } from '../../lib/jobs.js';
+import { parseHeaderValue, parseMultipartEvent } from '../../lib/multipart.js';
+import { requestCost } from '../../lib/ratelimit.js';
+import { preflightResponse, errorResponse, getHeader, jsonResponse, respond, withAuth, withRateLimit, methodNotAllowed } from '../../lib/netlify.js';
+
+// A classic Netlify function is frozen as soon as it returns its response,
+// and instances share no memory. Jobs are therefore kept in object storage
+// (S3_BUCKET, see lib/jobs.js) and run by the jobs-background function,
+// which Netlify lets work on for up to 15 minutes; status and cancel read
+// and mark the stored job from whichever instance serves them. Without a
+// bucket the job routes answer 501 and the UI calls the endpoints directly.
+
+// Matches /api/jobs and /api/jobs/:id (and the same under /.netlify/functions)
+const JOB_PATH = /\/jobs(?:\/([^/]+))?\/?$/;
+
+// The job request in an event, JSON or form data with uploads, in the shape
+// the Express /api/jobs route builds. The background function rebuilds the
+// request from the same event fields.
+export function jobRequest(event) {
+  if (parseHeaderValue(getHeader(event, 'content-type')).type !== 'multipart/form-data') {
+    return JSON.parse(event.body || '{}');
+  }
+
+  const { fields, files } = parseMultipartEvent(event);
+  const uploads = name => files.filter(file => file.fieldname === name).map(imageFromUpload);
+  return { ...fields, image: uploads('image')[0], mask: uploads('mask')[0], images: uploads('images') };
+}
+
+// A batch costs one unit per variation; a malformed body fails later, as an error
+function cost(event) {
+  try {
+    return requestCost(jobRequest(event));
+  } catch {
+    return 1;
+  }
+}
+
+// Hand a queued job to the background function, which answers 202 at once
+async function startInBackground(event, jobId) {
+  const site = process.env.URL || `https://${getHeader(event, 'host')}`;
+  const response = await fetch(new URL('/.netlify/functions/jobs-background', site), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jobId })
+  });
+  if (!response.ok) {
+    throw new Error(`The background function answered ${response.status}`);
+  }
+}
+
+export const handler = withAuth(withRateLimit(async (event, context) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  const store = jobStoreFromEnv();
+  if (!store) {
+    return errorResponse(new HttpError(
+      501,
+      'Jobs are not available on Netlify',
+      'Netlify functions share no state, so jobs need object storage: set S3_BUCKET. Until then, use the image endpoints directly.'
+    ));
+  }
+
+  const match = (event.path || '').match(JOB_PATH);
+  if (!match) {
+    return errorResponse(new HttpError(404, 'Not found'));
+  }
+
+  const [, jobId] = match;
+  const jobs = createStoredJobQueue({ store, start: id => startInBackground(event, id) });
+
+  switch (`${event.httpMethod} ${jobId ? ':id' : '/'}`) {
+    case 'POST /':
+      // Queue a generation and answer at once with the job to poll
+      try {
+        const { type } = jobRequest(event);
+        const input = { headers: { 'content-type': getHeader(event, 'content-type') }, body: event.body, isBase64Encoded: event.isBase64Encoded };
+        const job = await jobs.submit(type, input, event.user);
+        const response = jsonResponse(202, job);
+        response.headers.Location = `/api/jobs/${job.jobId}`;
+        return response;
+      } catch (error) {
+        console.error('Failed to queue job:', error);
+        return errorResponse(error, 'Failed to queue job');
+      }
+
+    case 'GET :id':
+      // Status of a job, with the results produced so far
+      return respond(event, () => getJob(jobId, { jobs, user: event.user }), 'Failed to load job');
+
+    case 'DELETE :id':
+      // Cancel a queued or running job
+      return respond(event, () => cancelJob(jobId, { jobs, user: event.user }), 'Failed to cancel job');
+
+    default:
+      return methodNotAllowed();
+  }
+}, { cost }));
@@ -0,0 +1,16 @@
+import { listModels } from '../../lib/models.js';
+import { preflightResponse, respond, withAuth, methodNotAllowed } from '../../lib/netlify.js';
+
+export const handler = withAuth(async (event, context) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return methodNotAllowed();
+  }
+
+  // Models the UI can offer, with what each can do and the default per mode
+  return respond(event, () => listModels(), 'Failed to load models');
+});
@@ -0,0 +1,53 @@
+import { imageFromUpload } from '../../lib/core.js';
+import { HttpError } from '../../lib/errors.js';
+import { parseMultipartEvent } from '../../lib/multipart.js';
+import { continueSession, deleteSession, getSession, startSession } from '../../lib/sessions.js';
+import { preflightResponse, errorResponse, respond, withAuth, withRateLimit, methodNotAllowed, netlifySink } from '../../lib/netlify.js';
+
+const sink = netlifySink();
+
+// Matches /api/sessions, /api/sessions/:id and /api/sessions/:id/messages
+// (and the same under /.netlify/functions)
+const SESSION_PATH = /\/sessions(?:\/([^/]+))?(\/messages)?\/?$/;
+
+export const handler = withAuth(withRateLimit(async (event, context) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  const match = (event.path || '').match(SESSION_PATH);
+  if (!match) {
+    return errorResponse(new HttpError(404, 'Not found'));
+  }
+
+  const [, sessionId, messages] = match;
+  const route = `${event.httpMethod} ${sessionId ? (messages ? ':id/messages' : ':id') : '/'}`;
+
+  switch (route) {
+    case 'POST /':
+      // Start a conversational editing session from an uploaded image
+      return respond(event, async (onResult, onRetry) => {
+        const { fields, files } = parseMultipartEvent(event);
+        const image = imageFromUpload(files.find(file => file.fieldname === 'image'));
+        const mask = imageFromUpload(files.find(file => file.fieldname === 'mask'));
+        return startSession({ prompt: fields.prompt, image, mask, options: fields.options, model: fields.model }, { sink, user: event.user, onResult, onRetry });
+      }, 'Failed to start editing session');
+
+    case 'POST :id/messages':
+      // Refine the latest result of a session with a follow-up prompt
+      return respond(event, async (onResult, onRetry) => {
+        const { prompt, options, model } = JSON.parse(event.body || '{}');
+        return continueSession({ sessionId, prompt, options, model }, { sink, user: event.user, onResult, onRetry });
+      }, 'Failed to continue editing session');
+
+    case 'GET :id':
+      return respond(event, () => getSession(sessionId, { user: event.user }), 'Failed to load session');
+
+    case 'DELETE :id':
+      return respond(event, () => deleteSession(sessionId, { user: event.user }), 'Failed to delete session');
+
+    default:
+      return methodNotAllowed();
+  }
+}));
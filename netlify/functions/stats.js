@@ -0,0 +1,17 @@
+import { HttpError } from '../../lib/errors.js';
+import { preflightResponse, errorResponse, withAuth } from '../../lib/netlify.js';
+
+// Like history, usage statistics need shared persistent storage, which
+// Netlify functions don't have, so token usage is not recorded there
+export const handler = withAuth(async (event, context) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  return errorResponse(new HttpError(
+    501,
+    'Usage statistics are not available on Netlify',
+    'Netlify functions have no shared persistent storage. Run the Express server (npm start) to account for token usage.'
+  ));
+});
@@ -0,0 +1,52 @@
+import { HttpError } from '../../lib/errors.js';
+import { preflightResponse, errorResponse, respond, withAuth, methodNotAllowed } from '../../lib/netlify.js';
+import { createMemoryTemplateStore, getTemplate, listTemplates, renderTemplate } from '../../lib/templates.js';
+
+// Netlify functions have no shared persistent storage, so the built-in
+// templates are served read-only; saving templates needs the Express server
+const templates = createMemoryTemplateStore();
+
+// Matches /api/templates, /api/templates/:id and /api/templates/:id/render
+// (and the same under /.netlify/functions)
+const TEMPLATE_PATH = /\/templates(?:\/([^/]+))?(\/render)?\/?$/;
+
+export const handler = withAuth(async (event, context) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  const match = (event.path || '').match(TEMPLATE_PATH);
+  if (!match) {
+    return errorResponse(new HttpError(404, 'Not found'));
+  }
+
+  const [, templateId, render] = match;
+  const route = `${event.httpMethod} ${templateId ? (render ? ':id/render' : ':id') : '/'}`;
+
+  switch (route) {
+    case 'GET /':
+      return respond(event, () => listTemplates(event.queryStringParameters || {}, { templates }), 'Failed to load templates');
+
+    case 'GET :id':
+      return respond(event, () => getTemplate(templateId, { templates }), 'Failed to load template');
+
+    case 'POST :id/render':
+      // Expand a template's variables into the final prompt
+      return respond(event, async () => {
+        return renderTemplate(templateId, JSON.parse(event.body || '{}'), { templates });
+      }, 'Failed to render template');
+
+    case 'POST /':
+    case 'PUT :id':
+    case 'DELETE :id':
+      return errorResponse(new HttpError(
+        501,
+        'Templates are read-only on Netlify',
+        'Netlify functions have no shared persistent storage. Run the Express server (npm start) to save your own templates.'
+      ));
+
+    default:
+      return methodNotAllowed();
+  }
+});
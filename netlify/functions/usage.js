@@ -0,0 +1,16 @@
+import { clientIp, preflightResponse, respond, withAuth, methodNotAllowed } from '../../lib/netlify.js';
+import { getLimiter, getUsage } from '../../lib/ratelimit.js';
+
+export const handler = withAuth(async (event, context) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return preflightResponse();
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return methodNotAllowed();
+  }
+
+  // What the client has left, as counted by this function instance
+  return respond(event, () => getUsage({ limiter: getLimiter(), user: event.user, ip: clientIp(event) }), 'Failed to load usage');
+});
@@ -1,8 +1,239 @@
+// Matches the server's limit for /api/compose-image
+const MAX_REFERENCE_IMAGES = 5;
+
+// Matches the server's largest seed
+const MAX_SEED = 2147483647;
+
+// How often a running job (see /api/jobs) is polled
+const JOB_POLL_INTERVAL_MS = 1000;
+
+// Endpoints that run each job type directly, for hosts where /api/jobs
+// cannot run that type (Netlify without object storage, or edit sessions
+// on Netlify)
+const JOB_ENDPOINTS = {
+    generate: () => '/api/generate-image',
+    compose: () => '/api/compose-image',
+    edit: () => '/api/sessions',
+    'follow-up': ({ sessionId }) => `/api/sessions/${sessionId}/messages`
+};
+
+// Where the Advanced panel's settings are remembered
+const ADVANCED_OPTIONS_KEY = 'advancedOptions';
+
+// The panel's single safety threshold applies to each of these categories
+const SAFETY_CATEGORIES = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT'
+];
+
+// Before/after viewer for manipulation results. Shows the source image and
+// an output as a slider wipe, side by side or as a difference overlay. Every
+// pane shares one zoom/pan transform, so the two images stay aligned.
+class ComparisonViewer {
+    constructor({ onPromote }) {
+        this.overlay = document.getElementById('compareOverlay');
+        this.stage = document.getElementById('compareStage');
+        this.modeButtons = this.overlay.querySelectorAll('.compare-mode');
+        this.zoomLevel = document.getElementById('compareZoomLevel');
+        this.onPromote = onPromote;
+
+        this.mode = 'slider';
+        this.wipe = 50;
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.drag = null;
+
+        this.modeButtons.forEach(button => {
+            button.addEventListener('click', () => this.setMode(button.dataset.mode));
+        });
+        document.getElementById('compareZoomIn').addEventListener('click', () => this.zoomBy(1.5));
+        document.getElementById('compareZoomOut').addEventListener('click', () => this.zoomBy(1 / 1.5));
+        document.getElementById('compareZoomReset').addEventListener('click', () => this.resetView());
+        document.getElementById('compareClose').addEventListener('click', () => this.close());
+        document.getElementById('comparePromote').addEventListener('click', () => {
+            this.close();
+            this.onPromote(this.after);
+        });
+
+        // Clicking the backdrop closes the viewer
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+            }
+        });
+
+        this.stage.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.stage.addEventListener('pointerdown', (e) => this.startDrag(e));
+        this.stage.addEventListener('pointermove', (e) => this.continueDrag(e));
+        this.stage.addEventListener('pointerup', () => { this.drag = null; });
+        this.stage.addEventListener('pointercancel', () => { this.drag = null; });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    get isOpen() {
+        return this.overlay.style.display !== 'none';
+    }
+
+    open(before, after) {
+        this.before = before;
+        this.after = after;
+        this.wipe = 50;
+        this.overlay.style.display = 'flex';
+        this.render();
+        this.resetView();
+    }
+
+    close() {
+        this.overlay.style.display = 'none';
+        this.stage.innerHTML = '';
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.modeButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        this.render();
+        this.applyView();
+    }
+
+    // A pane with the given layers stacked on top of each other; `before`
+    // and `after` are the image URLs
+    createPane(layers, label) {
+        const pane = document.createElement('div');
+        pane.className = 'compare-pane';
+        layers.forEach(({ url, className = '' }) => {
+            const layer = document.createElement('div');
+            layer.className = `compare-layer ${className}`;
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = '';
+            img.draggable = false;
+            layer.appendChild(img);
+            pane.appendChild(layer);
+        });
+        if (label) {
+            const caption = document.createElement('span');
+            caption.className = 'compare-label';
+            caption.textContent = label;
+            pane.appendChild(caption);
+        }
+        this.stage.appendChild(pane);
+        return pane;
+    }
+
+    render() {
+        this.stage.innerHTML = '';
+        this.stage.className = `compare-stage compare-${this.mode}`;
+
+        if (this.mode === 'side') {
+            this.createPane([{ url: this.before }], 'Before');
+            this.createPane([{ url: this.after }], 'After');
+        } else if (this.mode === 'difference') {
+            // Identical pixels cancel out to black; changes light up
+            this.createPane([{ url: this.after }, { url: this.before, className: 'compare-difference' }], 'Difference');
+        } else {
+            const pane = this.createPane([{ url: this.after }, { url: this.before, className: 'compare-before' }]);
+            const handle = document.createElement('div');
+            handle.className = 'compare-handle';
+            pane.appendChild(handle);
+            this.applyWipe();
+        }
+    }
+
+    applyWipe() {
+        const before = this.stage.querySelector('.compare-before');
+        const handle = this.stage.querySelector('.compare-handle');
+        if (before) {
+            before.style.clipPath = `inset(0 ${100 - this.wipe}% 0 0)`;
+            handle.style.left = `${this.wipe}%`;
+        }
+    }
+
+    applyView() {
+        const { scale, x, y } = this.view;
+        this.stage.querySelectorAll('.compare-layer img').forEach(img => {
+            img.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+        });
+        this.zoomLevel.textContent = `${Math.round(scale * 100)}%`;
+    }
+
+    resetView() {
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.applyView();
+    }
+
+    // Zoom keeping the point (in pane coordinates) under the cursor still;
+    // defaults to the centre of the pane
+    zoomBy(factor, point) {
+        const pane = this.stage.querySelector('.compare-pane');
+        const { x: px, y: py } = point || { x: pane.clientWidth / 2, y: pane.clientHeight / 2 };
+        const scale = Math.min(8, Math.max(1, this.view.scale * factor));
+        const ratio = scale / this.view.scale;
+
+        this.view = scale === 1
+            ? { scale: 1, x: 0, y: 0 }
+            : { scale, x: px - (px - this.view.x) * ratio, y: py - (py - this.view.y) * ratio };
+        this.applyView();
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        const pane = e.target.closest('.compare-pane');
+        if (!pane) {
+            return;
+        }
+        const rect = pane.getBoundingClientRect();
+        this.zoomBy(e.deltaY < 0 ? 1.2 : 1 / 1.2, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+    }
+
+    // Dragging the slider handle moves the wipe; dragging anywhere else pans
+    startDrag(e) {
+        const pane = e.target.closest('.compare-pane');
+        if (!pane) {
+            return;
+        }
+        e.preventDefault();
+        this.stage.setPointerCapture(e.pointerId);
+        this.drag = {
+            wipe: e.target.classList.contains('compare-handle'),
+            pane: pane.getBoundingClientRect(),
+            startX: e.clientX - this.view.x,
+            startY: e.clientY - this.view.y
+        };
+    }
+
+    continueDrag(e) {
+        if (!this.drag) {
+            return;
+        }
+        if (this.drag.wipe) {
+            const position = (e.clientX - this.drag.pane.left) / this.drag.pane.width * 100;
+            this.wipe = Math.min(100, Math.max(0, position));
+            this.applyWipe();
+        } else if (this.view.scale > 1) {
+            this.view.x = e.clientX - this.drag.startX;
+            this.view.y = e.clientY - this.drag.startY;
+            this.applyView();
+        }
+    }
+}
+
 class GoogleAIImageApp {
     constructor() {
         this.initializeElements();
         this.bindEvents();
         this.checkServerHealth();
+        this.checkSession();
+        this.loadTemplates();
+        this.restoreAdvancedOptions();
+        this.loadModels();
     }
 
     initializeElements() {
@@ -13,6 +244,8 @@ class GoogleAIImageApp {
         // Generate tab elements
         this.generatePrompt = document.getElementById('generatePrompt');
         this.generateBtn = document.getElementById('generateBtn');
+        this.variationCount = document.getElementById('variationCount');
+        this.variationStyles = document.getElementById('variationStyles');
 
         // Manipulate tab elements
         this.uploadArea = document.getElementById('uploadArea');
@@ -20,20 +253,106 @@ class GoogleAIImageApp {
         this.uploadedImageContainer = document.getElementById('uploadedImageContainer');
         this.uploadedImage = document.getElementById('uploadedImage');
         this.removeImageBtn = document.getElementById('removeImage');
+        this.maskCanvas = document.getElementById('maskCanvas');
+        this.maskTools = document.getElementById('maskTools');
+        this.brushSize = document.getElementById('brushSize');
+        this.maskEraseBtn = document.getElementById('maskEraseBtn');
+        this.clearMaskBtn = document.getElementById('clearMaskBtn');
         this.manipulatePrompt = document.getElementById('manipulatePrompt');
         this.manipulateBtn = document.getElementById('manipulateBtn');
+        this.editSession = document.getElementById('editSession');
+        this.sessionTurns = document.getElementById('sessionTurns');
+        this.followUpPrompt = document.getElementById('followUpPrompt');
+        this.followUpBtn = document.getElementById('followUpBtn');
+        this.newSessionBtn = document.getElementById('newSessionBtn');
+
+        // Compose tab elements
+        this.composeUploadArea = document.getElementById('composeUploadArea');
+        this.composeInput = document.getElementById('composeInput');
+        this.referenceList = document.getElementById('referenceList');
+        this.composePrompt = document.getElementById('composePrompt');
+        this.composeBtn = document.getElementById('composeBtn');
+
+        // Prompt template pickers (one per tab that takes a prompt)
+        this.templatePickers = [...document.querySelectorAll('.template-picker')].map(element => ({
+            mode: element.dataset.mode,
+            target: document.getElementById(element.dataset.target),
+            select: element.querySelector('.template-select'),
+            fields: element.querySelector('.template-fields'),
+            applyBtn: element.querySelector('.template-apply'),
+            saveBtn: element.querySelector('.template-save'),
+            deleteBtn: element.querySelector('.template-delete')
+        }));
+
+        // Advanced generation options, keyed by their name in the request's `options`
+        this.advancedOptions = document.getElementById('advancedOptions');
+        this.advancedSummary = document.getElementById('advancedSummary');
+        this.resetAdvancedBtn = document.getElementById('resetAdvancedBtn');
+        this.modelName = document.getElementById('modelName');
+        this.advancedInputs = {
+            model: document.getElementById('optionModel'),
+            temperature: document.getElementById('optionTemperature'),
+            seed: document.getElementById('optionSeed'),
+            candidateCount: document.getElementById('optionCandidateCount'),
+            aspectRatio: document.getElementById('optionAspectRatio'),
+            safety: document.getElementById('optionSafety'),
+            systemInstruction: document.getElementById('optionSystemInstruction')
+        };
+
+        // Gallery tab elements
+        this.gallerySearch = document.getElementById('gallerySearch');
+        this.galleryMode = document.getElementById('galleryMode');
+        this.galleryFrom = document.getElementById('galleryFrom');
+        this.galleryTo = document.getElementById('galleryTo');
+        this.galleryStatus = document.getElementById('galleryStatus');
+        this.galleryGrid = document.getElementById('galleryGrid');
+
+        // Usage tab elements
+        this.usageMode = document.getElementById('usageMode');
+        this.usageFrom = document.getElementById('usageFrom');
+        this.usageTo = document.getElementById('usageTo');
+        this.usageStatus = document.getElementById('usageStatus');
+        this.usageTotals = document.getElementById('usageTotals');
+        this.usageTables = document.getElementById('usageTables');
 
         // Common elements
         this.loading = document.getElementById('loading');
+        this.loadingCommentary = document.getElementById('loadingCommentary');
+        this.cancelJobBtn = document.getElementById('cancelJobBtn');
         this.results = document.getElementById('results');
         this.resultsContainer = document.getElementById('resultsContainer');
         this.clearResultsBtn = document.getElementById('clearResults');
+        this.downloadFavouritesBtn = document.getElementById('downloadFavourites');
         this.error = document.getElementById('error');
         this.errorText = document.getElementById('errorText');
+        this.errorDetails = document.getElementById('errorDetails');
         this.closeErrorBtn = document.getElementById('closeError');
 
+        // Sign-in elements, used when the server requires an API key
+        this.accountBar = document.getElementById('accountBar');
+        this.accountName = document.getElementById('accountName');
+        this.signOutBtn = document.getElementById('signOutBtn');
+        this.loginOverlay = document.getElementById('loginOverlay');
+        this.loginForm = document.getElementById('loginForm');
+        this.loginKey = document.getElementById('loginKey');
+        this.loginError = document.getElementById('loginError');
+        this.loginBtn = document.getElementById('loginBtn');
+        this.comparisonViewer = new ComparisonViewer({ onPromote: (url) => this.promoteResult(url) });
+
         // State
         this.uploadedFile = null;
+        this.maskPainted = false;
+        this.maskErasing = false;
+        this.maskStroke = null;
+        this.sessionId = null;
+        this.latestSessionImage = null;
+        this.jobsUnavailable = new Set();
+        this.currentJobId = null;
+        this.comparisonSource = null;
+        this.referenceImages = [];
+        this.templates = [];
+        this.resultElements = new Map();
+        this.variationCards = [];
     }
 
     bindEvents() {
@@ -58,6 +377,15 @@ class GoogleAIImageApp {
         this.imageInput.addEventListener('change', (e) => this.handleFileSelect(e));
         this.removeImageBtn.addEventListener('click', () => this.removeUploadedImage());
 
+        // Mask painting
+        this.uploadedImage.addEventListener('load', () => this.resetMaskCanvas());
+        this.maskCanvas.addEventListener('pointerdown', (e) => this.startMaskStroke(e));
+        this.maskCanvas.addEventListener('pointermove', (e) => this.continueMaskStroke(e));
+        this.maskCanvas.addEventListener('pointerup', () => { this.maskStroke = null; });
+        this.maskCanvas.addEventListener('pointercancel', () => { this.maskStroke = null; });
+        this.maskEraseBtn.addEventListener('click', () => this.toggleMaskEraser());
+        this.clearMaskBtn.addEventListener('click', () => this.clearMask());
+
         // Manipulate image
         this.manipulateBtn.addEventListener('click', () => this.manipulateImage());
         this.manipulatePrompt.addEventListener('keypress', (e) => {
@@ -65,12 +393,69 @@ class GoogleAIImageApp {
                 this.manipulateImage();
             }
         });
+        this.followUpBtn.addEventListener('click', () => this.continueEditSession());
+        this.followUpPrompt.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && e.ctrlKey) {
+                this.continueEditSession();
+            }
+        });
+        this.newSessionBtn.addEventListener('click', () => this.resetEditSession());
+
+        // Compose images
+        this.composeUploadArea.addEventListener('click', () => this.composeInput.click());
+        this.composeUploadArea.addEventListener('dragover', (e) => this.handleDragOver(e));
+        this.composeUploadArea.addEventListener('dragleave', (e) => this.handleDragLeave(e));
+        this.composeUploadArea.addEventListener('drop', (e) => this.handleReferenceDrop(e));
+        this.composeInput.addEventListener('change', (e) => this.addReferenceImages(e.target.files));
+        this.composeBtn.addEventListener('click', () => this.composeImages());
+        this.composePrompt.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && e.ctrlKey) {
+                this.composeImages();
+            }
+        });
+
+        // Prompt templates
+        this.templatePickers.forEach(picker => {
+            picker.select.addEventListener('change', () => this.renderTemplateFields(picker));
+            picker.applyBtn.addEventListener('click', () => this.applyTemplate(picker));
+            picker.saveBtn.addEventListener('click', () => this.saveTemplate(picker));
+            picker.deleteBtn.addEventListener('click', () => this.deleteTemplate(picker));
+        });
+
+        // Advanced options are saved as they change
+        Object.values(this.advancedInputs).forEach(input => {
+            input.addEventListener('input', () => this.saveAdvancedOptions());
+        });
+        this.resetAdvancedBtn.addEventListener('click', () => this.resetAdvancedOptions());
+
+        // Gallery filters; typing in the search box waits for a pause
+        this.gallerySearch.addEventListener('input', () => {
+            clearTimeout(this.gallerySearchTimer);
+            this.gallerySearchTimer = setTimeout(() => this.loadHistory(), 300);
+        });
+        [this.galleryMode, this.galleryFrom, this.galleryTo].forEach(input => {
+            input.addEventListener('change', () => this.loadHistory());
+        });
+
+        // Usage filters
+        [this.usageMode, this.usageFrom, this.usageTo].forEach(input => {
+            input.addEventListener('change', () => this.loadStats());
+        });
 
         // Results
+        this.cancelJobBtn.addEventListener('click', () => this.cancelJob());
         this.clearResultsBtn.addEventListener('click', () => this.clearResults());
+        this.downloadFavouritesBtn.addEventListener('click', () => this.downloadFavourites());
 
         // Error handling
         this.closeErrorBtn.addEventListener('click', () => this.hideError());
+
+        // Signing in and out
+        this.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        this.signOutBtn.addEventListener('click', () => this.signOut());
     }
 
     async checkServerHealth() {
@@ -84,6 +469,74 @@ class GoogleAIImageApp {
         }
     }
 
+    // Ask who is signed in; servers without authentication need no sign-in
+    async checkSession() {
+        try {
+            const response = await fetch('/api/auth/me');
+            const data = await response.json();
+            if (data.authenticated) {
+                this.showAccount(data.user);
+            } else if (data.enabled) {
+                this.showLogin();
+            }
+        } catch (error) {
+            console.error('Error checking session:', error);
+        }
+    }
+
+    showLogin() {
+        this.accountBar.style.display = 'none';
+        this.loginOverlay.style.display = 'flex';
+        this.loginKey.focus();
+    }
+
+    showAccount(name) {
+        this.accountName.textContent = name;
+        this.accountBar.style.display = 'flex';
+    }
+
+    // Exchange the API key for a session cookie, then load what the
+    // signed-out requests could not
+    async login() {
+        this.loginBtn.disabled = true;
+        this.loginError.style.display = 'none';
+        try {
+            const response = await fetch('/api/auth/login', this.postRequest({ apiKey: this.loginKey.value }));
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to sign in');
+            }
+
+            this.loginKey.value = '';
+            this.loginOverlay.style.display = 'none';
+            this.showAccount(data.user);
+            this.loadTemplates();
+            this.loadModels();
+        } catch (error) {
+            this.loginError.textContent = error.message;
+            this.loginError.style.display = 'block';
+        } finally {
+            this.loginBtn.disabled = false;
+        }
+    }
+
+    async signOut() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error signing out:', error);
+        }
+        this.showLogin();
+    }
+
+    // The session expired or the key was revoked. A model API key problem
+    // (MODEL_AUTH_FAILED) is the server's, so signing in again won't help.
+    checkAuthorized(data) {
+        if (data.code === 'AUTH_REQUIRED' || data.code === 'INVALID_API_KEY') {
+            this.showLogin();
+        }
+    }
+
     switchTab(tabName) {
         // Update tab buttons
         this.tabButtons.forEach(button => {
@@ -94,209 +547,1378 @@ class GoogleAIImageApp {
         this.tabContents.forEach(content => {
             content.classList.toggle('active', content.id === tabName);
         });
+
+        // The gallery and usage tabs only show past requests, so they have no
+        // use for the options
+        this.advancedOptions.hidden = tabName === 'gallery' || tabName === 'usage';
+
+        if (tabName === 'gallery') {
+            this.loadHistory();
+        } else if (tabName === 'usage') {
+            this.loadStats();
+        }
     }
 
-    handleDragOver(e) {
-        e.preventDefault();
-        this.uploadArea.classList.add('dragover');
+    restoreAdvancedOptions() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(ADVANCED_OPTIONS_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable advanced options:', error);
+        }
+
+        Object.entries(this.advancedInputs).forEach(([name, input]) => {
+            input.value = saved[name] ?? '';
+            // A saved choice that is no longer offered falls back to the default
+            if (input.tagName === 'SELECT' && input.selectedIndex === -1) {
+                input.selectedIndex = 0;
+            }
+        });
+        this.updateAdvancedSummary();
     }
 
-    handleDragLeave(e) {
-        e.preventDefault();
-        this.uploadArea.classList.remove('dragover');
+    saveAdvancedOptions() {
+        const values = Object.fromEntries(Object.entries(this.advancedInputs).map(([name, input]) => [name, input.value]));
+        try {
+            localStorage.setItem(ADVANCED_OPTIONS_KEY, JSON.stringify(values));
+        } catch (error) {
+            console.warn('Could not save advanced options:', error);
+        }
+        this.updateAdvancedSummary();
     }
 
-    handleDrop(e) {
-        e.preventDefault();
-        this.uploadArea.classList.remove('dragover');
-        
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            this.handleFile(files[0]);
+    resetAdvancedOptions() {
+        localStorage.removeItem(ADVANCED_OPTIONS_KEY);
+        this.restoreAdvancedOptions();
+    }
+
+    updateAdvancedSummary() {
+        const count = Object.keys(this.getGenerationOptions()).length + (this.advancedInputs.model.value ? 1 : 0);
+        this.advancedSummary.textContent = count ? `(${count} set)` : '';
+    }
+
+    // Fill the model dropdown from the registry, noting models that only
+    // serve some tabs, then restore the saved choice
+    async loadModels() {
+        try {
+            const response = await fetch('/api/models');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load models');
+            }
+
+            const select = this.advancedInputs.model;
+            const defaultModel = data.models.find(model => model.id === data.defaults.generate);
+            select.options[0].textContent = defaultModel ? `Default (${defaultModel.label})` : 'Default';
+            select.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+            data.models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.modes.length < 4 ? `${model.label} (${model.modes.join(', ')} only)` : model.label;
+                select.appendChild(option);
+            });
+
+            if (defaultModel) {
+                this.modelName.textContent = `Google ${defaultModel.label}`;
+            }
+            this.restoreAdvancedOptions();
+        } catch (error) {
+            console.error('Error loading models:', error);
         }
     }
 
-    handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) {
-            this.handleFile(file);
+    // The registry model picked under Advanced, or undefined for the default
+    getSelectedModel() {
+        return this.advancedInputs.model.value || undefined;
+    }
+
+    // Tell the user why a generation request failed, going by the error's
+    // code (see ERROR_CATALOG in lib/errors.js)
+    showRequestError(error, fallbackMessage) {
+        switch (error.code) {
+            case 'CONTENT_BLOCKED':
+            case 'PROMPT_TOO_LONG':
+            case 'RATE_LIMITED':
+            case 'QUOTA_EXCEEDED':
+                // The details say what was flagged, or when to try again
+                this.showError(error.message, error);
+                break;
+            case 'INVALID_OPTIONS':
+                this.showError(`Invalid advanced option: ${error.message}`);
+                break;
+            case 'INVALID_MODEL':
+                this.showError(`${error.message}. Pick another model under Advanced.`);
+                break;
+            case 'INVALID_MASK':
+                this.showError(`${error.message}. Paint over the area to change, or clear the mask to edit the whole image.`);
+                break;
+            case 'SESSION_NOT_FOUND':
+                this.showError('This editing session has expired. Please manipulate the image again to start a new one.');
+                break;
+            case 'AUTH_REQUIRED':
+            case 'INVALID_API_KEY':
+                this.showError('Please sign in to continue.');
+                break;
+            case 'MODEL_RATE_LIMITED':
+                this.showError('API rate limit exceeded. Please wait a few minutes and try again.');
+                break;
+            case 'MODEL_AUTH_FAILED':
+                this.showError('Invalid API key. Please check your configuration.');
+                break;
+            default:
+                this.showError(`${fallbackMessage}. Please try again.`);
         }
     }
 
-    handleFile(file) {
-        // Validate file type
-        if (!file.type.startsWith('image/')) {
-            this.showError('Please select a valid image file.');
-            return;
+    // The request's `options`; blank fields are left to the model's defaults
+    getGenerationOptions() {
+        const { temperature, seed, candidateCount, aspectRatio, safety, systemInstruction } = this.advancedInputs;
+        const options = {};
+
+        if (temperature.value !== '') {
+            options.temperature = parseFloat(temperature.value);
+        }
+        if (seed.value !== '') {
+            options.seed = parseInt(seed.value, 10);
+        }
+        if (candidateCount.value) {
+            options.candidateCount = parseInt(candidateCount.value, 10);
+        }
+        if (aspectRatio.value) {
+            options.aspectRatio = aspectRatio.value;
+        }
+        if (safety.value) {
+            options.safetySettings = SAFETY_CATEGORIES.map(category => ({ category, threshold: safety.value }));
+        }
+        if (systemInstruction.value.trim()) {
+            options.systemInstruction = systemInstruction.value.trim();
         }
 
-        // Validate file size (10MB limit)
-        if (file.size > 10 * 1024 * 1024) {
-            this.showError('File size must be less than 10MB.');
-            return;
+        return options;
+    }
+
+    // Multipart requests carry `options` as a JSON field
+    appendGenerationOptions(formData) {
+        const options = this.getGenerationOptions();
+        if (Object.keys(options).length > 0) {
+            formData.append('options', JSON.stringify(options));
+        }
+        if (this.getSelectedModel()) {
+            formData.append('model', this.getSelectedModel());
         }
+    }
 
-        this.uploadedFile = file;
-        
-        // Display the uploaded image
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.uploadedImage.src = e.target.result;
-            this.uploadedImageContainer.style.display = 'block';
-            this.uploadArea.style.display = 'none';
-            this.manipulateBtn.disabled = false;
-        };
-        reader.readAsDataURL(file);
+    // Load the template library and refresh every picker
+    async loadTemplates() {
+        try {
+            const response = await fetch('/api/templates');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load templates');
+            }
+            this.templates = data.templates;
+        } catch (error) {
+            console.error('Error loading templates:', error);
+            this.templates = [];
+        }
+
+        this.templatePickers.forEach(picker => this.renderTemplateOptions(picker));
     }
 
-    removeUploadedImage() {
-        this.uploadedFile = null;
-        this.uploadedImage.src = '';
-        this.uploadedImageContainer.style.display = 'none';
-        this.uploadArea.style.display = 'block';
-        this.manipulateBtn.disabled = true;
-        this.imageInput.value = '';
+    renderTemplateOptions(picker, selectedId = picker.select.value) {
+        picker.select.innerHTML = '<option value="">Start from a template...</option>';
+        this.templates
+            .filter(template => template.mode === 'any' || template.mode === picker.mode)
+            .forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                picker.select.appendChild(option);
+            });
+
+        picker.select.value = this.templates.some(template => template.id === selectedId) ? selectedId : '';
+        this.renderTemplateFields(picker);
     }
 
-    async generateImage() {
-        const prompt = this.generatePrompt.value.trim();
-        
-        if (!prompt) {
-            this.showError('Please enter a prompt to generate an image.');
+    selectedTemplate(picker) {
+        return this.templates.find(template => template.id === picker.select.value) || null;
+    }
+
+    // One input per variable; defaults show as placeholders and are used when left blank
+    renderTemplateFields(picker) {
+        const template = this.selectedTemplate(picker);
+        picker.fields.innerHTML = '';
+        picker.applyBtn.disabled = !template;
+        picker.deleteBtn.disabled = !template;
+
+        if (!template) {
             return;
         }
 
-        this.showLoading();
-        this.hideError();
+        template.variables.forEach(variable => {
+            const label = document.createElement('label');
+            label.textContent = variable;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.name = variable;
+            input.placeholder = template.defaults?.[variable] || '';
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.applyTemplate(picker);
+                }
+            });
+
+            label.appendChild(input);
+            picker.fields.appendChild(label);
+        });
+    }
+
+    // Expand the template on the server and put the prompt in the tab's textarea
+    async applyTemplate(picker) {
+        const template = this.selectedTemplate(picker);
+        if (!template) {
+            return;
+        }
+
+        const variables = {};
+        picker.fields.querySelectorAll('input').forEach(input => {
+            if (input.value.trim()) {
+                variables[input.name] = input.value.trim();
+            }
+        });
 
         try {
-            const response = await fetch('/api/generate-image', {
+            const response = await fetch(`/api/templates/${encodeURIComponent(template.id)}/render`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ prompt }),
+                body: JSON.stringify({ variables }),
             });
-
             const data = await response.json();
-
             if (!response.ok) {
-                throw new Error(data.error || 'Failed to generate image');
+                throw new Error(data.details || data.error || 'Failed to apply template');
             }
 
-            this.displayResults(data);
+            picker.target.value = data.prompt;
+            picker.target.focus();
+            this.hideError();
         } catch (error) {
-            console.error('Error generating image:', error);
-            let errorMessage = 'Failed to generate image. Please try again.';
-            
-            if (error.message.includes('429') || error.message.includes('rate limit')) {
-                errorMessage = 'API rate limit exceeded. Please wait a few minutes and try again.';
-            } else if (error.message.includes('401') || error.message.includes('API key')) {
-                errorMessage = 'Invalid API key. Please check your configuration.';
-            }
-            
-            this.showError(errorMessage);
-        } finally {
-            this.hideLoading();
+            console.error('Error applying template:', error);
+            this.showError(error.message);
         }
     }
 
-    async manipulateImage() {
-        const prompt = this.manipulatePrompt.value.trim();
-        
+    // Save the tab's current prompt; {{name}} placeholders become variables
+    async saveTemplate(picker) {
+        const prompt = picker.target.value.trim();
         if (!prompt) {
-            this.showError('Please enter a prompt to manipulate the image.');
+            this.showError('Write a prompt first. Use {{name}} for the parts that change, e.g. {{subject}}.');
             return;
         }
 
-        if (!this.uploadedFile) {
-            this.showError('Please upload an image first.');
+        const name = window.prompt('Name for this template:');
+        if (!name || !name.trim()) {
             return;
         }
 
-        this.showLoading();
-        this.hideError();
-
         try {
-            const formData = new FormData();
-            formData.append('image', this.uploadedFile);
-            formData.append('prompt', prompt);
-
-            const response = await fetch('/api/manipulate-image', {
+            const response = await fetch('/api/templates', {
                 method: 'POST',
-                body: formData,
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ name, prompt, mode: picker.mode }),
             });
-
             const data = await response.json();
-
             if (!response.ok) {
-                throw new Error(data.error || 'Failed to manipulate image');
+                throw new Error(data.error || 'Failed to save template');
             }
 
-            this.displayResults(data);
+            await this.loadTemplates();
+            this.renderTemplateOptions(picker, data.template.id);
+            this.hideError();
         } catch (error) {
-            console.error('Error manipulating image:', error);
-            let errorMessage = 'Failed to manipulate image. Please try again.';
-            
-            if (error.message.includes('429') || error.message.includes('rate limit')) {
-                errorMessage = 'API rate limit exceeded. Please wait a few minutes and try again.';
-            } else if (error.message.includes('401') || error.message.includes('API key')) {
-                errorMessage = 'Invalid API key. Please check your configuration.';
-            }
-            
-            this.showError(errorMessage);
+            console.error('Error saving template:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async deleteTemplate(picker) {
+        const template = this.selectedTemplate(picker);
+        if (!template || !confirm(`Delete the template "${template.name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/templates/${encodeURIComponent(template.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to delete template');
+            }
+            await this.loadTemplates();
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async loadHistory() {
+        const params = new URLSearchParams();
+        const filters = {
+            q: this.gallerySearch.value.trim(),
+            mode: this.galleryMode.value,
+            from: this.galleryFrom.value,
+            to: this.galleryTo.value,
+        };
+        Object.entries(filters).forEach(([name, value]) => {
+            if (value) {
+                params.set(name, value);
+            }
+        });
+
+        this.galleryStatus.textContent = 'Loading history...';
+
+        try {
+            const response = await fetch(`/api/history?${params}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error || 'Failed to load history');
+            }
+            this.renderGallery(data);
+        } catch (error) {
+            console.error('Error loading history:', error);
+            this.galleryGrid.innerHTML = '';
+            this.galleryStatus.textContent = error.message;
+        }
+    }
+
+    renderGallery({ entries, total }) {
+        this.galleryGrid.innerHTML = '';
+        this.galleryStatus.textContent = total === 0
+            ? 'No generations match these filters.'
+            : `Showing ${entries.length} of ${total} generations.`;
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'gallery-item';
+            item.innerHTML = `
+                <div class="gallery-images"></div>
+                <div class="gallery-info">
+                    <div class="gallery-prompt"></div>
+                    <div class="gallery-meta"></div>
+                </div>
+                <button class="remove-image" title="Delete from history">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+
+            const images = item.querySelector('.gallery-images');
+            entry.outputs.filter(output => output.url).forEach(output => {
+                const img = document.createElement('img');
+                img.src = output.url;
+                img.alt = entry.prompt;
+                img.loading = 'lazy';
+                img.title = 'Download';
+                img.addEventListener('click', () => this.downloadImage(output.url, output.filename));
+                // The file may be gone (deleted by hand or by a bucket's
+                // lifecycle rules); say so rather than hiding it
+                img.addEventListener('error', () => {
+                    const missing = document.createElement('div');
+                    missing.className = 'gallery-missing';
+                    missing.title = output.filename;
+                    missing.innerHTML = '<i class="fas fa-image"></i><span>Image no longer available</span>';
+                    img.replaceWith(missing);
+                });
+                images.appendChild(img);
+            });
+
+            const seconds = (entry.durationMs / 1000).toFixed(1);
+            item.querySelector('.gallery-prompt').textContent = entry.prompt;
+            item.querySelector('.gallery-meta').textContent =
+                `${entry.mode} · ${new Date(entry.createdAt).toLocaleString()} · ${entry.model} · ${seconds}s`;
+            item.querySelector('.remove-image').addEventListener('click', () => this.deleteHistoryEntry(entry.id));
+
+            this.galleryGrid.appendChild(item);
+        });
+    }
+
+    async deleteHistoryEntry(id) {
+        if (!confirm('Delete this generation and its images?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/history/${id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to delete history entry');
+            }
+            await this.loadHistory();
+        } catch (error) {
+            console.error('Error deleting history entry:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async loadStats() {
+        const params = new URLSearchParams();
+        const filters = {
+            mode: this.usageMode.value,
+            from: this.usageFrom.value,
+            to: this.usageTo.value,
+        };
+        Object.entries(filters).forEach(([name, value]) => {
+            if (value) {
+                params.set(name, value);
+            }
+        });
+
+        this.usageStatus.textContent = 'Loading usage...';
+
+        try {
+            const response = await fetch(`/api/stats?${params}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error || 'Failed to load usage');
+            }
+            this.renderStats(data);
+        } catch (error) {
+            console.error('Error loading usage:', error);
+            this.usageTotals.innerHTML = '';
+            this.usageTables.innerHTML = '';
+            this.usageStatus.textContent = error.message;
+        }
+    }
+
+    renderStats({ from, to, currency, totals, byDay, byUser, byMode, byModel }) {
+        const number = value => value.toLocaleString();
+        const money = value => value.toLocaleString(undefined, { style: 'currency', currency, maximumFractionDigits: 4 });
+
+        this.usageStatus.textContent = totals.calls === 0
+            ? `No model calls between ${from} and ${to}.`
+            : `Model calls between ${from} and ${to}.` +
+                (totals.unpricedCalls ? ` ${totals.unpricedCalls} calls used models without pricing and are not in the estimate.` : '');
+
+        this.usageTotals.innerHTML = '';
+        [
+            ['Calls', number(totals.calls)],
+            ['Failed', number(totals.failures)],
+            ['Tokens', number(totals.totalTokens)],
+            ['Image tokens', number(totals.imageTokens)],
+            ['Avg. latency', `${(totals.averageLatencyMs / 1000).toFixed(1)}s`],
+            ['Est. cost', money(totals.estimatedCost)],
+        ].forEach(([label, value]) => {
+            const card = document.createElement('div');
+            card.className = 'usage-card';
+            card.innerHTML = '<span class="usage-value"></span><span class="usage-label"></span>';
+            card.querySelector('.usage-value').textContent = value;
+            card.querySelector('.usage-label').textContent = label;
+            this.usageTotals.appendChild(card);
+        });
+
+        this.usageTables.innerHTML = '';
+        if (totals.calls === 0) {
+            return;
+        }
+        [
+            ['By day', 'day', byDay],
+            ['By user', 'user', byUser],
+            ['By mode', 'mode', byMode],
+            ['By model', 'model', byModel],
+        ].forEach(([title, field, groups]) => {
+            const section = document.createElement('div');
+            section.innerHTML = `
+                <h3></h3>
+                <table>
+                    <thead><tr><th></th><th>Calls</th><th>Tokens</th><th>Image tokens</th><th>Est. cost</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+            `;
+            section.querySelector('h3').textContent = title;
+            section.querySelector('th').textContent = field[0].toUpperCase() + field.slice(1);
+
+            const body = section.querySelector('tbody');
+            groups.forEach(group => {
+                const row = document.createElement('tr');
+                [group[field] ?? 'anonymous', number(group.calls), number(group.totalTokens), number(group.imageTokens), money(group.estimatedCost)]
+                    .forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                body.appendChild(row);
+            });
+            this.usageTables.appendChild(section);
+        });
+    }
+
+    handleDragOver(e) {
+        e.preventDefault();
+        e.currentTarget.classList.add('dragover');
+    }
+
+    handleDragLeave(e) {
+        e.preventDefault();
+        e.currentTarget.classList.remove('dragover');
+    }
+
+    handleDrop(e) {
+        e.preventDefault();
+        this.uploadArea.classList.remove('dragover');
+        
+        const files = e.dataTransfer.files;
+        if (files.length > 0) {
+            this.handleFile(files[0]);
+        }
+    }
+
+    handleFileSelect(e) {
+        const file = e.target.files[0];
+        if (file) {
+            this.handleFile(file);
+        }
+    }
+
+    // Returns an error message for files the server would reject
+    validateImageFile(file) {
+        // Validate file type
+        if (!file.type.startsWith('image/')) {
+            return 'Please select a valid image file.';
+        }
+
+        // Validate file size (10MB limit)
+        if (file.size > 10 * 1024 * 1024) {
+            return 'File size must be less than 10MB.';
+        }
+
+        return null;
+    }
+
+    handleFile(file) {
+        const validationError = this.validateImageFile(file);
+        if (validationError) {
+            this.showError(validationError);
+            return;
+        }
+
+        this.uploadedFile = file;
+        
+        // Display the uploaded image
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            this.uploadedImage.src = e.target.result;
+            this.uploadedImageContainer.style.display = 'block';
+            this.maskTools.style.display = 'flex';
+            this.uploadArea.style.display = 'none';
+            this.manipulateBtn.disabled = false;
+        };
+        reader.readAsDataURL(file);
+    }
+
+    removeUploadedImage() {
+        this.uploadedFile = null;
+        this.uploadedImage.src = '';
+        this.uploadedImageContainer.style.display = 'none';
+        this.maskTools.style.display = 'none';
+        this.uploadArea.style.display = 'block';
+        this.manipulateBtn.disabled = true;
+        this.imageInput.value = '';
+        this.clearMask();
+        this.resetEditSession();
+    }
+
+    // The mask is drawn at the image's natural size, so it lines up with
+    // the uploaded file however the image is scaled on screen
+    resetMaskCanvas() {
+        this.maskCanvas.width = this.uploadedImage.naturalWidth;
+        this.maskCanvas.height = this.uploadedImage.naturalHeight;
+        this.maskPainted = false;
+    }
+
+    clearMask() {
+        this.maskCanvas.getContext('2d').clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
+        this.maskPainted = false;
+    }
+
+    toggleMaskEraser() {
+        this.maskErasing = !this.maskErasing;
+        this.maskEraseBtn.setAttribute('aria-pressed', String(this.maskErasing));
+    }
+
+    // Canvas coordinates of a pointer event, with the screen-to-canvas scale
+    maskPoint(e) {
+        const rect = this.maskCanvas.getBoundingClientRect();
+        const scale = this.maskCanvas.width / rect.width;
+        return {
+            x: (e.clientX - rect.left) * scale,
+            y: (e.clientY - rect.top) * scale,
+            scale
+        };
+    }
+
+    startMaskStroke(e) {
+        e.preventDefault();
+        this.maskCanvas.setPointerCapture(e.pointerId);
+        this.maskStroke = this.maskPoint(e);
+        this.drawMaskLine(this.maskStroke, this.maskStroke);
+    }
+
+    continueMaskStroke(e) {
+        if (!this.maskStroke) {
+            return;
+        }
+        const point = this.maskPoint(e);
+        this.drawMaskLine(this.maskStroke, point);
+        this.maskStroke = point;
+    }
+
+    // Paint (or erase) a round-ended line; the brush size is in screen pixels
+    drawMaskLine(from, to) {
+        const ctx = this.maskCanvas.getContext('2d');
+        const width = Number(this.brushSize.value) * to.scale;
+
+        ctx.globalCompositeOperation = this.maskErasing ? 'destination-out' : 'source-over';
+        ctx.strokeStyle = ctx.fillStyle = '#ff3c3c';
+        ctx.lineWidth = width;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(to.x, to.y, width / 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (!this.maskErasing) {
+            this.maskPainted = true;
+        }
+    }
+
+    // The painted mask as a PNG (painted pixels are opaque), or null if none
+    maskBlob() {
+        if (!this.maskPainted) {
+            return Promise.resolve(null);
+        }
+        return new Promise(resolve => this.maskCanvas.toBlob(resolve, 'image/png'));
+    }
+
+    handleReferenceDrop(e) {
+        e.preventDefault();
+        this.composeUploadArea.classList.remove('dragover');
+        this.addReferenceImages(e.dataTransfer.files);
+    }
+
+    addReferenceImages(files) {
+        for (const file of files) {
+            if (this.referenceImages.length >= MAX_REFERENCE_IMAGES) {
+                this.showError(`You can combine at most ${MAX_REFERENCE_IMAGES} images.`);
+                break;
+            }
+
+            const validationError = this.validateImageFile(file);
+            if (validationError) {
+                this.showError(validationError);
+                continue;
+            }
+
+            this.referenceImages.push({ file, label: '', previewUrl: URL.createObjectURL(file) });
+        }
+
+        this.composeInput.value = '';
+        this.renderReferenceList();
+    }
+
+    removeReferenceImage(index) {
+        const [removed] = this.referenceImages.splice(index, 1);
+        URL.revokeObjectURL(removed.previewUrl);
+        this.renderReferenceList();
+    }
+
+    renderReferenceList() {
+        this.referenceList.innerHTML = '';
+
+        this.referenceImages.forEach((reference, index) => {
+            const item = document.createElement('div');
+            item.className = 'reference-item';
+            item.innerHTML = `
+                <img src="${reference.previewUrl}" alt="Reference image ${index + 1}">
+                <input type="text" class="reference-label" placeholder="Role, e.g. product or scene">
+                <button class="remove-image" title="Remove image">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+
+            const labelInput = item.querySelector('.reference-label');
+            labelInput.value = reference.label;
+            labelInput.addEventListener('input', () => {
+                reference.label = labelInput.value;
+            });
+            item.querySelector('.remove-image').addEventListener('click', () => this.removeReferenceImage(index));
+
+            this.referenceList.appendChild(item);
+        });
+
+        this.composeBtn.disabled = this.referenceImages.length < 2;
+    }
+
+    async generateImage() {
+        const prompt = this.generatePrompt.value.trim();
+        
+        if (!prompt) {
+            this.showError('Please enter a prompt to generate an image.');
+            return;
+        }
+
+        this.showLoading();
+        this.hideError();
+
+        try {
+            await this.runJob('generate', {
+                prompt,
+                ...this.getBatchOptions(),
+                options: this.getGenerationOptions(),
+                model: this.getSelectedModel()
+            }, prompt, 'Failed to generate image');
+        } catch (error) {
+            console.error('Error generating image:', error);
+            this.showRequestError(error, 'Failed to generate image');
         } finally {
             this.hideLoading();
         }
     }
 
-    displayResults(data) {
-        this.resultsContainer.innerHTML = '';
+    async composeImages() {
+        const prompt = this.composePrompt.value.trim();
+
+        if (!prompt) {
+            this.showError('Please describe how to combine the images.');
+            return;
+        }
+
+        if (this.referenceImages.length < 2) {
+            this.showError('Please add at least two images to combine.');
+            return;
+        }
+
+        this.showLoading();
+        this.hideError();
+
+        try {
+            const formData = new FormData();
+            this.referenceImages.forEach(reference => {
+                formData.append('images', reference.file);
+                formData.append('labels', reference.label.trim());
+            });
+            formData.append('prompt', prompt);
+            this.appendGenerationOptions(formData);
+
+            await this.runJob('compose', formData, prompt, 'Failed to compose images');
+        } catch (error) {
+            console.error('Error composing images:', error);
+            this.showRequestError(error, 'Failed to compose images');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // `count` plus optional per-variation seed and style hint for batch
+    // generation. Variation seeds count up from the Advanced seed, wrapping
+    // around to 0 after the largest seed.
+    getBatchOptions() {
+        const count = parseInt(this.variationCount.value, 10) || 1;
+        const baseSeed = this.getGenerationOptions().seed;
+        const styles = this.variationStyles.value.split('\n').map(line => line.trim());
+
+        if (count <= 1) {
+            return {};
+        }
+
+        const variations = Array.from({ length: count }, (_, index) => {
+            const variation = {};
+            if (Number.isInteger(baseSeed)) {
+                variation.seed = (baseSeed + index) % (MAX_SEED + 1);
+            }
+            if (styles[index]) {
+                variation.style = styles[index];
+            }
+            return variation;
+        });
+
+        return { count, variations };
+    }
+
+    async manipulateImage() {
+        const prompt = this.manipulatePrompt.value.trim();
+        
+        if (!prompt) {
+            this.showError('Please enter a prompt to manipulate the image.');
+            return;
+        }
+
+        if (!this.uploadedFile) {
+            this.showError('Please upload an image first.');
+            return;
+        }
+
+        this.showLoading();
+        this.hideError();
+
+        try {
+            const formData = new FormData();
+            formData.append('image', this.uploadedFile);
+            formData.append('prompt', prompt);
+            this.appendGenerationOptions(formData);
+
+            const mask = await this.maskBlob();
+            if (mask) {
+                formData.append('mask', mask, 'mask.png');
+            }
+
+            // Each manipulation starts a new edit session that follow-ups refine
+            await this.resetEditSession();
+            const data = await this.runJob('edit', formData, prompt, 'Failed to manipulate image', this.uploadedImage.src);
+            if (!data) {
+                return;
+            }
+
+            this.sessionId = data.sessionId;
+            this.addSessionTurn(data);
+        } catch (error) {
+            console.error('Error manipulating image:', error);
+            this.showRequestError(error, 'Failed to manipulate image');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async continueEditSession() {
+        const prompt = this.followUpPrompt.value.trim();
+
+        if (!prompt) {
+            this.showError('Please describe how to refine the latest image.');
+            return;
+        }
+
+        if (!this.sessionId) {
+            this.showError('Please start by manipulating an uploaded image.');
+            return;
+        }
+
+        this.showLoading();
+        this.hideError();
+
+        try {
+            const data = await this.runJob('follow-up', {
+                sessionId: this.sessionId,
+                prompt,
+                options: this.getGenerationOptions(),
+                model: this.getSelectedModel()
+            }, prompt, 'Failed to refine image', this.latestSessionImage || this.uploadedImage.src);
+            if (!data) {
+                return;
+            }
+
+            this.addSessionTurn(data);
+            this.followUpPrompt.value = '';
+        } catch (error) {
+            console.error('Error refining image:', error);
+            if (error.code === 'SESSION_NOT_FOUND') {
+                this.resetEditSession();
+            }
+            this.showRequestError(error, 'Failed to refine image');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Add one prompt and its images to the edit chain
+    addSessionTurn(data) {
+        const turn = document.createElement('div');
+        turn.className = 'session-turn';
+        turn.innerHTML = `
+            <div class="session-turn-prompt"><strong>${data.turn}.</strong> <span></span></div>
+            <div class="session-turn-images"></div>
+        `;
+        turn.querySelector('.session-turn-prompt span').textContent = data.prompt;
+
+        const images = turn.querySelector('.session-turn-images');
+        data.results.filter(result => result && result.type === 'image').forEach(result => {
+            const img = document.createElement('img');
+            img.src = result.url;
+            img.alt = `Edit ${data.turn}`;
+            images.appendChild(img);
+        });
+
+        this.sessionTurns.appendChild(turn);
+        this.editSession.style.display = 'block';
+
+        // Follow-ups edit the latest image, so it is what their results are compared with
+        const latest = data.results.filter(result => result && result.type === 'image').pop();
+        if (latest) {
+            this.latestSessionImage = latest.url;
+        }
+    }
+
+    // Forget the current session (and free it on the server)
+    async resetEditSession() {
+        const sessionId = this.sessionId;
+        this.sessionId = null;
+        this.latestSessionImage = null;
+        this.sessionTurns.innerHTML = '';
+        this.followUpPrompt.value = '';
+        this.editSession.style.display = 'none';
+
+        if (sessionId) {
+            try {
+                await fetch(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+            } catch (error) {
+                console.error('Error deleting session:', error);
+            }
+        }
+    }
+
+    // Submit a request as a background job and poll it until it finishes, so
+    // slow generations don't hold a connection open. `body` is a FormData or
+    // a plain object with the endpoint's fields. Resolves like requestResults,
+    // or to null when the job was cancelled. Where a type of job is
+    // unavailable (the server answers 501) it goes straight to its endpoint.
+    async runJob(type, body, prompt, fallbackMessage, source = null) {
+        if (!this.jobsUnavailable.has(type)) {
+            if (body instanceof FormData) {
+                body.set('type', type);
+            }
+            const response = await fetch('/api/jobs', this.postRequest(body instanceof FormData ? body : { type, ...body }));
+            if (response.status !== 501) {
+                const job = await response.json();
+                if (!response.ok) {
+                    this.checkAuthorized(job);
+                    throw this.apiError(job, fallbackMessage);
+                }
+                return this.pollJob(job, prompt, fallbackMessage, source);
+            }
+            this.jobsUnavailable.add(type);
+        }
+
+        return this.requestResults(JOB_ENDPOINTS[type](body), this.postRequest(body), prompt, fallbackMessage, source);
+    }
+
+    // The error of a failed request, keeping its code (see lib/errors.js),
+    // its details and, for prompts blocked by content moderation, the
+    // verdict showError explains
+    apiError(data, fallbackMessage) {
+        return Object.assign(new Error(data.error || fallbackMessage), {
+            code: data.code,
+            retryable: data.retryable,
+            details: data.details,
+            moderation: data.moderation
+        });
+    }
+
+    postRequest(body) {
+        if (body instanceof FormData) {
+            return { method: 'POST', body };
+        }
+        return {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        };
+    }
+
+    async pollJob(job, prompt, fallbackMessage, source) {
+        this.currentJobId = job.jobId;
+        this.cancelJobBtn.style.display = 'inline-block';
+        this.startResults(prompt, source);
+        // What each result looked like when last rendered, so polls only
+        // redraw results that changed
+        const rendered = new Map();
+
+        try {
+            while (true) {
+                this.showJobProgress(job, rendered);
+
+                if (job.status === 'succeeded') {
+                    this.finishJob(job.response, rendered);
+                    return job.response;
+                } else if (job.status === 'failed') {
+                    throw this.apiError(job.error, fallbackMessage);
+                } else if (job.status === 'cancelled') {
+                    return null;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+                const response = await fetch(`/api/jobs/${job.jobId}`);
+                job = await response.json();
+                if (!response.ok) {
+                    this.checkAuthorized(job);
+                    throw this.apiError(job, fallbackMessage);
+                }
+            }
+        } finally {
+            this.currentJobId = null;
+            this.cancelJobBtn.style.display = 'none';
+        }
+    }
+
+    showJobProgress(job, rendered) {
+        job.results.forEach(({ index, ...result }) => this.renderJobResult(result, index, rendered));
+
+        if (job.status === 'queued') {
+            // Servers that run jobs in the background report no position
+            this.showCommentary(job.position
+                ? `Waiting for a free slot (number ${job.position} in the queue)...`
+                : 'Waiting to start...');
+        } else if (job.retry) {
+            this.showRetry(job.retry);
+        } else {
+            const text = job.results.filter(result => result.type === 'text').pop();
+            if (text) {
+                this.showCommentary(text.content);
+            }
+        }
+    }
+
+    // Render the final response; batch results are tagged with their variation
+    finishJob(response, rendered) {
+        if (response.variations) {
+            response.variations.forEach(variation => {
+                variation.results.forEach((result, index) => {
+                    this.renderJobResult({ ...result, variation: variation.index }, index, rendered);
+                });
+            });
+            this.markFailedVariations(response.variations);
+        } else {
+            response.results.forEach((result, index) => this.renderJobResult(result, index, rendered));
+        }
+
+        if (this.resultElements.size === 0) {
+            this.showError('No results were generated. Please try again.');
+        } else {
+            this.results.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    renderJobResult(result, index, rendered) {
+        const key = `${result.variation ?? ''}:${index}`;
+        const snapshot = JSON.stringify(result);
+        if (rendered.get(key) !== snapshot) {
+            rendered.set(key, snapshot);
+            this.renderResult(result, index);
+        }
+    }
+
+    // Results produced before the cancellation stay on screen
+    async cancelJob() {
+        if (!this.currentJobId) {
+            return;
+        }
+
+        this.cancelJobBtn.disabled = true;
+        try {
+            const response = await fetch(`/api/jobs/${this.currentJobId}`, { method: 'DELETE' });
+            // 409: the job finished in the meantime
+            if (!response.ok && response.status !== 409) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.showCommentary('Cancelling...');
+        } catch (error) {
+            console.error('Error cancelling job:', error);
+            this.showError('Could not cancel the request. It will finish on its own.');
+        } finally {
+            this.cancelJobBtn.disabled = false;
+        }
+    }
+
+    // POST to an image endpoint asking for Server-Sent Events, rendering each
+    // result as it arrives. Falls back to a plain JSON response (errors raised
+    // before the stream starts come back as JSON with their HTTP status).
+    // Resolves to the response summary together with its results. `source`
+    // is the edited image, which image results can be compared with.
+    async requestResults(url, options, prompt, fallbackMessage, source = null) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { ...options.headers, 'Accept': 'text/event-stream' },
+        });
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('text/event-stream')) {
+            const data = await response.json();
+            if (!response.ok) {
+                this.checkAuthorized(data);
+                throw this.apiError(data, fallbackMessage);
+            }
+            this.displayResults(data, source);
+            return data;
+        }
+
+        this.startResults(prompt, source);
+
+        const results = [];
+        let summary = {};
+        await this.readEventStream(response, (event, data) => {
+            if (event === 'result') {
+                // Text results are re-sent with the same index as they grow
+                const { index, ...result } = data;
+                this.renderResult(result, index);
+                if (result.variation === undefined) {
+                    results[index] = result;
+                }
+                if (result.type === 'text') {
+                    this.showCommentary(data.content);
+                }
+            } else if (event === 'retrying') {
+                this.showRetry(data);
+            } else if (event === 'done') {
+                summary = data;
+                if (data.variations) {
+                    this.markFailedVariations(data.variations);
+                }
+            } else if (event === 'error') {
+                throw this.apiError(data, fallbackMessage);
+            }
+        });
+
+        if (this.resultElements.size === 0) {
+            this.showError('No results were generated. Please try again.');
+        } else {
+            this.results.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        return { ...summary, results };
+    }
+
+    async readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const frame = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let event = 'message';
+                let data = '';
+                frame.split('\n').forEach(line => {
+                    if (line.startsWith('event: ')) {
+                        event = line.slice(7);
+                    } else if (line.startsWith('data: ')) {
+                        data += line.slice(6);
+                    }
+                });
+
+                if (data) {
+                    onEvent(event, JSON.parse(data));
+                }
+            }
+        }
+    }
+
+    displayResults(data, source = null) {
+        this.startResults(data.prompt, source);
+
+        // Batch generations group their results per variation
+        if (data.variations) {
+            data.variations.forEach(variation => {
+                variation.results.forEach((result, index) => {
+                    this.renderResult({ ...result, variation: variation.index }, index);
+                });
+            });
+            this.markFailedVariations(data.variations);
+            this.results.scrollIntoView({ behavior: 'smooth' });
+            return;
+        }
         
         if (!data.results || data.results.length === 0) {
             this.showError('No results were generated. Please try again.');
             return;
         }
 
-        data.results.forEach((result, index) => {
-            const resultElement = document.createElement('div');
-            resultElement.className = 'result-item';
-
-            if (result.type === 'image') {
-                // For Netlify deployment, images are returned as base64 data
-                const imageUrl = result.url || `data:${result.mimeType};base64,${result.data}`;
-                const filename = result.filename || `generated_image_${Date.now()}.png`;
-                
-                resultElement.innerHTML = `
-                    <img src="${imageUrl}" alt="Generated image ${index + 1}" loading="lazy">
-                    <div class="result-info">
-                        <div class="result-type">Generated Image</div>
-                        <div class="result-content">
-                            <strong>Prompt:</strong> ${data.prompt}
-                        </div>
-                        <button class="download-btn" onclick="this.downloadImage('${imageUrl}', '${filename}')">
-                            <i class="fas fa-download"></i> Download
-                        </button>
-                    </div>
-                `;
-                
-                // Add download functionality
-                const downloadBtn = resultElement.querySelector('.download-btn');
-                downloadBtn.addEventListener('click', () => this.downloadImage(imageUrl, filename));
-            } else if (result.type === 'text') {
-                resultElement.innerHTML = `
-                    <div class="result-info">
-                        <div class="result-type">Generated Text</div>
-                        <div class="result-content">${result.content}</div>
+        data.results.forEach((result, index) => this.renderResult(result, index));
+
+        this.results.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    startResults(prompt, source = null) {
+        this.resultsContainer.innerHTML = '';
+        this.resultsContainer.classList.remove('variation-grid');
+        this.resultElements = new Map();
+        this.variationCards = [];
+        this.downloadFavouritesBtn.style.display = 'none';
+        this.currentPrompt = prompt;
+        this.comparisonSource = source;
+    }
+
+    // Card holding every result of one batch variation. Cards are created in
+    // order so results that stream in out of order still land in the grid slot.
+    getVariationCard(variation) {
+        this.resultsContainer.classList.add('variation-grid');
+
+        while (this.variationCards.length <= variation) {
+            const number = this.variationCards.length + 1;
+            const card = document.createElement('div');
+            card.className = 'variation-card';
+            card.innerHTML = `
+                <div class="variation-header">
+                    <span>Variation ${number}</span>
+                    <button class="favourite-btn" title="Mark as favourite">
+                        <i class="far fa-star"></i>
+                    </button>
+                </div>
+                <div class="variation-body"></div>
+            `;
+
+            const favouriteBtn = card.querySelector('.favourite-btn');
+            favouriteBtn.addEventListener('click', () => this.toggleFavourite(card, favouriteBtn));
+
+            this.resultsContainer.appendChild(card);
+            this.variationCards.push(card);
+        }
+
+        return this.variationCards[variation];
+    }
+
+    toggleFavourite(card, button) {
+        const favourite = card.classList.toggle('favourite');
+        button.querySelector('i').className = favourite ? 'fas fa-star' : 'far fa-star';
+
+        const anyFavourite = this.variationCards.some(variationCard => variationCard.classList.contains('favourite'));
+        this.downloadFavouritesBtn.style.display = anyFavourite ? 'inline-block' : 'none';
+    }
+
+    downloadFavourites() {
+        this.variationCards
+            .filter(card => card.classList.contains('favourite'))
+            .forEach(card => {
+                card.querySelectorAll('.download-btn').forEach(button => button.click());
+            });
+    }
+
+    markFailedVariations(variations) {
+        variations.filter(variation => variation.error).forEach(variation => {
+            const card = this.getVariationCard(variation.index);
+            card.classList.add('failed');
+            const body = card.querySelector('.variation-body');
+            body.innerHTML = `
+                <div class="result-info">
+                    <div class="result-type">Variation failed</div>
+                    <div class="result-content"></div>
+                </div>
+            `;
+            body.querySelector('.result-content').textContent = variation.error.error;
+        });
+    }
+
+    // Render the result at `index` (within its variation, for batches),
+    // replacing it if it is already shown
+    renderResult(result, index) {
+        const resultElement = document.createElement('div');
+        resultElement.className = 'result-item';
+
+        if (result.type === 'image') {
+            // Both backends return a url (a file path locally, a data URL on Netlify)
+            const imageUrl = result.url;
+            const filename = result.filename || `generated_image_${Date.now()}.png`;
+            
+            resultElement.innerHTML = `
+                <img alt="Generated image ${index + 1}" loading="lazy">
+                <div class="result-info">
+                    <div class="result-type">Generated Image</div>
+                    <div class="result-content">
+                        <strong>Prompt:</strong> <span></span>
                     </div>
-                `;
+                    <button class="download-btn">
+                        <i class="fas fa-download"></i> Download
+                    </button>
+                </div>
+            `;
+            resultElement.querySelector('img').src = imageUrl;
+            resultElement.querySelector('.result-content span').textContent = this.currentPrompt;
+
+            // Add download functionality
+            const downloadBtn = resultElement.querySelector('.download-btn');
+            downloadBtn.addEventListener('click', () => this.downloadImage(imageUrl, filename));
+
+            // Manipulation results can be compared with their source image
+            if (this.comparisonSource) {
+                const source = this.comparisonSource;
+                const compareBtn = document.createElement('button');
+                compareBtn.className = 'result-action-btn';
+                compareBtn.innerHTML = '<i class="fas fa-columns"></i> Compare';
+                compareBtn.addEventListener('click', () => this.comparisonViewer.open(source, imageUrl));
+
+                const promoteBtn = document.createElement('button');
+                promoteBtn.className = 'result-action-btn';
+                promoteBtn.innerHTML = '<i class="fas fa-level-up-alt"></i> Use as Source';
+                promoteBtn.addEventListener('click', () => this.promoteResult(imageUrl));
+
+                downloadBtn.after(compareBtn, promoteBtn);
             }
+        } else if (result.type === 'text') {
+            resultElement.innerHTML = `
+                <div class="result-info">
+                    <div class="result-type">Generated Text</div>
+                    <div class="result-content"></div>
+                </div>
+            `;
+            resultElement.querySelector('.result-content').textContent = result.content;
+        }
 
-            this.resultsContainer.appendChild(resultElement);
-        });
+        const batch = result.variation !== undefined;
+        const container = batch
+            ? this.getVariationCard(result.variation).querySelector('.variation-body')
+            : this.resultsContainer;
+        const key = batch ? `${result.variation}:${index}` : `${index}`;
 
+        const existing = this.resultElements.get(key);
+        if (existing) {
+            existing.replaceWith(resultElement);
+        } else {
+            container.appendChild(resultElement);
+        }
+        this.resultElements.set(key, resultElement);
         this.results.style.display = 'block';
-        this.results.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // Make a result the new source image in the manipulate tab, so it can be
+    // edited further. This starts over with a new edit session and mask.
+    async promoteResult(imageUrl) {
+        try {
+            const response = await fetch(imageUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const blob = await response.blob();
+            const type = blob.type || 'image/png';
+            const file = new File([blob], `edited_${Date.now()}.${type.split('/')[1]}`, { type });
+
+            await this.resetEditSession();
+            this.switchTab('manipulate');
+            this.handleFile(file);
+            this.manipulatePrompt.focus();
+            this.uploadedImageContainer.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error('Error promoting result:', error);
+            this.showError('Could not load that image as the new source. Please download it and upload it instead.');
+        }
+    }
+
+    showCommentary(text) {
+        this.loadingCommentary.textContent = text;
+        this.loadingCommentary.style.display = 'block';
+    }
+
+    showRetry({ reason, delayMs, attempt, maxAttempts }) {
+        this.showCommentary(`${reason}. Retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt} of ${maxAttempts})...`);
     }
 
     downloadImage(imageUrl, filename) {
@@ -309,24 +1931,52 @@ class GoogleAIImageApp {
     }
 
     clearResults() {
-        this.resultsContainer.innerHTML = '';
+        this.startResults(null);
         this.results.style.display = 'none';
     }
 
     showLoading() {
         this.loading.style.display = 'block';
+        this.loadingCommentary.textContent = '';
+        this.loadingCommentary.style.display = 'none';
         this.generateBtn.disabled = true;
         this.manipulateBtn.disabled = true;
+        this.followUpBtn.disabled = true;
+        this.composeBtn.disabled = true;
     }
 
     hideLoading() {
         this.loading.style.display = 'none';
         this.generateBtn.disabled = false;
         this.manipulateBtn.disabled = !this.uploadedFile;
+        this.followUpBtn.disabled = false;
+        this.composeBtn.disabled = this.referenceImages.length < 2;
     }
 
-    showError(message) {
+    // `explanation` is an error from apiError whose details are worth
+    // showing: why a prompt was rejected and, when moderation blocked it,
+    // the categories that were flagged
+    showError(message, explanation = null) {
         this.errorText.textContent = message;
+        this.errorDetails.innerHTML = '';
+
+        if (explanation?.details) {
+            const details = document.createElement('p');
+            details.textContent = explanation.details;
+            this.errorDetails.appendChild(details);
+        }
+        if (explanation?.moderation?.categories.length) {
+            const categories = document.createElement('div');
+            categories.className = 'moderation-categories';
+            explanation.moderation.categories.forEach(({ label, probability }) => {
+                const category = document.createElement('span');
+                category.className = 'moderation-category';
+                category.textContent = probability ? `${label} (${probability.toLowerCase()})` : label;
+                categories.appendChild(category);
+            });
+            this.errorDetails.appendChild(categories);
+        }
+
         this.error.style.display = 'flex';
         this.error.scrollIntoView({ behavior: 'smooth' });
     }
@@ -1,5 +1,7 @@
 import { GoogleGenAI } from '@google/genai';
 import dotenv from 'dotenv';
+import { resolveModel } from './lib/models.js';
+import { getProvider } from './lib/providers/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,10 +21,11 @@ async function testAPI() {
       apiKey: process.env.GEMINI_API_KEY,
     });
     
-    console.log('🔍 Testing with a simple text generation...');
+    // The default model from the registry, or one named on the command line
+    // (npm run test:live -- gemini-2.5-flash-image)
+    const model = resolveModel('generate', process.argv[2], { provider: getProvider('gemini') });
+    console.log(`🔍 Testing ${model} with a simple text request...`);
     
-    // Test with text generation first (uses fewer resources)
-    const model = 'gemini-1.5-flash';
     const contents = [
       {
         role: 'user',
@@ -39,7 +42,7 @@ async function testAPI() {
       contents,
     });
     
-    const text = response.candidates?.[0]?.content?.parts?.[0]?.text || 'No response';
+    const text = response.candidates?.[0]?.content?.parts?.find(part => part.text)?.text || 'No response';
     
     console.log('✅ API Response:', text);
     console.log('🎉 API is working! You can now try image generation.');
@@ -0,0 +1,177 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, stat } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { allowedOrigin, createAuth, createJsonKeyStore, describeSession, issueKey, listKeys, login, revokeKey } from '../lib/auth.js';
+
+const ADMIN_KEY = 'test-admin-key';
+const admin = { name: 'admin', role: 'admin', keyId: 'admin' };
+
+// Read headers from a plain object, like the transports do
+function headers(values = {}) {
+  return name => values[name];
+}
+
+function cookieFrom(setCookie) {
+  return setCookie.split(';')[0];
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('createAuth', () => {
+  it('lets everyone in while ADMIN_API_KEY is unset', async () => {
+    const auth = createAuth();
+    assert.equal(auth.enabled, false);
+    assert.equal(await auth.authenticate(headers()), null);
+  });
+
+  it('accepts the admin key as a bearer token or X-API-Key header', async () => {
+    const auth = createAuth({ adminKey: ADMIN_KEY });
+    assert.deepEqual(await auth.authenticate(headers({ authorization: `Bearer ${ADMIN_KEY}` })), admin);
+    assert.deepEqual(await auth.authenticate(headers({ 'x-api-key': ADMIN_KEY })), admin);
+  });
+
+  it('rejects missing and unknown keys', async () => {
+    const auth = createAuth({ adminKey: ADMIN_KEY });
+    await assert.rejects(auth.authenticate(headers()), { status: 401, message: 'Authentication required' });
+    await assert.rejects(auth.authenticate(headers({ authorization: 'Bearer nope' })), { status: 401, message: 'Invalid API key' });
+  });
+
+  it('expires session cookies', async () => {
+    let now = Date.now();
+    const auth = createAuth({ adminKey: ADMIN_KEY, sessionTtlMs: 1000, now: () => now });
+    const cookie = cookieFrom(auth.sessionCookie(admin));
+
+    assert.deepEqual(await auth.authenticate(headers({ cookie })), admin);
+    now += 2000;
+    await assert.rejects(auth.authenticate(headers({ cookie })), { status: 401 });
+  });
+
+  it('ignores tampered session cookies', async () => {
+    const auth = createAuth({ adminKey: ADMIN_KEY });
+    const [payload, signature] = cookieFrom(auth.sessionCookie({ name: 'ann', role: 'user', keyId: 'x' })).split('.');
+    const forged = Buffer.from(JSON.stringify({ name: 'ann', role: 'admin', keyId: 'admin', expiresAt: Date.now() + 1000 })).toString('base64url');
+
+    assert.equal(await auth.currentUser(headers({ cookie: `session=${forged}.${signature}` })), null);
+    assert.equal(await auth.currentUser(headers({ cookie: `${payload}.tampered` })), null);
+  });
+
+  it('signs links to generated files until they expire', () => {
+    let now = Date.now();
+    const auth = createAuth({ adminKey: ADMIN_KEY, sessionTtlMs: 1000, now: () => now });
+    const query = Object.fromEntries(new URL(auth.signUrl('/generated/a.png'), 'http://localhost').searchParams);
+
+    assert.equal(auth.verifyUrl('/generated/a.png', query), true);
+    assert.equal(auth.verifyUrl('/generated/b.png', query), false);
+    assert.equal(auth.verifyUrl('/generated/a.png', { ...query, expires: String(Number(query.expires) + 60) }), false);
+    assert.equal(auth.verifyUrl('/generated/a.png', {}), false);
+    now += 2000;
+    assert.equal(auth.verifyUrl('/generated/a.png', query), false);
+  });
+
+  it('leaves links unsigned while authentication is off', () => {
+    const auth = createAuth();
+    assert.equal(auth.signUrl('/generated/a.png'), '/generated/a.png');
+    assert.equal(auth.verifyUrl('/generated/a.png', {}), true);
+  });
+});
+
+describe('API keys', () => {
+  it('issues keys that authenticate as their user until revoked', async () => {
+    const auth = createAuth({ adminKey: ADMIN_KEY });
+    const issued = await issueKey({ user: ' Ann ' }, { auth, user: admin });
+    assert.equal(issued.user, 'Ann');
+    assert.equal(issued.role, 'user');
+    assert.match(issued.key, /^gai_/);
+    assert.equal(issued.hash, undefined);
+
+    const ann = await auth.authenticate(headers({ authorization: `Bearer ${issued.key}` }));
+    assert.deepEqual(ann, { name: 'Ann', role: 'user', keyId: issued.id });
+
+    // The key itself is never listed again
+    const { keys } = await listKeys({ auth, user: admin });
+    assert.deepEqual(keys.map(key => [key.user, key.key, key.prefix]), [['Ann', undefined, issued.key.slice(0, 8)]]);
+
+    const { cookie } = await login({ apiKey: issued.key }, { auth });
+    const revoked = await revokeKey(issued.id, { auth, user: admin });
+    assert.ok(revoked.revokedAt);
+
+    await assert.rejects(auth.authenticate(headers({ 'x-api-key': issued.key })), { status: 401 });
+    // Sessions started with the key end with it
+    assert.equal(await auth.currentUser(headers({ cookie: cookieFrom(cookie) })), null);
+  });
+
+  it('keeps key management to admins', async () => {
+    const auth = createAuth({ adminKey: ADMIN_KEY });
+    const ann = { name: 'Ann', role: 'user', keyId: 'k' };
+    await assert.rejects(issueKey({ user: 'Bob' }, { auth, user: ann }), { status: 403 });
+    await assert.rejects(listKeys({ auth, user: ann }), { status: 403 });
+    await assert.rejects(revokeKey('k', { auth, user: null }), { status: 403 });
+    await assert.rejects(listKeys({ auth: createAuth(), user: null }), { status: 403, message: 'Authentication is not enabled' });
+  });
+
+  it('validates new keys', async () => {
+    const auth = createAuth({ adminKey: ADMIN_KEY });
+    await assert.rejects(issueKey({}, { auth, user: admin }), { status: 400 });
+    await assert.rejects(issueKey({ user: 'Ann', role: 'owner' }, { auth, user: admin }), { status: 400, message: 'role must be one of: user, admin' });
+    await assert.rejects(revokeKey('nope', { auth, user: admin }), { status: 404 });
+  });
+});
+
+describe('login', () => {
+  it('returns the user with a signed, HttpOnly session cookie', async () => {
+    const auth = createAuth({ adminKey: ADMIN_KEY });
+    const { body, cookie } = await login({ apiKey: ADMIN_KEY }, { auth, secure: true });
+
+    assert.deepEqual(body, { success: true, user: 'admin', role: 'admin' });
+    assert.match(cookie, /^session=[\w-]+\.[\w-]+; Path=\/; HttpOnly; SameSite=Strict; Max-Age=\d+; Secure$/);
+    assert.deepEqual(describeSession({ auth, user: await auth.currentUser(headers({ cookie: cookieFrom(cookie) })) }), {
+      enabled: true,
+      authenticated: true,
+      user: 'admin',
+      role: 'admin',
+    });
+  });
+
+  it('rejects bad keys and servers without authentication', async () => {
+    await assert.rejects(login({ apiKey: 'nope' }, { auth: createAuth({ adminKey: ADMIN_KEY }) }), { status: 401 });
+    await assert.rejects(login({}, { auth: createAuth({ adminKey: ADMIN_KEY }) }), { status: 400 });
+    await assert.rejects(login({ apiKey: 'x' }, { auth: createAuth() }), { status: 400, message: 'Authentication is not enabled' });
+  });
+});
+
+describe('allowedOrigin', () => {
+  it('allows listed origins, or any origin only while the server is open', () => {
+    assert.equal(allowedOrigin('https://a.example', { enabled: false, origins: '' }), '*');
+    assert.equal(allowedOrigin('https://a.example', { enabled: true, origins: '' }), null);
+    assert.equal(allowedOrigin('https://a.example', { enabled: true, origins: 'https://a.example, https://b.example' }), 'https://a.example');
+    assert.equal(allowedOrigin('https://c.example', { enabled: false, origins: 'https://a.example' }), null);
+  });
+});
+
+describe('createJsonKeyStore', () => {
+  it('persists keys in a file only the server can read', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'keys-'));
+    const filePath = path.join(dir, 'keys.json');
+    try {
+      const store = createJsonKeyStore(filePath);
+      await store.put({ id: 'k1', user: 'ann', hash: 'abc' });
+      await store.put({ id: 'k1', user: 'ann', hash: 'abc', revokedAt: 'now' });
+
+      const saved = JSON.parse(await readFile(filePath, 'utf8'));
+      assert.deepEqual(saved.keys, [{ id: 'k1', user: 'ann', hash: 'abc', revokedAt: 'now' }]);
+      if (process.platform !== 'win32') {
+        assert.equal((await stat(filePath)).mode & 0o777, 0o600);
+      }
+
+      assert.equal((await createJsonKeyStore(filePath).get('k1')).user, 'ann');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
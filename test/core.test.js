@@ -0,0 +1,264 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'events';
+import { MAX_VARIATIONS, composeImages, generateImage, processAIResponse } from '../lib/core.js';
+import { MAX_SEED } from '../lib/options.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+import { PNG_BYTES, apiError, createMemorySink, createStubProvider, imageChunk, textChunk } from './helpers.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => mock.restoreAll());
+
+async function* stream(...chunks) {
+  yield* chunks;
+}
+
+const image = (data = PNG_BYTES) => ({ inlineData: { mimeType: 'image/png', data: data.toString('base64') } });
+
+describe('processAIResponse', () => {
+  it('keeps text and images that share a chunk, in order', async () => {
+    const response = stream({
+      candidates: [{ content: { parts: [{ text: 'Before. ' }, image(), { text: 'After.' }, image()] } }],
+    });
+
+    const { results } = await processAIResponse(response, createMemorySink(), 'test');
+
+    assert.deepEqual(results.map(result => result.type), ['text', 'image', 'text', 'image']);
+    assert.equal(results[0].content, 'Before. ');
+    assert.equal(results[2].content, 'After.');
+    assert.match(results[1].filename, /^test_\d+_0\.png$/);
+    assert.match(results[3].filename, /^test_\d+_1\.png$/);
+  });
+
+  it('merges consecutive text fragments across chunks', async () => {
+    const response = stream(
+      { candidates: [{ content: { parts: [{ text: 'A fox ' }] } }] },
+      { candidates: [{ content: { parts: [{ text: 'in the ' }, { text: 'snow.' }] } }] },
+      { candidates: [{ content: { parts: [image()] } }] },
+      { candidates: [{ content: { parts: [{ text: 'Enjoy!' }] } }] },
+    );
+
+    const { results } = await processAIResponse(response, createMemorySink());
+
+    assert.deepEqual(results.map(result => result.content ?? result.type), ['A fox in the snow.', 'image', 'Enjoy!']);
+  });
+
+  it('skips thought parts', async () => {
+    const response = stream({
+      candidates: [{ content: { parts: [{ text: 'planning...', thought: true }, { text: 'Here it is.' }] } }],
+    });
+
+    const { results } = await processAIResponse(response, createMemorySink());
+
+    assert.deepEqual(results, [{ type: 'text', candidate: 0, content: 'Here it is.' }]);
+  });
+
+  it('reports every candidate with its finish reason and safety ratings', async () => {
+    const ratings = [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'NEGLIGIBLE' }];
+    const response = stream(
+      {
+        candidates: [
+          { index: 0, content: { parts: [{ text: 'First ' }] } },
+          { index: 1, content: { parts: [image()] } },
+        ],
+      },
+      {
+        candidates: [
+          { index: 0, content: { parts: [{ text: 'option.' }] }, finishReason: 'STOP', safetyRatings: ratings },
+          { index: 1, finishReason: 'SAFETY' },
+        ],
+      },
+    );
+
+    const { results, candidates } = await processAIResponse(response, createMemorySink());
+
+    assert.deepEqual(results.map(({ type, candidate }) => [type, candidate]), [['text', 0], ['image', 1]]);
+    assert.equal(results[0].content, 'First option.');
+    assert.deepEqual(candidates, [
+      { index: 0, finishReason: 'STOP', safetyRatings: ratings },
+      { index: 1, finishReason: 'SAFETY' },
+    ]);
+  });
+
+  it('passes prompt feedback through', async () => {
+    const response = stream({ promptFeedback: { blockReason: 'SAFETY' } });
+
+    const output = await processAIResponse(response, createMemorySink());
+
+    assert.deepEqual(output, { results: [], candidates: [], promptFeedback: { blockReason: 'SAFETY' } });
+  });
+
+  it('reports growing text results under the same index', async () => {
+    const updates = [];
+    const response = stream(
+      { candidates: [{ content: { parts: [{ text: 'Hello' }] } }] },
+      { candidates: [{ content: { parts: [{ text: ', world' }, image()] } }] },
+    );
+
+    await processAIResponse(response, createMemorySink(), 'test', (result, index) => {
+      updates.push([index, result.content ?? result.type]);
+    });
+
+    assert.deepEqual(updates, [[0, 'Hello'], [0, 'Hello, world'], [1, 'image']]);
+  });
+});
+
+describe('generateImage variations', () => {
+  function options(provider) {
+    return { sink: createMemorySink(), provider };
+  }
+
+  it('fans out one request per variation with its seed and style', async () => {
+    const provider = createStubProvider();
+    const data = await generateImage({
+      prompt: 'a lighthouse',
+      count: 3,
+      variations: [{ seed: 7, style: 'watercolor' }, { style: 'pixel art' }],
+    }, options(provider));
+
+    assert.equal(data.count, 3);
+    assert.deepEqual(data.variations.map(({ index, seed, style }) => ({ index, seed, style })), [
+      { index: 0, seed: 7, style: 'watercolor' },
+      { index: 1, seed: undefined, style: 'pixel art' },
+      { index: 2, seed: undefined, style: undefined },
+    ]);
+    assert.equal(data.variations[0].results.length, 2);
+    assert.match(data.variations[2].results[1].filename, /^text_to_image_v2_/);
+
+    const prompts = provider.calls.map(call => call.contents[0].parts[0].text);
+    assert.deepEqual(prompts.sort(), [
+      'a lighthouse',
+      'a lighthouse\n\nStyle: pixel art',
+      'a lighthouse\n\nStyle: watercolor',
+    ]);
+    assert.equal(provider.calls.filter(call => call.config.seed === 7).length, 1);
+  });
+
+  it('gets a different mock image for each seed', async () => {
+    const sink = createMemorySink();
+    await generateImage({ prompt: 'a lighthouse', count: 3, variations: [{ seed: 1 }, { seed: 2 }, { seed: 1 }] }, { sink, provider: createMockProvider() });
+
+    const [one, two, again] = [0, 1, 2].map(index => sink.saved.find(file => file.fileName.includes(`_v${index}_`)).buffer);
+    assert.notDeepEqual(one, two);
+    assert.deepEqual(one, again);
+  });
+
+  it('caps the number of concurrent model calls', async () => {
+    let active = 0;
+    let peak = 0;
+    const provider = {
+      ...createStubProvider(),
+      async generateContentStream() {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return (async function* () {
+          yield imageChunk();
+        })();
+      },
+    };
+
+    const data = await generateImage({ prompt: 'x', count: 6 }, options(provider));
+
+    assert.equal(data.variations.length, 6);
+    assert.equal(peak, 3);
+  });
+
+  it('reports failed variations alongside successful ones', async () => {
+    let call = 0;
+    const provider = {
+      ...createStubProvider(),
+      async generateContentStream() {
+        if (call++ === 1) {
+          throw apiError(429);
+        }
+        return (async function* () {
+          yield textChunk('ok');
+        })();
+      },
+    };
+
+    // A single attempt, so the 429 isn't retried away
+    const data = await generateImage({ prompt: 'x', count: 2 }, { ...options(provider), retry: { maxAttempts: 1 } });
+
+    assert.equal(data.variations[0].results.length, 1);
+    assert.deepEqual(data.variations[1].results, []);
+    assert.equal(data.variations[1].error.status, 429);
+    assert.equal(data.variations[1].error.error, 'API rate limit exceeded');
+  });
+
+  it('fails when every variation fails', async () => {
+    const provider = createStubProvider({ error: apiError(401) });
+    await assert.rejects(generateImage({ prompt: 'x', count: 2 }, options(provider)), { status: 401 });
+  });
+
+  it('tags streamed results with their variation', async () => {
+    const seen = [];
+    await generateImage({ prompt: 'x', count: 2 }, {
+      ...options(createStubProvider({ chunks: [textChunk('hi')] })),
+      onResult: (result, index) => seen.push([result.variation, index]),
+    });
+
+    assert.deepEqual(seen.sort(), [[0, 0], [1, 0]]);
+  });
+
+  it('treats a count of 1 as a plain generation', async () => {
+    const data = await generateImage({ prompt: 'x', count: 1 }, options(createStubProvider()));
+    assert.equal(data.variations, undefined);
+    assert.equal(data.results.length, 2);
+  });
+
+  const invalid = [
+    [{ count: 0 }, `count must be an integer between 1 and ${MAX_VARIATIONS}`],
+    [{ count: MAX_VARIATIONS + 1 }, `count must be an integer between 1 and ${MAX_VARIATIONS}`],
+    [{ count: 2.5 }, `count must be an integer between 1 and ${MAX_VARIATIONS}`],
+    [{ variations: 'many' }, 'variations must be an array'],
+    [{ count: 1, variations: [{}, {}] }, 'variations cannot have more entries than count'],
+    [{ count: 2, variations: [{ seed: 'abc' }] }, `variations[0].seed must be an integer between 0 and ${MAX_SEED}`],
+    [{ count: 2, variations: [{}, { seed: 1e20 }] }, `variations[1].seed must be an integer between 0 and ${MAX_SEED}`],
+    [{ count: 2, variations: [{ seed: -1 }] }, `variations[0].seed must be an integer between 0 and ${MAX_SEED}`],
+    [{ count: 2, variations: [{}, { style: 3 }] }, 'variations[1].style must be a string'],
+    [{ prompt: ['a', 'b'] }, 'Prompt must be a string'],
+    [{ prompt: { a: 1 } }, 'Prompt must be a string'],
+  ];
+  for (const [input, message] of invalid) {
+    it(`rejects ${JSON.stringify(input)}`, async () => {
+      const provider = createStubProvider();
+      await assert.rejects(generateImage({ prompt: 'x', ...input }, options(provider)), { status: 400, message });
+      assert.equal(provider.calls.length, 0);
+    });
+  }
+});
+
+describe('composeImages', () => {
+  it('rejects labels that are not strings', async () => {
+    const provider = createStubProvider();
+    const images = [1, 2].map(n => ({ buffer: PNG_BYTES, mimeType: 'image/png', name: `${n}.png` }));
+    await assert.rejects(
+      composeImages({ prompt: 'combine', images, labels: ['product', 2] }, { sink: createMemorySink(), provider }),
+      { status: 400, code: 'INVALID_REQUEST', message: 'Labels must be strings', details: 'labels[1] is a number.' }
+    );
+    assert.equal(provider.calls.length, 0);
+  });
+});
+
+describe('createMockProvider', () => {
+  it('stops listening for aborts once a simulated delay is over', async () => {
+    process.env.MOCK_AI_DELAY_MS = '1';
+    try {
+      const controller = new AbortController();
+      const stream = await createMockProvider().generateContentStream({ contents: [{ parts: [{ text: 'a kite' }] }], signal: controller.signal });
+      for await (const chunk of stream) {
+        assert.ok(chunk);
+      }
+      assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    } finally {
+      delete process.env.MOCK_AI_DELAY_MS;
+    }
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ERROR_CATALOG, HttpError, codedError, toErrorResponse } from '../lib/errors.js';
+
+function apiError(status, message = `API error ${status}`) {
+  return Object.assign(new Error(message), { status });
+}
+
+describe('codedError', () => {
+  it('takes its status and message from the catalog', () => {
+    const error = codedError('SESSION_NOT_FOUND');
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.status, 404);
+    assert.equal(error.message, 'Session not found');
+    assert.equal(error.code, 'SESSION_NOT_FOUND');
+
+    assert.equal(codedError('INVALID_MASK', 'Mask is empty', 'Paint an area').details, 'Paint an area');
+  });
+
+  it('gives errors thrown with only a status the code for it', () => {
+    assert.equal(new HttpError(400, 'Prompt is required').code, 'INVALID_REQUEST');
+    assert.equal(new HttpError(401, 'Authentication required').code, 'AUTH_REQUIRED');
+    assert.equal(new HttpError(502, 'Bad gateway').code, 'INTERNAL_ERROR');
+  });
+
+  it('only uses codes whose status is a client or server error', () => {
+    for (const [code, { status, message, retryable }] of Object.entries(ERROR_CATALOG)) {
+      assert.ok(status >= 400 && status < 600, code);
+      assert.equal(typeof message, 'string', code);
+      assert.equal(typeof retryable, 'boolean', code);
+    }
+  });
+});
+
+describe('toErrorResponse', () => {
+  it('answers with the code and whether to retry', () => {
+    assert.deepEqual(toErrorResponse(codedError('QUEUE_FULL')), {
+      status: 503,
+      body: { error: 'Too many queued jobs', code: 'QUEUE_FULL', retryable: true }
+    });
+    assert.deepEqual(toErrorResponse(codedError('INVALID_OPTIONS', 'options.seed must be an integer')).body, {
+      error: 'options.seed must be an integer',
+      code: 'INVALID_OPTIONS',
+      retryable: false
+    });
+  });
+
+  it('tells model API errors apart from our own', () => {
+    assert.equal(toErrorResponse(apiError(429)).body.code, 'MODEL_RATE_LIMITED');
+    assert.equal(toErrorResponse(apiError(429)).body.retryable, true);
+    assert.equal(toErrorResponse(apiError(401)).body.code, 'MODEL_AUTH_FAILED');
+    assert.deepEqual(toErrorResponse(apiError(400, 'Bad image')).body, {
+      error: 'Invalid request',
+      code: 'MODEL_INVALID_REQUEST',
+      retryable: false,
+      details: 'Bad image'
+    });
+    assert.deepEqual(toErrorResponse(apiError(503), 'Failed to generate image'), {
+      status: 500,
+      body: { error: 'Failed to generate image', code: 'MODEL_ERROR', retryable: true, details: 'API error 503' }
+    });
+    assert.deepEqual(toErrorResponse(new TypeError('x is undefined')).body, {
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      retryable: false,
+      details: 'x is undefined'
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { createHash } from 'crypto';
+import http from 'http';
+import { ApiError } from '@google/genai';
+import { normalizeImage } from '../lib/images.js';
+import { createPlaceholderPng } from '../lib/providers/mock.js';
+
+// Shared fixtures for the route and handler tests
+
+// Failed model calls are retried without waiting (see lib/retry.js)
+process.env.MODEL_RETRY_BASE_MS ??= '0';
+
+// Requests are not rate limited unless a test brings its own limiter (see lib/ratelimit.js)
+process.env.RATE_LIMIT_PER_MINUTE ??= '0';
+
+// A small, real PNG, since uploads are decoded and re-encoded (see lib/images.js)
+export const PNG_BYTES = createPlaceholderPng('fixture', 8);
+
+// What the model receives for PNG_BYTES once normalized
+export const NORMALIZED_PNG_BASE64 = (await normalizeImage({ buffer: PNG_BYTES })).buffer.toString('base64');
+
+export function textChunk(text) {
+  return {
+    text,
+    candidates: [{ content: { role: 'model', parts: [{ text }] } }],
+  };
+}
+
+export function imageChunk(buffer = PNG_BYTES, mimeType = 'image/png') {
+  return {
+    candidates: [{
+      content: { role: 'model', parts: [{ inlineData: { mimeType, data: buffer.toString('base64') } }] },
+    }],
+  };
+}
+
+export function apiError(status, message = `status ${status}`) {
+  return new ApiError({ status, message });
+}
+
+// Provider that replays `chunks` (or throws `error`) and records each request
+export function createStubProvider({ chunks = [textChunk('done'), imageChunk()], error } = {}) {
+  const calls = [];
+  return {
+    name: 'stub',
+    model: 'stub-model',
+    calls,
+    async generateContentStream(request) {
+      calls.push(request);
+      if (error) {
+        throw error;
+      }
+      return (async function* () {
+        yield* chunks;
+      })();
+    }
+  };
+}
+
+// Sink that keeps saved images in memory
+export function createMemorySink() {
+  const saved = [];
+  return {
+    name: 'memory',
+    saved,
+    async save(file) {
+      saved.push(file);
+      return `/memory/${file.fileName}`;
+    }
+  };
+}
+
+export async function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+// Build a raw multipart/form-data body the way a browser would
+export function multipartBody(boundary, fields) {
+  const chunks = [];
+  for (const field of fields) {
+    let disposition = `Content-Disposition: form-data; name="${field.name}"`;
+    if (field.filename) {
+      disposition += `; filename="${field.filename}"`;
+    }
+    chunks.push(Buffer.from(`--${boundary}\r\n${disposition}\r\n`));
+    if (field.contentType) {
+      chunks.push(Buffer.from(`Content-Type: ${field.contentType}\r\n`));
+    }
+    chunks.push(Buffer.from('\r\n'), Buffer.from(field.value), Buffer.from('\r\n'));
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+// Parse a text/event-stream body into [{ event, data }]
+export function parseEventStream(body) {
+  return body.split('\n\n').filter(Boolean).map(frame => {
+    const [eventLine, dataLine] = frame.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+// Stand-in for an S3-compatible server (path-style URLs). It keeps objects in
+// memory, checks that writes are signed and carry the right payload hash and
+// only serves reads through presigned URLs. Set `failWith` to answer every
+// request with that status.
+export async function createS3StandIn() {
+  const objects = new Map();
+  const standIn = { objects, failWith: null };
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks);
+    const url = new URL(req.url, 'http://localhost');
+    const key = decodeURIComponent(url.pathname);
+
+    if (standIn.failWith) {
+      res.writeHead(standIn.failWith).end('<Error><Code>AccessDenied</Code></Error>');
+      return;
+    }
+
+    // Presigned URLs and signed requests alike may read objects
+    if (req.method === 'GET') {
+      const object = objects.get(key);
+      const signed = url.searchParams.get('X-Amz-Signature') || req.headers.authorization?.startsWith('AWS4-HMAC-SHA256 Credential=');
+      if (!signed || !object) {
+        res.writeHead(signed ? 404 : 403).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': object.contentType, ETag: object.etag }).end(object.body);
+      return;
+    }
+
+    if (!req.headers.authorization?.startsWith('AWS4-HMAC-SHA256 Credential=')) {
+      res.writeHead(403).end();
+      return;
+    }
+
+    if (req.method === 'PUT') {
+      const hash = createHash('sha256').update(body).digest('hex');
+      if (req.headers['x-amz-content-sha256'] !== hash) {
+        res.writeHead(400).end('<Error><Code>XAmzContentSHA256Mismatch</Code></Error>');
+        return;
+      }
+      // Conditional writes, as S3 answers them
+      const current = objects.get(key);
+      const ifMatch = req.headers['if-match'];
+      if ((ifMatch && current?.etag !== ifMatch) || (req.headers['if-none-match'] === '*' && current)) {
+        res.writeHead(412).end('<Error><Code>PreconditionFailed</Code></Error>');
+        return;
+      }
+      const etag = `"${hash.slice(0, 32)}"`;
+      objects.set(key, { body, contentType: req.headers['content-type'], etag });
+      res.writeHead(200, { ETag: etag }).end();
+    } else if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204).end();
+    } else {
+      res.writeHead(405).end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  standIn.endpoint = `http://127.0.0.1:${server.address().port}`;
+  standIn.close = () => new Promise(done => server.close(done));
+  return standIn;
+}
@@ -0,0 +1,163 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { composeImages, generateImage } from '../lib/core.js';
+import {
+  createJsonHistoryStore,
+  createMemoryHistoryStore,
+  deleteHistoryEntry,
+  listHistory,
+} from '../lib/history.js';
+import { startSession, continueSession, createMemorySessionStore } from '../lib/sessions.js';
+import { PNG_BYTES, apiError, createMemorySink, createStubProvider } from './helpers.js';
+
+const image = (name) => ({ buffer: PNG_BYTES, mimeType: 'image/png', name });
+
+function entry(overrides) {
+  return {
+    id: overrides.prompt,
+    mode: 'generate',
+    outputs: [],
+    createdAt: '2024-05-01T12:00:00.000Z',
+    ...overrides,
+  };
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('recording history', () => {
+  it('records the prompt, model, timing and output files', async () => {
+    const history = createMemoryHistoryStore();
+    await generateImage({ prompt: 'a red fox' }, { sink: createMemorySink(), provider: createStubProvider(), history });
+
+    const [recorded] = await history.all();
+    assert.equal(recorded.mode, 'generate');
+    assert.equal(recorded.prompt, 'a red fox');
+    assert.equal(recorded.provider, 'stub');
+    assert.equal(recorded.model, 'stub-model');
+    assert.ok(recorded.durationMs >= 0);
+    assert.deepEqual(recorded.outputs.map(output => output.url), [`/memory/${recorded.outputs[0].filename}`]);
+  });
+
+  it('hashes source images and tags variation outputs', async () => {
+    const history = createMemoryHistoryStore();
+    const options = { sink: createMemorySink(), provider: createStubProvider(), history };
+    await composeImages({ prompt: 'combine', images: [image('a.png'), image('b.png')], labels: ['product'] }, options);
+    await generateImage({ prompt: 'a lighthouse', count: 2 }, options);
+
+    const [batch, composition] = await history.all();
+    assert.deepEqual(composition.sourceImages.map(source => [source.label, source.name]), [
+      ['product', 'a.png'],
+      ['Image 2', 'b.png'],
+    ]);
+    assert.match(composition.sourceImages[0].sha256, /^[0-9a-f]{64}$/);
+    assert.deepEqual(batch.outputs.map(output => output.variation).sort(), [0, 1]);
+  });
+
+  it('records each edit session turn', async () => {
+    const history = createMemoryHistoryStore();
+    const options = { sink: createMemorySink(), provider: createStubProvider(), history, store: createMemorySessionStore() };
+    const { sessionId } = await startSession({ prompt: 'add a hat', image: image('photo.png') }, options);
+    await continueSession({ sessionId, prompt: 'warmer' }, options);
+
+    const turns = await history.all();
+    assert.deepEqual(turns.map(turn => [turn.mode, turn.turn, turn.sessionId]), [
+      ['edit', 2, sessionId],
+      ['edit', 1, sessionId],
+    ]);
+  });
+
+  it('does not record failed requests', async () => {
+    const history = createMemoryHistoryStore();
+    const options = { sink: createMemorySink(), provider: createStubProvider({ error: apiError(429) }), history };
+    await assert.rejects(generateImage({ prompt: 'x' }, options));
+    assert.deepEqual(await history.all(), []);
+  });
+});
+
+describe('listHistory', () => {
+  async function seeded() {
+    const history = createMemoryHistoryStore();
+    await history.add(entry({ prompt: 'A red fox', createdAt: '2024-05-01T08:00:00.000Z' }));
+    await history.add(entry({ prompt: 'Snowy fox', mode: 'manipulate', createdAt: '2024-05-02T20:00:00.000Z' }));
+    await history.add(entry({ prompt: 'Lighthouse', createdAt: '2024-05-03T09:00:00.000Z' }));
+    return { history };
+  }
+
+  const prompts = ({ entries }) => entries.map(item => item.prompt);
+
+  it('lists newest first', async () => {
+    const data = await listHistory({}, await seeded());
+    assert.equal(data.total, 3);
+    assert.deepEqual(prompts(data), ['Lighthouse', 'Snowy fox', 'A red fox']);
+  });
+
+  it('searches prompt text case-insensitively', async () => {
+    assert.deepEqual(prompts(await listHistory({ q: 'FOX' }, await seeded())), ['Snowy fox', 'A red fox']);
+  });
+
+  it('filters by mode and by date, including the whole `to` day', async () => {
+    const options = await seeded();
+    assert.deepEqual(prompts(await listHistory({ mode: 'manipulate' }, options)), ['Snowy fox']);
+    assert.deepEqual(prompts(await listHistory({ from: '2024-05-02', to: '2024-05-02' }, options)), ['Snowy fox']);
+  });
+
+  it('pages with limit and offset', async () => {
+    const data = await listHistory({ limit: '1', offset: '1' }, await seeded());
+    assert.equal(data.total, 3);
+    assert.deepEqual(prompts(data), ['Snowy fox']);
+  });
+
+  it('rejects invalid filters', async () => {
+    const options = await seeded();
+    await assert.rejects(listHistory({ to: 'soon' }, options), { status: 400, message: 'to must be a valid date' });
+    await assert.rejects(listHistory({ limit: '-1' }, options), { status: 400, message: 'limit must be a non-negative integer' });
+    await assert.rejects(listHistory({ q: ['fox', 'cat'] }, options), { status: 400, message: 'q must be a single search text' });
+  });
+
+  it('searches entries saved with a prompt that is not a string', async () => {
+    const { history } = await seeded();
+    await history.add(entry({ prompt: ['a', 'fox'] }));
+    assert.equal((await listHistory({ q: 'fox' }, { history })).total, 3);
+  });
+});
+
+describe('deleteHistoryEntry', () => {
+  it('removes the output files through the sink', async () => {
+    const history = createMemoryHistoryStore();
+    await history.add(entry({ prompt: 'fox', outputs: [{ filename: 'a.png' }, { filename: 'b.png' }] }));
+    const removed = [];
+    const sink = { remove: async fileName => removed.push(fileName) };
+
+    assert.deepEqual(await deleteHistoryEntry('fox', { history, sink }), { success: true, id: 'fox' });
+    assert.deepEqual(removed, ['a.png', 'b.png']);
+    await assert.rejects(deleteHistoryEntry('fox', { history, sink }), { status: 404 });
+  });
+});
+
+describe('createJsonHistoryStore', () => {
+  it('persists entries across store instances', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'history-'));
+    const filePath = path.join(dir, 'nested', 'history.json');
+    try {
+      const store = createJsonHistoryStore(filePath);
+      await Promise.all([store.add(entry({ prompt: 'one' })), store.add(entry({ prompt: 'two' }))]);
+      await store.delete('one');
+
+      const saved = JSON.parse(await readFile(filePath, 'utf8'));
+      assert.deepEqual(saved.entries.map(item => item.id), ['two']);
+
+      const reopened = createJsonHistoryStore(filePath);
+      assert.equal((await reopened.get('two')).prompt, 'two');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
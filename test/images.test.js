@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { normalizeImage, sniffImageType } from '../lib/images.js';
+import { PNG_BYTES } from './helpers.js';
+
+function solid(width, height, { channels = 3, background = '#3080c0' } = {}) {
+  return sharp({ create: { width, height, channels, background } });
+}
+
+function ftyp(...brands) {
+  const box = Buffer.alloc(8 + brands.length * 4 + 4);
+  box.writeUInt32BE(box.length, 0);
+  box.write('ftyp', 4, 'latin1');
+  box.write(brands[0], 8, 'latin1');
+  brands.slice(1).forEach((brand, index) => box.write(brand, 16 + index * 4, 'latin1'));
+  return box;
+}
+
+// A looping 1x1 GIF whose first frame is red and second frame blue
+const gifFrame = lzw => [0x21, 0xf9, 0x04, 0x00, 0x0a, 0x00, 0x00, 0x00, 0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0x02, 0x02, ...lzw, 0x00];
+const ANIMATED_GIF = Buffer.from([
+  ...Buffer.from('GIF89a'), 1, 0, 1, 0, 0x80, 0, 0, 0xff, 0, 0, 0, 0, 0xff,
+  0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0,
+  ...gifFrame([0x44, 0x01]),
+  ...gifFrame([0x4c, 0x01]),
+  0x3b,
+]);
+
+describe('sniffImageType', () => {
+  it('recognizes images by their magic bytes', async () => {
+    assert.equal(sniffImageType(PNG_BYTES), 'image/png');
+    assert.equal(sniffImageType(await solid(2, 2).jpeg().toBuffer()), 'image/jpeg');
+    assert.equal(sniffImageType(await solid(2, 2).webp().toBuffer()), 'image/webp');
+    assert.equal(sniffImageType(await solid(2, 2).gif().toBuffer()), 'image/gif');
+    assert.equal(sniffImageType(await solid(2, 2).tiff().toBuffer()), 'image/tiff');
+    assert.equal(sniffImageType(ftyp('heic', 'mif1', 'heic')), 'image/heic');
+    assert.equal(sniffImageType(ftyp('mif1', 'avif', 'mif1')), 'image/avif');
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(sniffImageType(Buffer.from('%PDF-1.7')), null);
+    assert.equal(sniffImageType(ftyp('isom', 'mp41')), null);
+    assert.equal(sniffImageType(Buffer.alloc(0)), null);
+  });
+});
+
+describe('normalizeImage', () => {
+  it('scales large images down to the maximum dimension', async () => {
+    const buffer = await solid(400, 100).jpeg().toBuffer();
+    const image = await normalizeImage({ buffer, mimeType: 'image/jpeg', name: 'wide.jpg' }, { maxDimension: 200 });
+
+    assert.equal(image.mimeType, 'image/jpeg');
+    assert.equal(image.name, 'wide.jpg');
+    assert.deepEqual([image.width, image.height], [200, 50]);
+    assert.deepEqual(image.original, { mimeType: 'image/jpeg', size: buffer.length });
+  });
+
+  it('never enlarges small images', async () => {
+    const image = await normalizeImage({ buffer: PNG_BYTES }, { maxDimension: 200 });
+    assert.deepEqual([image.width, image.height], [8, 8]);
+  });
+
+  it('applies the EXIF orientation and strips metadata', async () => {
+    // Stored 40x20, displayed rotated a quarter turn
+    const buffer = await solid(40, 20).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+    const image = await normalizeImage({ buffer });
+
+    assert.deepEqual([image.width, image.height], [20, 40]);
+    const metadata = await sharp(image.buffer).metadata();
+    assert.equal(metadata.orientation, undefined);
+    assert.equal(metadata.exif, undefined);
+  });
+
+  it('keeps transparency as PNG and re-encodes opaque WebP as JPEG', async () => {
+    const transparent = await solid(4, 4, { channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }).webp().toBuffer();
+    const opaque = await solid(4, 4).webp().toBuffer();
+
+    assert.equal((await normalizeImage({ buffer: transparent })).mimeType, 'image/png');
+    assert.equal((await normalizeImage({ buffer: opaque })).mimeType, 'image/jpeg');
+  });
+
+  it('uses the first frame of an animated GIF', async () => {
+    const image = await normalizeImage({ buffer: ANIMATED_GIF });
+
+    assert.equal((await sharp(ANIMATED_GIF).metadata()).pages, 2);
+    assert.equal(image.mimeType, 'image/png');
+    assert.deepEqual([...await sharp(image.buffer).removeAlpha().raw().toBuffer()], [0xff, 0, 0]);
+  });
+
+  it('rejects unsupported formats whatever the declared type', async () => {
+    await assert.rejects(
+      normalizeImage({ buffer: Buffer.from('%PDF-1.7'), mimeType: 'image/png' }),
+      { status: 400, message: 'Unsupported image format' },
+    );
+  });
+
+  it('rejects images that cannot be decoded', async () => {
+    await assert.rejects(
+      normalizeImage({ buffer: PNG_BYTES.subarray(0, 20) }),
+      { status: 400, message: 'Could not read the uploaded image' },
+    );
+    await assert.rejects(
+      normalizeImage({ buffer: ftyp('heic', 'mif1', 'heic') }),
+      { status: 400, message: 'Could not read the uploaded image' },
+    );
+  });
+});
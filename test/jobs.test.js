@@ -0,0 +1,277 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  cancelJob,
+  createJobQueue,
+  createMemoryJobStore,
+  createS3JobStore,
+  createStoredJobQueue,
+  getJob,
+  runStoredJob,
+  submitJob
+} from '../lib/jobs.js';
+import { createS3Client } from '../lib/s3.js';
+import { createMemorySink, createS3StandIn, createStubProvider, textChunk } from './helpers.js';
+
+// An operation that runs until `release()` is called or its signal aborts
+function pending() {
+  let release;
+  const started = [];
+  const operation = ({ signal }) => new Promise((resolve, reject) => {
+    started.push(signal);
+    release = resolve;
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+  return { operation, started, release: value => release(value) };
+}
+
+// Let queued work and promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('createJobQueue', () => {
+  it('runs at most `concurrency` jobs and queues the rest in order', async () => {
+    const jobs = createJobQueue({ concurrency: 1 });
+    const first = pending();
+    const second = pending();
+
+    const a = jobs.submit('generate', first.operation);
+    const b = jobs.submit('generate', second.operation);
+    assert.equal(jobs.get(a.jobId).status, 'running');
+    assert.deepEqual([jobs.get(b.jobId).status, jobs.get(b.jobId).position], ['queued', 1]);
+
+    first.release({ success: true });
+    await settle();
+    assert.equal(jobs.get(a.jobId).status, 'succeeded');
+    assert.deepEqual(jobs.get(a.jobId).response, { success: true });
+    assert.equal(jobs.get(b.jobId).status, 'running');
+    assert.equal(second.started.length, 1);
+  });
+
+  it('cancels queued jobs without running them and aborts running ones', async () => {
+    const jobs = createJobQueue({ concurrency: 1 });
+    const first = pending();
+    const second = pending();
+    const a = jobs.submit('generate', first.operation);
+    const b = jobs.submit('generate', second.operation);
+
+    assert.equal(jobs.cancel(b.jobId).status, 'cancelled');
+    assert.equal(jobs.cancel(a.jobId).status, 'cancelled');
+    assert.equal(first.started[0].aborted, true);
+
+    await settle();
+    assert.equal(second.started.length, 0);
+    assert.equal(jobs.get(a.jobId).error, undefined);
+  });
+
+  it('keeps the latest copy of each streamed result and the last retry', async () => {
+    const jobs = createJobQueue();
+    const step = pending();
+    const { jobId } = jobs.submit('generate', progress => {
+      progress.onResult({ type: 'text', content: 'Sk' }, 0);
+      progress.onResult({ type: 'text', content: 'Sketching' }, 0);
+      progress.onResult({ type: 'image', url: '/generated/a.png' }, 1);
+      progress.onResult({ type: 'image', url: '/generated/b.png', variation: 1 }, 1);
+      progress.onRetry({ attempt: 2, maxAttempts: 3 });
+      return step.operation(progress);
+    });
+
+    const job = jobs.get(jobId);
+    assert.deepEqual(job.results.map(result => [result.index, result.content || result.url]), [
+      [0, 'Sketching'],
+      [1, '/generated/a.png'],
+      [1, '/generated/b.png'],
+    ]);
+    assert.deepEqual(job.retry, { attempt: 2, maxAttempts: 3 });
+
+    step.release({});
+    await settle();
+    assert.equal(jobs.get(jobId).retry, undefined);
+  });
+
+  it('refuses new jobs when the queue is full', () => {
+    const jobs = createJobQueue({ concurrency: 1, maxQueued: 1 });
+    jobs.submit('generate', pending().operation);
+    jobs.submit('generate', pending().operation);
+    assert.throws(() => jobs.submit('generate', pending().operation), { status: 503 });
+  });
+
+  it('forgets finished jobs after the ttl', async () => {
+    const jobs = createJobQueue({ ttlMs: -1 });
+    const { jobId } = jobs.submit('generate', async () => ({}));
+    await settle();
+    assert.equal(jobs.get(jobId), null);
+  });
+
+  it('forgets expired jobs when another job is submitted', async () => {
+    const jobs = createJobQueue({ ttlMs: -1 });
+    const { jobId } = jobs.submit('generate', async () => ({}));
+    await settle();
+    jobs.submit('generate', pending().operation);
+    // cancel() does not evict, so it still sees whatever submit() left
+    assert.equal(jobs.cancel(jobId), null);
+  });
+});
+
+describe('jobs', () => {
+  function setup(providerOptions) {
+    const jobs = createJobQueue();
+    const provider = createStubProvider(providerOptions);
+    return { jobs, provider, options: { jobs, provider, sink: createMemorySink() } };
+  }
+
+  it('runs a generation and keeps its response', async () => {
+    const { provider, options } = setup({ chunks: [textChunk('Sketching')] });
+    const submitted = await submitJob({ type: 'generate', prompt: 'a red fox' }, options);
+    await settle();
+
+    const job = await getJob(submitted.jobId, options);
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.type, 'generate');
+    assert.equal(job.response.prompt, 'a red fox');
+    assert.deepEqual(job.results, [{ index: 0, type: 'text', candidate: 0, content: 'Sketching' }]);
+    assert.ok(provider.calls[0].signal instanceof AbortSignal);
+  });
+
+  it('reports validation errors as a failed job', async () => {
+    const { options } = setup();
+    const { jobId } = await submitJob({ type: 'manipulate', prompt: 'add a hat' }, options);
+    await settle();
+
+    const job = await getJob(jobId, options);
+    assert.equal(job.status, 'failed');
+    assert.deepEqual(job.error, { status: 400, error: 'Image file is required', code: 'INVALID_REQUEST', retryable: false });
+  });
+
+  it('aborts the model call when a running job is cancelled', async () => {
+    const { provider, options } = setup();
+    provider.generateContentStream = async ({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+
+    const { jobId } = await submitJob({ type: 'generate', prompt: 'a red fox' }, options);
+    const cancelled = await cancelJob(jobId, options);
+    assert.equal(cancelled.status, 'cancelled');
+
+    await settle();
+    assert.equal((await getJob(jobId, options)).status, 'cancelled');
+    await assert.rejects(cancelJob(jobId, options), { status: 409 });
+  });
+
+  it('rejects unknown job types and ids', async () => {
+    const { options } = setup();
+    await assert.rejects(submitJob({ type: 'upscale', prompt: 'x' }, options), { status: 400, message: 'Unknown job type' });
+    await assert.rejects(getJob('nope', options), { status: 404 });
+    await assert.rejects(cancelJob('nope', options), { status: 404 });
+  });
+});
+
+describe('stored jobs', () => {
+  const ann = { name: 'ann', role: 'user', keyId: 'k1' };
+
+  let standIn;
+  before(async () => {
+    standIn = await createS3StandIn();
+  });
+  after(() => standIn.close());
+
+  // Jobs queued in a store and run by a worker, as on Netlify; the request
+  // itself is the input, so `parse` passes it through
+  function setup(store = createMemoryJobStore()) {
+    const started = [];
+    const jobs = createStoredJobQueue({ store, start: async jobId => started.push(jobId) });
+    const worker = (jobId, provider) => runStoredJob(jobId, { store, parse: input => input, provider, sink: createMemorySink(), progressIntervalMs: 5 });
+    return { jobs, started, worker };
+  }
+
+  const stores = {
+    memory: () => createMemoryJobStore(),
+    s3: () => createS3JobStore({
+      client: createS3Client({ bucket: 'jobs', endpoint: standIn.endpoint, forcePathStyle: true, accessKeyId: 'k', secretAccessKey: 's' })
+    })
+  };
+
+  for (const [name, createStore] of Object.entries(stores)) {
+    it(`${name}: runs a queued job once, in a worker`, async () => {
+      const { jobs, started, worker } = setup(createStore());
+      const provider = createStubProvider({ chunks: [textChunk('Sketching')] });
+
+      const submitted = await jobs.submit('generate', { prompt: 'a red fox' }, ann);
+      assert.deepEqual(started, [submitted.jobId]);
+      assert.equal((await getJob(submitted.jobId, { jobs, user: ann })).status, 'queued');
+      await assert.rejects(getJob(submitted.jobId, { jobs, user: { name: 'bob', role: 'user' } }), { status: 404 });
+
+      await worker(submitted.jobId, provider);
+      await worker(submitted.jobId, provider);
+
+      const job = await getJob(submitted.jobId, { jobs, user: ann });
+      assert.equal(job.status, 'succeeded');
+      assert.equal(job.user, 'ann');
+      assert.equal(job.response.prompt, 'a red fox');
+      assert.deepEqual(job.results, [{ index: 0, type: 'text', candidate: 0, content: 'Sketching' }]);
+      assert.equal(provider.calls.length, 1);
+    });
+  }
+
+  it('aborts a running job once it is cancelled from elsewhere', async () => {
+    const { jobs, worker } = setup();
+    let signal;
+    const provider = {
+      ...createStubProvider(),
+      async generateContentStream(request) {
+        signal = request.signal;
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason), { once: true }));
+      }
+    };
+
+    const { jobId } = await jobs.submit('generate', { prompt: 'a slow fox' });
+    const running = worker(jobId, provider);
+    await settle();
+    assert.equal((await jobs.get(jobId)).status, 'running');
+
+    assert.equal((await cancelJob(jobId, { jobs })).status, 'cancelled');
+    await running;
+    assert.equal(signal.aborted, true);
+    assert.equal((await jobs.get(jobId)).status, 'cancelled');
+    await assert.rejects(cancelJob(jobId, { jobs }), { status: 409 });
+  });
+
+  it('reports validation errors as a failed job', async () => {
+    const { jobs, worker } = setup();
+    const { jobId } = await jobs.submit('manipulate', { prompt: 'add a hat' });
+    await worker(jobId, createStubProvider());
+
+    const job = await jobs.get(jobId);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.status, 400);
+  });
+
+  it('only queues job types a worker can run', async () => {
+    const { jobs } = setup();
+    await assert.rejects(jobs.submit('paint', {}), { status: 400, message: 'Unknown job type' });
+    await assert.rejects(jobs.submit('edit', {}), { status: 501, code: 'NOT_IMPLEMENTED' });
+    assert.equal(await jobs.get('../secrets'), null);
+  });
+
+  it('fails a job whose worker could not be started', async () => {
+    let jobId;
+    const jobs = createStoredJobQueue({
+      store: createMemoryJobStore(),
+      start: async id => {
+        jobId = id;
+        throw new Error('unreachable');
+      }
+    });
+    await assert.rejects(jobs.submit('generate', { prompt: 'a fox' }), { message: 'unreachable' });
+
+    const job = await jobs.get(jobId);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.status, 500);
+  });
+});
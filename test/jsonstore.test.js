@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJsonFileStore } from '../lib/jsonstore.js';
+
+describe('createJsonFileStore', () => {
+  it('starts a missing file from its initial items', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'jsonstore-'));
+    try {
+      const filePath = path.join(dir, 'nested', 'items.json');
+      const file = createJsonFileStore(filePath, 'items', () => [{ id: 'a' }]);
+      const items = await file.load();
+      assert.deepEqual(items, [{ id: 'a' }]);
+
+      items.push({ id: 'b' });
+      await file.save(items);
+      assert.deepEqual(JSON.parse(await readFile(filePath, 'utf8')), { items: [{ id: 'a' }, { id: 'b' }] });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reads the file again after a failed read', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'jsonstore-'));
+    try {
+      const filePath = path.join(dir, 'items.json');
+      await writeFile(filePath, '{"items": [');
+      const file = createJsonFileStore(filePath, 'items');
+      await assert.rejects(file.load(), SyntaxError);
+
+      await writeFile(filePath, '{"items": [{"id": "a"}]}');
+      assert.deepEqual(await file.load(), [{ id: 'a' }]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
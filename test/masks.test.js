@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { normalizeImage } from '../lib/images.js';
+import { compositeWithMask, maskParts, maskedSink, prepareMask } from '../lib/masks.js';
+import { createMemorySink } from './helpers.js';
+
+function solid(width, height, background) {
+  return sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+}
+
+// A width x height mask whose left half is painted, as the brush draws it:
+// opaque strokes on a transparent canvas
+function leftHalfMask(width, height) {
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width / 2; x++) {
+      pixels.writeUInt32BE(0xff3c3cff, (y * width + x) * 4);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+async function pixel(buffer, x, y) {
+  const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * 3;
+  return [...data.subarray(offset, offset + 3)];
+}
+
+describe('prepareMask', () => {
+  it('turns painted pixels into white at the size of the image', async () => {
+    const image = await normalizeImage({ buffer: await solid(40, 20, '#000000') });
+    const mask = await prepareMask({ buffer: await leftHalfMask(20, 10), name: 'mask.png' }, image);
+
+    assert.deepEqual([mask.width, mask.height, mask.mimeType], [40, 20, 'image/png']);
+    assert.equal((await sharp(mask.buffer).metadata()).channels, 1);
+    const data = await sharp(mask.buffer).extractChannel(0).raw().toBuffer();
+    assert.equal(data[5 * 40 + 5], 255);
+    assert.equal(data[5 * 40 + 35], 0);
+  });
+
+  it('reads opaque masks by brightness', async () => {
+    const image = await normalizeImage({ buffer: await solid(8, 8, '#808080') });
+    const mask = await prepareMask({ buffer: await solid(8, 8, '#ffffff') }, image);
+    const { channels: [{ min }] } = await sharp(mask.buffer).stats();
+    assert.equal(min, 255);
+  });
+
+  it('rejects empty masks', async () => {
+    const image = await normalizeImage({ buffer: await solid(8, 8, '#808080') });
+    await assert.rejects(prepareMask({ buffer: await solid(8, 8, '#000000') }, image), { status: 400, message: 'Mask is empty' });
+  });
+
+  it('rejects masks with a different aspect ratio', async () => {
+    const image = await normalizeImage({ buffer: await solid(40, 20, '#808080') });
+    await assert.rejects(prepareMask({ buffer: await leftHalfMask(20, 20) }, image), {
+      status: 400,
+      message: 'Mask does not match the image',
+    });
+  });
+});
+
+describe('compositeWithMask', () => {
+  it('keeps the original outside the painted area', async () => {
+    const image = await normalizeImage({ buffer: await solid(40, 20, '#0000ff') });
+    const mask = await prepareMask({ buffer: await leftHalfMask(40, 20) }, image);
+    // The model may answer at another size
+    const edited = await solid(80, 40, '#ff0000');
+
+    const result = await compositeWithMask(edited, 'image/png', image, mask);
+
+    assert.deepEqual(await sharp(result).metadata().then(({ width, height, format }) => [width, height, format]), [40, 20, 'png']);
+    assert.deepEqual(await pixel(result, 2, 10), [255, 0, 0]);
+    assert.deepEqual(await pixel(result, 37, 10), [0, 0, 255]);
+  });
+
+  it('is applied to every image saved through maskedSink', async () => {
+    const image = await normalizeImage({ buffer: await solid(40, 20, '#0000ff') });
+    const mask = await prepareMask({ buffer: await leftHalfMask(40, 20) }, image);
+    const sink = createMemorySink();
+
+    await maskedSink(sink, image, mask).save({ fileName: 'a.jpeg', buffer: await solid(40, 20, '#ff0000'), mimeType: 'image/jpeg' });
+
+    const [{ fileName, buffer, mimeType }] = sink.saved;
+    assert.deepEqual([fileName, mimeType, (await sharp(buffer).metadata()).format], ['a.jpeg', 'image/jpeg', 'jpeg']);
+    const [red, , blue] = await pixel(buffer, 37, 10);
+    assert.ok(blue > 200 && red < 50);
+  });
+});
+
+describe('maskParts', () => {
+  it('introduces the mask to the model', async () => {
+    const image = await normalizeImage({ buffer: await solid(8, 8, '#808080') });
+    const mask = await prepareMask({ buffer: await leftHalfMask(8, 8) }, image);
+    const [text, inline] = maskParts(mask);
+
+    assert.match(text.text, /only the area that is white/);
+    assert.deepEqual(inline.inlineData, { mimeType: 'image/png', data: mask.buffer.toString('base64') });
+  });
+});
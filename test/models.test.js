@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_MODEL_REGISTRY, createModelRegistry, listModels, resolveModel } from '../lib/models.js';
+import { GEMINI_MODEL } from '../lib/providers/gemini.js';
+import { createStubProvider } from './helpers.js';
+
+const provider = createStubProvider();
+
+const models = createModelRegistry({
+  models: [
+    { id: 'stub-draw', label: 'Stub draw', provider: 'stub', capabilities: ['image-out'] },
+    { id: 'stub-edit', provider: 'stub', capabilities: ['image-in', 'image-out'] },
+    { id: 'other-model', provider: 'other' }
+  ],
+  defaults: { manipulate: 'stub-edit' }
+});
+
+describe('createModelRegistry', () => {
+  it('defaults to the Gemini model for every mode', () => {
+    const registry = createModelRegistry();
+    const gemini = { name: 'gemini', model: 'ignored' };
+    assert.equal(registry.defaultModel('generate', gemini), GEMINI_MODEL);
+    assert.equal(registry.defaultModel('edit', gemini), GEMINI_MODEL);
+    assert.equal(registry.defaultModel('generate', { name: 'mock', model: 'x' }), 'mock-image-model');
+    assert.deepEqual(Object.keys(DEFAULT_MODEL_REGISTRY.defaults), ['generate', 'manipulate', 'compose', 'edit']);
+  });
+
+  it('falls back to the first capable model, then the provider model', () => {
+    assert.equal(models.defaultModel('generate', provider), 'stub-draw');
+    assert.equal(models.defaultModel('compose', provider), 'stub-edit');
+    assert.equal(models.defaultModel('generate', { name: 'unlisted', model: 'own-model' }), 'own-model');
+  });
+
+  it('rejects invalid configs', () => {
+    assert.throws(() => createModelRegistry({ models: [] }), /non-empty "models" list/);
+    assert.throws(() => createModelRegistry({ models: [{ label: 'x' }] }), /models\[0\] needs an "id"/);
+    assert.throws(() => createModelRegistry({ models: [{ id: 'a', capabilities: ['video-out'] }] }), /"a" has unknown capabilities/);
+    assert.throws(() => createModelRegistry({ models: [{ id: 'a', pricing: { input: -1 } }] }), /"a" has invalid pricing/);
+    assert.throws(() => createModelRegistry({ models: [{ id: 'a', pricing: { perImage: 0.04 } }] }), /"a" has invalid pricing/);
+    assert.throws(() => createModelRegistry({ models: [{ id: 'a' }], defaults: { upscale: 'a' } }), /unknown mode "upscale"/);
+    assert.throws(() => createModelRegistry({ models: [{ id: 'a' }], defaults: { generate: 'b' } }), /"b" is not in the models list/);
+    assert.throws(
+      () => createModelRegistry({ models: [{ id: 'a', capabilities: ['image-out'] }], defaults: { edit: 'a' } }),
+      /default edit model "a" cannot be used to edit/
+    );
+  });
+});
+
+describe('resolveModel', () => {
+  it('uses the default for the mode when none is requested', () => {
+    assert.equal(resolveModel('manipulate', undefined, { models, provider }), 'stub-edit');
+    assert.equal(resolveModel('generate', '', { models, provider }), 'stub-draw');
+  });
+
+  it('accepts registered models that can serve the mode', () => {
+    assert.equal(resolveModel('generate', 'stub-edit', { models, provider }), 'stub-edit');
+  });
+
+  it('rejects unknown models and models of other providers', () => {
+    for (const requested of ['nope', 'other-model']) {
+      assert.throws(() => resolveModel('generate', requested, { models, provider }), {
+        status: 400,
+        message: `Unknown model: ${requested}`,
+        details: 'Available models: stub-draw, stub-edit'
+      });
+    }
+  });
+
+  it('rejects models without the capabilities the mode needs', () => {
+    assert.throws(() => resolveModel('manipulate', 'stub-draw', { models, provider }), {
+      status: 400,
+      message: 'Model stub-draw cannot be used to manipulate',
+      details: 'It needs: image-in, image-out'
+    });
+  });
+});
+
+describe('listModels', () => {
+  it('lists the provider models with their modes and the defaults', () => {
+    assert.deepEqual(listModels({ models, provider }), {
+      provider: 'stub',
+      defaults: { generate: 'stub-draw', manipulate: 'stub-edit', compose: 'stub-edit', edit: 'stub-edit' },
+      models: [
+        { id: 'stub-draw', label: 'Stub draw', provider: 'stub', capabilities: ['image-out'], modes: ['generate'] },
+        {
+          id: 'stub-edit',
+          label: 'stub-edit',
+          provider: 'stub',
+          capabilities: ['image-in', 'image-out'],
+          modes: ['generate', 'manipulate', 'compose', 'edit']
+        }
+      ]
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { generateImage } from '../lib/core.js';
+import { createModelClassifier, createModeration, moderationFromEnv, safetyBlock } from '../lib/moderation.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+import { createMemoryStatsStore } from '../lib/stats.js';
+import { createMemorySink, createStubProvider, textChunk } from './helpers.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('createModeration', () => {
+  const moderation = createModeration({
+    maxPromptLength: 20,
+    rules: [
+      { category: 'violence', terms: ['gore', 'blood bath'] },
+      { category: 'personal_data', label: 'Personal data', pattern: '\\b\\d{3}-\\d{2}-\\d{4}\\b', message: 'No ID numbers, please.' }
+    ]
+  });
+
+  it('blocks whole-word terms and patterns with their category', async () => {
+    await assert.rejects(moderation.check('A GORE scene'), error => {
+      assert.equal(error.status, 422);
+      assert.equal(error.message, 'Prompt blocked by content moderation');
+      assert.equal(error.details, 'The prompt was flagged as violence. Please rephrase it and try again.');
+      assert.deepEqual(error.moderation, { stage: 'prompt', source: 'rules', categories: [{ category: 'violence', label: 'Violence' }] });
+      return true;
+    });
+    await assert.rejects(moderation.check('a blood bath'), { status: 422 });
+    await assert.rejects(moderation.check('id 123-45-6789'), { status: 422, details: 'No ID numbers, please.' });
+
+    // Words that merely contain a term are fine
+    await moderation.check('a gorilla');
+  });
+
+  it('checks the extra texts sent with the prompt', async () => {
+    await assert.rejects(moderation.check('a cat', ['watercolor', 'gore']), { status: 422 });
+  });
+
+  it('rejects prompts over the maximum length', async () => {
+    await assert.rejects(moderation.check('a'.repeat(21)), {
+      status: 400,
+      message: 'Prompt is too long',
+      details: 'Prompts can be at most 20 characters; this one has 21.'
+    });
+  });
+
+  it('reports mistakes in the rules', () => {
+    assert.throws(() => createModeration({ rules: [{ terms: ['x'] }] }), /rules\[0\] needs a "category"/);
+    assert.throws(() => createModeration({ rules: [{ category: 'x' }] }), /needs "terms" or a "pattern"/);
+    assert.throws(() => createModeration({ rules: [{ category: 'x', pattern: '(' }] }), /rules\[0\]\.pattern is invalid/);
+  });
+});
+
+describe('classifier', () => {
+  it('blocks prompts the classifier flags', async () => {
+    const moderation = createModeration({
+      classifier: async () => ({ allowed: false, category: 'hate_speech', reason: 'It targets a group.' })
+    });
+    await assert.rejects(moderation.check('a prompt'), error => {
+      assert.equal(error.details, 'The prompt was flagged as hate speech. It targets a group. Please rephrase it and try again.');
+      assert.deepEqual(error.moderation.categories, [{ category: 'hate_speech', label: 'Hate speech' }]);
+      assert.equal(error.moderation.source, 'classifier');
+      return true;
+    });
+  });
+
+  it('lets prompts through when the classifier fails', async () => {
+    const moderation = createModeration({ classifier: async () => { throw new Error('down'); } });
+    await moderation.check('a prompt');
+  });
+
+  it('asks a text model for a JSON verdict', async () => {
+    const provider = createStubProvider({ chunks: [textChunk('{"allowed":'), textChunk(' true}')] });
+    const classify = createModelClassifier({ model: 'text-model' });
+
+    assert.deepEqual(await classify('a cat', { provider }), { allowed: true });
+    assert.equal(provider.calls[0].model, 'text-model');
+    assert.equal(provider.calls[0].config.responseMimeType, 'application/json');
+
+    const mockVerdict = await classify('[mock-unsafe] a cat', { provider: createMockProvider() });
+    assert.equal(mockVerdict.allowed, false);
+  });
+});
+
+describe('moderationFromEnv', () => {
+  it('combines the rules file with MODERATION_BLOCKLIST and PROMPT_MAX_LENGTH', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'moderation-'));
+    try {
+      const file = path.join(dir, 'rules.json');
+      await writeFile(file, JSON.stringify({ maxPromptLength: 100, rules: [{ category: 'violence', terms: ['gore'] }] }));
+
+      const moderation = moderationFromEnv({ MODERATION_RULES_FILE: file, MODERATION_BLOCKLIST: 'spoiler, leak', PROMPT_MAX_LENGTH: '50' });
+      assert.equal(moderation.maxPromptLength, 50);
+      await assert.rejects(moderation.check('gore'), { moderation: { stage: 'prompt', source: 'rules', categories: [{ category: 'violence', label: 'Violence' }] } });
+      await assert.rejects(moderation.check('a Leak'), { moderation: { stage: 'prompt', source: 'rules', categories: [{ category: 'blocklist', label: 'Blocked term' }] } });
+
+      assert.equal(moderationFromEnv({}).maxPromptLength, 4000);
+      assert.throws(() => moderationFromEnv({ PROMPT_MAX_LENGTH: 'long' }), /PROMPT_MAX_LENGTH/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('safetyBlock', () => {
+  const dangerous = [
+    { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true },
+    { category: 'HARM_CATEGORY_HARASSMENT', probability: 'NEGLIGIBLE' }
+  ];
+
+  it('explains prompts the model refused', () => {
+    const error = safetyBlock({ results: [], candidates: [], promptFeedback: { blockReason: 'SAFETY', safetyRatings: dangerous } });
+    assert.equal(error.status, 422);
+    assert.equal(error.message, 'Prompt blocked by safety filters');
+    assert.equal(error.details, 'The model refused the prompt because it was flagged by the safety filters (dangerous content). Please rephrase it and try again.');
+    assert.deepEqual(error.moderation, {
+      stage: 'prompt',
+      source: 'model',
+      reason: 'SAFETY',
+      categories: [{ category: 'dangerous_content', label: 'Dangerous content', probability: 'HIGH' }]
+    });
+  });
+
+  it('explains responses stopped for their content', () => {
+    const error = safetyBlock({
+      results: [{ type: 'text', content: 'I cannot draw that.' }],
+      candidates: [{ index: 0, finishReason: 'IMAGE_SAFETY' }]
+    });
+    assert.equal(error.message, 'Image blocked by safety filters');
+    assert.deepEqual(error.moderation, { stage: 'response', source: 'model', reason: 'IMAGE_SAFETY', categories: [] });
+  });
+
+  it('ignores outputs with an image or without a safety reason', () => {
+    assert.equal(safetyBlock({ results: [{ type: 'image' }], candidates: [{ index: 0, finishReason: 'SAFETY' }] }), null);
+    assert.equal(safetyBlock({ results: [], candidates: [{ index: 0, finishReason: 'STOP' }] }), null);
+  });
+});
+
+describe('moderated generation', () => {
+  it('checks prompts before calling the model', async () => {
+    const provider = createStubProvider();
+    const moderation = createModeration({ rules: [{ category: 'violence', terms: ['gore'] }] });
+
+    await assert.rejects(
+      generateImage({ prompt: 'a cat', count: 2, variations: [{ style: 'gore' }] }, { sink: createMemorySink(), provider, moderation }),
+      { status: 422 }
+    );
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it('turns safety stops into a 422 and counts them as failed calls', async () => {
+    const stats = createMemoryStatsStore();
+    await assert.rejects(
+      generateImage({ prompt: 'a cat [mock-blocked:SAFETY]' }, { sink: createMemorySink(), provider: createMockProvider(), moderation: createModeration(), stats }),
+      { status: 422, moderation: { stage: 'response', source: 'model', reason: 'SAFETY', categories: [{ category: 'dangerous_content', label: 'Dangerous content', probability: 'HIGH' }] } }
+    );
+    const [row] = await stats.all();
+    assert.equal(row.failures, 1);
+  });
+});
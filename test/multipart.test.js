@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMultipartEvent, parseMultipartFormData } from '../lib/multipart.js';
+import { PNG_BYTES, multipartBody } from './helpers.js';
+
+const BOUNDARY = '----test-boundary';
+
+const imageField = (name = 'image', filename = 'photo.png') => ({ name, filename, contentType: 'image/png', value: PNG_BYTES });
+
+function parse(fields, options) {
+  return parseMultipartFormData(multipartBody(BOUNDARY, fields), BOUNDARY, options);
+}
+
+// Bytes that break string-based parsing: line breaks, a fake boundary, high bytes
+const BINARY = Buffer.concat([
+  PNG_BYTES,
+  Buffer.from(`\r\n--${BOUNDARY.slice(0, -1)}\r\n\r\n`),
+  Buffer.from([0x00, 0xff, 0xfe, 0x80, 0xc3, 0x28]),
+]);
+
+describe('parseMultipartFormData', () => {
+  it('extracts text fields and files', () => {
+    const { fields, files } = parse([{ name: 'prompt', value: 'add snow' }, imageField()]);
+
+    assert.deepEqual(fields, { prompt: 'add snow' });
+    assert.deepEqual(files, [{
+      fieldname: 'image',
+      originalname: 'photo.png',
+      mimetype: 'image/png',
+      size: PNG_BYTES.length,
+      buffer: PNG_BYTES,
+    }]);
+  });
+
+  it('collects repeated fields and multiple files in order', () => {
+    const { fields, files } = parse([
+      imageField('images', 'a.png'),
+      { name: 'labels', value: 'product' },
+      imageField('images', 'b.png'),
+      { name: 'labels', value: 'scene' },
+    ]);
+
+    assert.deepEqual(fields, { labels: ['product', 'scene'] });
+    assert.deepEqual(files.map(file => file.originalname), ['a.png', 'b.png']);
+  });
+
+  it('ignores parts without a name', () => {
+    const body = Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data\r\n\r\nvalue\r\n--${BOUNDARY}--\r\n`);
+    assert.deepEqual(parseMultipartFormData(body, BOUNDARY), { fields: {}, files: [] });
+  });
+
+  it('keeps binary file contents byte for byte', () => {
+    const { files } = parse([{ name: 'image', filename: 'photo.png', contentType: 'image/png', value: BINARY }]);
+    assert.deepEqual(files[0].buffer, BINARY);
+  });
+
+  it('decodes text fields and file names as UTF-8', () => {
+    const { fields, files } = parse([
+      { name: 'prompt', value: 'add snow ❄️ to the café' },
+      { name: 'image', filename: 'café.png', contentType: 'image/png', value: PNG_BYTES },
+    ]);
+    assert.equal(fields.prompt, 'add snow ❄️ to the café');
+    assert.equal(files[0].originalname, 'café.png');
+  });
+
+  it('prefers an RFC 5987 filename', () => {
+    const body = Buffer.concat([
+      Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="image"; filename="fallback.png"; filename*=UTF-8''na%C3%AFve.png\r\n`),
+      Buffer.from('Content-Type: image/png\r\n\r\n'),
+      PNG_BYTES,
+      Buffer.from(`\r\n--${BOUNDARY}--\r\n`),
+    ]);
+    assert.equal(parseMultipartFormData(body, BOUNDARY).files[0].originalname, 'naïve.png');
+  });
+
+  it('skips file inputs that were left empty', () => {
+    const { files } = parse([{ name: 'image', filename: '', contentType: 'application/octet-stream', value: '' }]);
+    assert.deepEqual(files, []);
+  });
+
+  it('enforces the upload size limit', () => {
+    assert.throws(() => parse([imageField()], { maxFileSize: PNG_BYTES.length - 1 }), {
+      status: 400,
+      message: 'File too large. Maximum size is 0MB.',
+    });
+    const big = { name: 'image', filename: 'big.png', contentType: 'image/png', value: Buffer.alloc(10 * 1024 * 1024 + 1) };
+    assert.throws(() => parse([big]), { status: 400, message: 'File too large. Maximum size is 10MB.' });
+  });
+
+  it('only accepts image files', () => {
+    const text = { name: 'image', filename: 'notes.txt', contentType: 'text/plain', value: 'hello' };
+    assert.throws(() => parse([text]), { status: 400, message: 'Only image files are allowed!' });
+  });
+
+  it('rejects truncated bodies', () => {
+    const body = multipartBody(BOUNDARY, [imageField()]);
+    assert.throws(() => parseMultipartFormData(body.subarray(0, body.length - 20), BOUNDARY), {
+      status: 400,
+      message: 'Malformed multipart/form-data body',
+    });
+  });
+});
+
+describe('parseMultipartEvent', () => {
+  const event = (contentType, body, isBase64Encoded) => ({ headers: { 'Content-Type': contentType }, body, isBase64Encoded });
+
+  it('decodes base64-encoded event bodies', () => {
+    const body = multipartBody(BOUNDARY, [{ name: 'image', filename: 'photo.png', contentType: 'image/png', value: BINARY }]);
+    const { files } = parseMultipartEvent(event(`multipart/form-data; boundary=${BOUNDARY}`, body.toString('base64'), true));
+    assert.deepEqual(files[0].buffer, BINARY);
+  });
+
+  it('reads plain bodies as UTF-8 text', () => {
+    const body = multipartBody(BOUNDARY, [{ name: 'prompt', value: 'café' }]).toString('utf8');
+    assert.deepEqual(parseMultipartEvent(event(`multipart/form-data; boundary=${BOUNDARY}`, body)).fields, { prompt: 'café' });
+  });
+
+  it('accepts quoted boundaries and other parameters', () => {
+    const boundary = 'quoted boundary; with=specials';
+    const body = multipartBody(boundary, [{ name: 'prompt', value: 'add snow' }]);
+    const contentType = `Multipart/Form-Data; charset=utf-8; BOUNDARY="${boundary}"`;
+    assert.deepEqual(parseMultipartEvent(event(contentType, body.toString('base64'), true)).fields, { prompt: 'add snow' });
+  });
+
+  it('requires a multipart Content-Type with a boundary', () => {
+    assert.throws(() => parseMultipartEvent({ headers: { 'content-type': 'text/plain' } }), {
+      status: 400,
+      message: 'Content-Type must be multipart/form-data',
+    });
+    assert.throws(() => parseMultipartEvent({ headers: { 'Content-Type': 'multipart/form-data' } }), {
+      status: 400,
+      message: 'Missing boundary in Content-Type',
+    });
+  });
+});
@@ -0,0 +1,519 @@
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { createAuth } from '../lib/auth.js';
+import { withAuth, withRateLimit } from '../lib/netlify.js';
+import { createLimiter, createMemoryLimitStore } from '../lib/ratelimit.js';
+import { registerProvider } from '../lib/providers/index.js';
+import { handler as healthHandler } from '../netlify/functions/health.js';
+import { handler as generateHandler } from '../netlify/functions/generate-image.js';
+import { handler as manipulateHandler } from '../netlify/functions/manipulate-image.js';
+import { handler as composeHandler } from '../netlify/functions/compose-image.js';
+import { handler as sessionsHandler } from '../netlify/functions/sessions.js';
+import { handler as historyHandler } from '../netlify/functions/history.js';
+import { handler as jobsHandler } from '../netlify/functions/jobs.js';
+import { handler as statsHandler } from '../netlify/functions/stats.js';
+import { handler as templatesHandler } from '../netlify/functions/templates.js';
+import { handler as modelsHandler } from '../netlify/functions/models.js';
+import { handler as authHandler } from '../netlify/functions/auth.js';
+import { handler as adminHandler } from '../netlify/functions/admin.js';
+import {
+  NORMALIZED_PNG_BASE64,
+  PNG_BYTES,
+  apiError,
+  createStubProvider,
+  imageChunk,
+  multipartBody,
+  parseEventStream,
+  textChunk,
+} from './helpers.js';
+
+const BOUNDARY = '----test-boundary';
+
+// Route the handlers to a stub provider for the duration of a test
+function useProvider(provider) {
+  registerProvider('stub', () => provider);
+  process.env.AI_PROVIDER = 'stub';
+  return provider;
+}
+
+function parseBody(response) {
+  return JSON.parse(response.body);
+}
+
+function multipartEvent(fields, headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` }) {
+  return {
+    httpMethod: 'POST',
+    headers,
+    body: multipartBody(BOUNDARY, fields).toString('base64'),
+    isBase64Encoded: true,
+  };
+}
+
+const promptField = (value) => ({ name: 'prompt', value });
+const imageField = (value = PNG_BYTES) => ({ name: 'image', filename: 'photo.png', contentType: 'image/png', value });
+
+const originalProvider = process.env.AI_PROVIDER;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  if (originalProvider === undefined) {
+    delete process.env.AI_PROVIDER;
+  } else {
+    process.env.AI_PROVIDER = originalProvider;
+  }
+});
+
+after(() => mock.restoreAll());
+
+describe('health handler', () => {
+  it('answers CORS preflight', async () => {
+    const response = await healthHandler({ httpMethod: 'OPTIONS' });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Access-Control-Allow-Origin'], '*');
+  });
+
+  it('rejects non-GET methods', async () => {
+    const response = await healthHandler({ httpMethod: 'POST' });
+    assert.equal(response.statusCode, 405);
+    assert.deepEqual(parseBody(response), { error: 'Method not allowed', code: 'METHOD_NOT_ALLOWED', retryable: false });
+  });
+
+  it('reports the provider and environment', async () => {
+    useProvider(createStubProvider());
+    const response = await healthHandler({ httpMethod: 'GET' });
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(parseBody(response), {
+      status: 'OK',
+      message: 'Google AI Image Generation Server is running on Netlify',
+      provider: 'stub',
+      model: 'stub-model',
+      environment: 'Netlify Serverless Functions',
+    });
+  });
+});
+
+describe('generate-image handler', () => {
+  it('answers CORS preflight', async () => {
+    const response = await generateHandler({ httpMethod: 'OPTIONS' });
+    assert.equal(response.statusCode, 200);
+    assert.match(response.headers['Access-Control-Allow-Methods'], /POST/);
+  });
+
+  it('rejects non-POST methods', async () => {
+    const response = await generateHandler({ httpMethod: 'GET' });
+    assert.equal(response.statusCode, 405);
+  });
+
+  it('requires a prompt', async () => {
+    const provider = useProvider(createStubProvider());
+    const response = await generateHandler({ httpMethod: 'POST', body: '{}' });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(parseBody(response), { error: 'Prompt is required', code: 'INVALID_REQUEST', retryable: false });
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it('returns images inline as data URLs', async () => {
+    useProvider(createStubProvider({ chunks: [textChunk('Here you go'), imageChunk()] }));
+    const response = await generateHandler({ httpMethod: 'POST', body: JSON.stringify({ prompt: 'a red fox' }) });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Content-Type'], 'application/json');
+
+    const data = parseBody(response);
+    assert.equal(data.prompt, 'a red fox');
+    assert.deepEqual(data.results[0], { type: 'text', candidate: 0, content: 'Here you go' });
+    assert.equal(data.results[1].url, `data:image/png;base64,${PNG_BYTES.toString('base64')}`);
+  });
+
+  it('returns buffered Server-Sent Events when asked for a stream', async () => {
+    useProvider(createStubProvider({ chunks: [textChunk('Here you go'), imageChunk()] }));
+    const response = await generateHandler({
+      httpMethod: 'POST',
+      headers: { accept: 'text/event-stream' },
+      body: JSON.stringify({ prompt: 'a red fox' }),
+    });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Content-Type'], 'text/event-stream');
+
+    const events = parseEventStream(response.body);
+    assert.deepEqual(events.map(({ event }) => event), ['result', 'result', 'done']);
+    assert.equal(events[2].data.resultCount, 2);
+  });
+
+  it('answers stream requests that fail up front with a JSON error', async () => {
+    useProvider(createStubProvider({ error: apiError(401) }));
+    const response = await generateHandler({
+      httpMethod: 'POST',
+      headers: { Accept: 'text/event-stream' },
+      body: JSON.stringify({ prompt: 'a red fox' }),
+    });
+    assert.equal(response.statusCode, 401);
+    assert.equal(parseBody(response).error, 'Invalid API key');
+  });
+
+  it('fails with 500 when the model returns nothing', async () => {
+    useProvider(createStubProvider({ chunks: [] }));
+    const response = await generateHandler({ httpMethod: 'POST', body: JSON.stringify({ prompt: 'x' }) });
+    assert.equal(response.statusCode, 500);
+    assert.deepEqual(parseBody(response), { error: 'No content generated', code: 'NO_CONTENT', retryable: true });
+  });
+
+  it('answers 422 with the verdict when the safety filters stop the model', async () => {
+    useProvider(createStubProvider({ chunks: [{ candidates: [{ finishReason: 'SAFETY', safetyRatings: [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'MEDIUM' }] }] }] }));
+    const response = await generateHandler({ httpMethod: 'POST', body: JSON.stringify({ prompt: 'x' }) });
+    assert.equal(response.statusCode, 422);
+    assert.deepEqual(parseBody(response).moderation, {
+      stage: 'response',
+      source: 'model',
+      reason: 'SAFETY',
+      categories: [{ category: 'harassment', label: 'Harassment', probability: 'MEDIUM' }]
+    });
+  });
+
+  it('fails with 500 when the Gemini key is missing', async () => {
+    const apiKey = process.env.GEMINI_API_KEY;
+    delete process.env.GEMINI_API_KEY;
+    process.env.AI_PROVIDER = 'gemini';
+    try {
+      const response = await generateHandler({ httpMethod: 'POST', body: JSON.stringify({ prompt: 'x' }) });
+      assert.equal(response.statusCode, 500);
+      assert.deepEqual(parseBody(response), { error: 'GEMINI_API_KEY not configured', code: 'CONFIGURATION_ERROR', retryable: false });
+    } finally {
+      if (apiKey !== undefined) {
+        process.env.GEMINI_API_KEY = apiKey;
+      }
+    }
+  });
+
+  const cases = [
+    [429, 'API rate limit exceeded'],
+    [401, 'Invalid API key'],
+    [400, 'Invalid request'],
+    [500, 'Failed to generate image'],
+  ];
+  for (const [status, message] of cases) {
+    it(`maps a ${status} model error`, async () => {
+      useProvider(createStubProvider({ error: apiError(status) }));
+      const response = await generateHandler({ httpMethod: 'POST', body: JSON.stringify({ prompt: 'x' }) });
+      assert.equal(response.statusCode, status);
+      assert.equal(parseBody(response).error, message);
+    });
+  }
+});
+
+describe('manipulate-image handler', () => {
+  it('answers CORS preflight', async () => {
+    const response = await manipulateHandler({ httpMethod: 'OPTIONS' });
+    assert.equal(response.statusCode, 200);
+  });
+
+  it('rejects non-POST methods', async () => {
+    const response = await manipulateHandler({ httpMethod: 'PUT', headers: {} });
+    assert.equal(response.statusCode, 405);
+  });
+
+  it('requires multipart/form-data', async () => {
+    const response = await manipulateHandler({
+      httpMethod: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: '{}',
+    });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(parseBody(response), { error: 'Content-Type must be multipart/form-data', code: 'INVALID_REQUEST', retryable: false });
+  });
+
+  it('requires a boundary', async () => {
+    const response = await manipulateHandler(multipartEvent([], { 'Content-Type': 'multipart/form-data' }));
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(parseBody(response), { error: 'Missing boundary in Content-Type', code: 'INVALID_REQUEST', retryable: false });
+  });
+
+  it('requires a prompt', async () => {
+    useProvider(createStubProvider());
+    const response = await manipulateHandler(multipartEvent([imageField()]));
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(parseBody(response), { error: 'Prompt is required', code: 'INVALID_REQUEST', retryable: false });
+  });
+
+  it('requires an image', async () => {
+    useProvider(createStubProvider());
+    const response = await manipulateHandler(multipartEvent([promptField('warmer')]));
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(parseBody(response), { error: 'Image file is required', code: 'INVALID_REQUEST', retryable: false });
+  });
+
+  it('sends the uploaded image to the model', async () => {
+    const provider = useProvider(createStubProvider());
+    const response = await manipulateHandler(multipartEvent([promptField('make it warmer'), imageField()]));
+    assert.equal(response.statusCode, 200);
+
+    const data = parseBody(response);
+    assert.deepEqual(data.originalImage, { name: 'photo.png', size: PNG_BYTES.length, mimeType: 'image/png' });
+
+    const [textPart, imagePart] = provider.calls[0].contents[0].parts;
+    assert.equal(textPart.text, 'Based on the uploaded image, make it warmer');
+    assert.equal(imagePart.inlineData.data, NORMALIZED_PNG_BASE64);
+  });
+
+  it('passes binary uploads through intact', async () => {
+    const provider = useProvider(createStubProvider());
+    // JPEG data is full of bytes that are not valid UTF-8
+    const bytes = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#c04020' } }).jpeg().toBuffer();
+    const response = await manipulateHandler(multipartEvent([
+      promptField('warmer'),
+      { name: 'image', filename: 'photo.jpg', contentType: 'image/jpeg', value: bytes },
+    ]));
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(parseBody(response).originalImage, { name: 'photo.jpg', size: bytes.length, mimeType: 'image/jpeg' });
+    assert.equal(provider.calls[0].contents[0].parts[1].inlineData.mimeType, 'image/jpeg');
+  });
+
+  it('rejects non-image uploads like the Express route', async () => {
+    const provider = useProvider(createStubProvider());
+    const response = await manipulateHandler(multipartEvent([
+      promptField('warmer'),
+      { name: 'image', filename: 'notes.txt', contentType: 'text/plain', value: 'hello' },
+    ]));
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(parseBody(response), { error: 'Only image files are allowed!', code: 'INVALID_UPLOAD', retryable: false });
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it('maps model errors', async () => {
+    useProvider(createStubProvider({ error: apiError(401) }));
+    const response = await manipulateHandler(multipartEvent([promptField('warmer'), imageField()]));
+    assert.equal(response.statusCode, 401);
+    assert.equal(parseBody(response).error, 'Invalid API key');
+  });
+
+  it('fails with 500 on unexpected errors', async () => {
+    useProvider(createStubProvider({ error: new Error('socket hang up') }));
+    const response = await manipulateHandler(multipartEvent([promptField('warmer'), imageField()]));
+    assert.equal(response.statusCode, 500);
+    assert.deepEqual(parseBody(response), { error: 'Failed to manipulate image', code: 'INTERNAL_ERROR', retryable: false, details: 'socket hang up' });
+  });
+});
+
+describe('compose-image handler', () => {
+  const referenceField = (filename) => ({ name: 'images', filename, contentType: 'image/png', value: PNG_BYTES });
+
+  it('rejects non-POST methods', async () => {
+    const response = await composeHandler({ httpMethod: 'GET' });
+    assert.equal(response.statusCode, 405);
+  });
+
+  it('requires at least two images', async () => {
+    useProvider(createStubProvider());
+    const response = await composeHandler(multipartEvent([promptField('combine'), referenceField('a.png')]));
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(parseBody(response), { error: 'At least two reference images are required', code: 'INVALID_REQUEST', retryable: false });
+  });
+
+  it('sends every labelled image to the model', async () => {
+    const provider = useProvider(createStubProvider());
+    const response = await composeHandler(multipartEvent([
+      promptField('put the product in the scene'),
+      referenceField('product.png'),
+      { name: 'labels', value: 'product' },
+      referenceField('scene.png'),
+      { name: 'labels', value: 'scene' },
+    ]));
+    assert.equal(response.statusCode, 200);
+
+    const data = parseBody(response);
+    assert.deepEqual(data.referenceImages.map(image => [image.label, image.name]), [
+      ['product', 'product.png'],
+      ['scene', 'scene.png'],
+    ]);
+
+    const parts = provider.calls[0].contents[0].parts;
+    assert.equal(parts.filter(part => part.inlineData).length, 2);
+    assert.equal(parts[1].text, 'Image 1 (product):');
+    assert.equal(parts[3].text, 'Image 2 (scene):');
+    assert.equal(parts.at(-1).text, 'Using these images, put the product in the scene');
+  });
+});
+
+describe('sessions handler', () => {
+  const sessionEvent = (method, path, body) => ({
+    httpMethod: method,
+    path,
+    headers: { 'content-type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+
+  it('starts a session and continues it', async () => {
+    const provider = useProvider(createStubProvider());
+    const started = await sessionsHandler({
+      ...multipartEvent([promptField('add a hat'), imageField()]),
+      path: '/api/sessions',
+    });
+    assert.equal(started.statusCode, 200);
+    const { sessionId } = parseBody(started);
+
+    const followUp = await sessionsHandler(sessionEvent('POST', `/api/sessions/${sessionId}/messages`, { prompt: 'warmer' }));
+    assert.equal(followUp.statusCode, 200);
+    assert.equal(parseBody(followUp).turn, 2);
+    assert.deepEqual(provider.calls[1].contents.map(content => content.role), ['user', 'model', 'user']);
+
+    const session = await sessionsHandler(sessionEvent('GET', `/.netlify/functions/sessions/${sessionId}`));
+    assert.equal(parseBody(session).turns.length, 2);
+  });
+
+  it('reports unknown sessions as 404', async () => {
+    const response = await sessionsHandler(sessionEvent('DELETE', '/api/sessions/missing'));
+    assert.equal(response.statusCode, 404);
+    assert.equal(parseBody(response).error, 'Session not found');
+  });
+
+  it('rejects unsupported methods', async () => {
+    const response = await sessionsHandler(sessionEvent('GET', '/api/sessions'));
+    assert.equal(response.statusCode, 405);
+  });
+});
+
+describe('history handler', () => {
+  it('explains that history needs the Express server', async () => {
+    const response = await historyHandler({ httpMethod: 'GET', path: '/api/history' });
+    assert.equal(response.statusCode, 501);
+    assert.equal(parseBody(response).error, 'History is not available on Netlify');
+  });
+});
+
+describe('jobs handler', () => {
+  it('explains that jobs need object storage', async () => {
+    const response = await jobsHandler({ httpMethod: 'POST', path: '/api/jobs', body: '{}' });
+    assert.equal(response.statusCode, 501);
+    assert.equal(parseBody(response).error, 'Jobs are not available on Netlify');
+  });
+});
+
+describe('stats handler', () => {
+  it('explains that usage statistics need the Express server', async () => {
+    const response = await statsHandler({ httpMethod: 'GET', path: '/api/stats' });
+    assert.equal(response.statusCode, 501);
+    assert.equal(parseBody(response).error, 'Usage statistics are not available on Netlify');
+  });
+});
+
+describe('withAuth', () => {
+  const auth = createAuth({ adminKey: 'test-admin-key' });
+  const handler = withAuth(async event => ({ statusCode: 200, headers: {}, body: JSON.stringify(event.user) }), { auth });
+
+  it('passes the authenticated user on to the handler', async () => {
+    const response = await handler({ httpMethod: 'GET', headers: { Authorization: 'Bearer test-admin-key' } });
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(parseBody(response), { name: 'admin', role: 'admin', keyId: 'admin' });
+  });
+
+  it('answers 401 without a key, and no CORS for other origins', async () => {
+    const response = await handler({ httpMethod: 'GET', headers: { Origin: 'https://elsewhere.example' } });
+    assert.equal(response.statusCode, 401);
+    assert.equal(parseBody(response).error, 'Authentication required');
+    assert.equal(response.headers['Access-Control-Allow-Origin'], undefined);
+  });
+
+  it('lets preflight requests through', async () => {
+    const response = await handler({ httpMethod: 'OPTIONS', headers: {} });
+    assert.equal(response.statusCode, 200);
+  });
+});
+
+describe('withRateLimit', () => {
+  const limiter = createLimiter({ limits: { perMinute: 60, burst: 1, daily: 0, monthly: 0 } });
+  const handler = withRateLimit(async () => ({ statusCode: 200, headers: {}, body: '{}' }), { limiter });
+  const event = ip => ({ httpMethod: 'POST', headers: { 'x-nf-client-connection-ip': ip } });
+
+  it('charges POST requests to the client address', async () => {
+    const response = await handler(event('10.0.0.1'));
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['RateLimit-Remaining'], '0');
+
+    const limited = await handler(event('10.0.0.1'));
+    assert.equal(limited.statusCode, 429);
+    assert.equal(limited.headers['Retry-After'], '1');
+    assert.equal((await handler(event('10.0.0.2'))).statusCode, 200);
+    assert.equal((await handler({ httpMethod: 'GET', headers: { 'x-nf-client-connection-ip': '10.0.0.1' } })).statusCode, 200);
+  });
+
+  it('counts handlers that share a limit store against one budget', async () => {
+    // The limits come from the environment, as in a deployment
+    const perMinute = process.env.RATE_LIMIT_PER_MINUTE;
+    process.env.RATE_LIMIT_PER_MINUTE = '2';
+    const store = createMemoryLimitStore();
+    const [first, second] = [1, 2].map(() => withRateLimit(async () => ({ statusCode: 200, headers: {}, body: '{}' }), { store }));
+    process.env.RATE_LIMIT_PER_MINUTE = perMinute;
+
+    assert.equal((await first(event('10.0.0.3'))).statusCode, 200);
+    assert.equal((await second(event('10.0.0.3'))).statusCode, 200);
+    assert.equal((await first(event('10.0.0.3'))).statusCode, 429);
+    assert.equal((await second(event('10.0.0.3'))).statusCode, 429);
+  });
+});
+
+describe('auth handler', () => {
+  it('reports that signing in is not needed while authentication is off', async () => {
+    const response = await authHandler({ httpMethod: 'GET', path: '/api/auth/me', headers: {} });
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(parseBody(response), { enabled: false, authenticated: false });
+  });
+
+  it('rejects sign-in while authentication is off', async () => {
+    const response = await authHandler({ httpMethod: 'POST', path: '/api/auth/login', headers: {}, body: '{"apiKey":"x"}' });
+    assert.equal(response.statusCode, 400);
+  });
+});
+
+describe('admin handler', () => {
+  it('needs authentication to be enabled', async () => {
+    const response = await adminHandler({ httpMethod: 'POST', path: '/api/admin/keys', headers: {}, body: '{}' });
+    assert.equal(response.statusCode, 403);
+    assert.equal(parseBody(response).error, 'Authentication is not enabled');
+  });
+});
+
+describe('templates handler', () => {
+  it('serves and renders the built-in templates', async () => {
+    const list = await templatesHandler({ httpMethod: 'GET', path: '/api/templates', queryStringParameters: { mode: 'generate' } });
+    assert.equal(list.statusCode, 200);
+    assert.deepEqual(parseBody(list).templates.map(template => template.id), ['product-shot', 'watercolor']);
+
+    const rendered = await templatesHandler({
+      httpMethod: 'POST',
+      path: '/.netlify/functions/templates/watercolor/render',
+      body: JSON.stringify({ variables: { subject: 'a lighthouse', aspect: '16:9' } }),
+    });
+    assert.equal(
+      parseBody(rendered).prompt,
+      'A loose watercolor illustration of a lighthouse with visible paper texture, soft pastel palette, 16:9 aspect ratio'
+    );
+  });
+
+  it('is read-only', async () => {
+    const response = await templatesHandler({ httpMethod: 'POST', path: '/api/templates', body: '{}' });
+    assert.equal(response.statusCode, 501);
+    assert.equal(parseBody(response).error, 'Templates are read-only on Netlify');
+  });
+});
+
+describe('models handler', () => {
+  it('lists the built-in models of the active provider', async () => {
+    process.env.AI_PROVIDER = 'mock';
+    const response = await modelsHandler({ httpMethod: 'GET' });
+    assert.equal(response.statusCode, 200);
+
+    const data = parseBody(response);
+    assert.equal(data.provider, 'mock');
+    assert.deepEqual(data.models.map(model => model.id), ['mock-image-model']);
+    assert.equal(data.defaults.generate, 'mock-image-model');
+  });
+
+  it('rejects non-GET methods', async () => {
+    const response = await modelsHandler({ httpMethod: 'POST' });
+    assert.equal(response.statusCode, 405);
+  });
+});
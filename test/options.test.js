@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpError } from '../lib/errors.js';
+import { generationConfig, parseGenerationOptions, withAspectRatio } from '../lib/options.js';
+
+function rejects(options, message) {
+  assert.throws(() => parseGenerationOptions(options), error => {
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.status, 400);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+describe('parseGenerationOptions', () => {
+  it('treats missing options as none', () => {
+    assert.deepEqual(parseGenerationOptions(undefined), {});
+    assert.deepEqual(parseGenerationOptions(''), {});
+    assert.deepEqual(parseGenerationOptions({ temperature: null, seed: '', systemInstruction: '  ' }), {});
+  });
+
+  it('accepts every option within bounds', () => {
+    const options = {
+      temperature: 0.7,
+      seed: 42,
+      candidateCount: 2,
+      aspectRatio: '16:9',
+      safetySettings: [{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' }],
+      systemInstruction: ' Always use a flat illustration style. '
+    };
+    assert.deepEqual(parseGenerationOptions(options), { ...options, systemInstruction: 'Always use a flat illustration style.' });
+  });
+
+  it('parses options sent as a JSON string (multipart forms)', () => {
+    assert.deepEqual(parseGenerationOptions('{"seed":7}'), { seed: 7 });
+    rejects('{seed:7}', /^options must be a JSON object$/);
+    rejects('[1]', /^options must be a JSON object$/);
+  });
+
+  it('rejects values out of bounds', () => {
+    rejects({ temperature: 3 }, /^options.temperature must be a number between 0 and 2$/);
+    rejects({ temperature: '1' }, /^options.temperature must be a number/);
+    rejects({ seed: 1.5 }, /^options.seed must be an integer/);
+    rejects({ candidateCount: 5 }, /^options.candidateCount must be an integer between 1 and 4$/);
+    rejects({ aspectRatio: '7:3' }, /^options.aspectRatio must be one of: 1:1/);
+    rejects({ systemInstruction: 'x'.repeat(2001) }, /^options.systemInstruction must be at most 2000 characters$/);
+  });
+
+  it('checks safety settings against the model categories and thresholds', () => {
+    rejects({ safetySettings: 'strict' }, /^options.safetySettings must be an array/);
+    rejects({ safetySettings: [{ category: 'HARM_CATEGORY_GOSSIP', threshold: 'BLOCK_NONE' }] }, /safetySettings\[0\].category must be one of/);
+    rejects({ safetySettings: [{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ALL' }] }, /safetySettings\[0\].threshold must be one of/);
+    rejects({
+      safetySettings: [
+        { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
+        { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' }
+      ]
+    }, /lists HARM_CATEGORY_HARASSMENT more than once/);
+  });
+
+  it('rejects unknown options', () => {
+    rejects({ topK: 3, seed: 1 }, /^Unknown options: topK$/);
+  });
+});
+
+describe('generationConfig', () => {
+  it('maps options to model config, leaving out the aspect ratio hint', () => {
+    assert.deepEqual(generationConfig({ temperature: 0, seed: 3, aspectRatio: '1:1', safetySettings: [] }), { temperature: 0, seed: 3 });
+    assert.deepEqual(generationConfig({}), {});
+  });
+});
+
+describe('withAspectRatio', () => {
+  it('appends the ratio to the prompt', () => {
+    assert.equal(withAspectRatio('a fox', { aspectRatio: '9:16' }), 'a fox\n\nAspect ratio: 9:16');
+    assert.equal(withAspectRatio('a fox', {}), 'a fox');
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkLimits,
+  clientId,
+  createLimiter,
+  createMemoryLimitStore,
+  createS3LimitStore,
+  getUsage,
+  limitStoreFromEnv,
+  limitsFromEnv,
+  rateLimitHeaders,
+  requestCost
+} from '../lib/ratelimit.js';
+import { createS3Client } from '../lib/s3.js';
+import { createS3StandIn } from './helpers.js';
+
+// A clock the tests move by hand, starting mid-day
+function clock(start = Date.UTC(2026, 4, 31, 12, 0, 0)) {
+  const time = { now: start };
+  return Object.assign(() => time.now, { advance: ms => { time.now += ms; } });
+}
+
+function limiterWith(limits, now = clock()) {
+  const full = { perMinute: 0, burst: 0, daily: 0, monthly: 0, ...limits };
+  return createLimiter({ limits: full, store: createMemoryLimitStore({ now }), now });
+}
+
+describe('limitsFromEnv', () => {
+  it('allows 10 requests a minute with no quotas by default', () => {
+    assert.deepEqual(limitsFromEnv({}), { perMinute: 10, burst: 10, daily: 0, monthly: 0 });
+    assert.deepEqual(
+      limitsFromEnv({ RATE_LIMIT_PER_MINUTE: '6', RATE_LIMIT_BURST: '2', QUOTA_DAILY: '100', QUOTA_MONTHLY: 'lots' }),
+      { perMinute: 6, burst: 2, daily: 100, monthly: 0 }
+    );
+    assert.equal(createLimiter({ limits: limitsFromEnv({ RATE_LIMIT_PER_MINUTE: '0' }) }).enabled, false);
+  });
+});
+
+describe('requestCost', () => {
+  it('charges one per requested variation', () => {
+    assert.equal(requestCost({ prompt: 'x' }), 1);
+    assert.equal(requestCost({ count: 4 }), 4);
+    assert.equal(requestCost({ count: '3' }), 3);
+    assert.equal(requestCost({ variations: [{}, {}] }), 2);
+    assert.equal(requestCost({ count: 'many' }), 1);
+    assert.equal(requestCost({ count: 500 }), 8);
+    assert.equal(requestCost({ type: 'edit', count: 4 }), 1);
+    assert.equal(requestCost({ type: 'generate', count: 2 }), 2);
+  });
+});
+
+describe('createLimiter', () => {
+  it('lets a burst through, then refills the bucket over time', async () => {
+    const now = clock();
+    const limiter = limiterWith({ perMinute: 6, burst: 2 }, now);
+
+    await limiter.consume('ip:a');
+    const [rate] = await limiter.consume('ip:a');
+    assert.equal(rate.remaining, 0);
+    await assert.rejects(limiter.consume('ip:a'), { status: 429, message: 'Rate limit exceeded', retryAfter: 10 });
+
+    // Other clients have their own bucket
+    await limiter.consume('ip:b');
+
+    now.advance(10000);
+    await limiter.consume('ip:a');
+    await assert.rejects(limiter.consume('ip:a'), { status: 429 });
+  });
+
+  it('serializes concurrent requests from one client', async () => {
+    const limiter = limiterWith({ perMinute: 60, burst: 3 });
+    const outcomes = await Promise.allSettled(Array.from({ length: 5 }, () => limiter.consume('ip:a')));
+    assert.deepEqual(outcomes.map(outcome => outcome.status), ['fulfilled', 'fulfilled', 'fulfilled', 'rejected', 'rejected']);
+  });
+
+  it('lets a batch bigger than the bucket through once it is full, leaving it in debt', async () => {
+    const now = clock();
+    const limiter = limiterWith({ perMinute: 60, burst: 2 }, now);
+
+    await limiter.consume('ip:a', 4);
+    now.advance(1000);
+    // Two tokens owed, one added back
+    await assert.rejects(limiter.consume('ip:a'), { retryAfter: 2 });
+  });
+
+  it('counts daily and monthly quotas until they reset in UTC', async () => {
+    const now = clock(Date.UTC(2026, 4, 30, 23, 0, 0));
+    const limiter = limiterWith({ daily: 3, monthly: 5 }, now);
+
+    await limiter.consume('key:k', 2);
+    await assert.rejects(limiter.consume('key:k', 2), error => {
+      assert.equal(error.message, 'Daily quota exceeded');
+      assert.match(error.details, /You have 1 of 3 images left today\. This request asks for 2 images\. The quota resets at 2026-05-31T00:00:00\.000Z/);
+      assert.equal(error.retryAfter, 3600);
+      assert.equal(error.headers['Retry-After'], '3600');
+      return true;
+    });
+    await limiter.consume('key:k');
+
+    // A new day, but the same month
+    now.advance(90 * 60 * 1000);
+    await limiter.consume('key:k', 2);
+    await assert.rejects(limiter.consume('key:k'), { message: 'Monthly quota exceeded' });
+
+    // A new month
+    now.advance(24 * 60 * 60 * 1000);
+    await limiter.consume('key:k');
+  });
+});
+
+describe('limit stores', () => {
+  let standIn;
+  before(async () => {
+    standIn = await createS3StandIn();
+  });
+  after(() => standIn.close());
+
+  const stores = {
+    memory: now => createMemoryLimitStore({ now }),
+    s3: now => createS3LimitStore({
+      client: createS3Client({ bucket: 'limits', endpoint: standIn.endpoint, forcePathStyle: true, accessKeyId: 'k', secretAccessKey: 's' }),
+      prefix: `run-${Math.random()}/`,
+      now
+    })
+  };
+
+  for (const [name, createStore] of Object.entries(stores)) {
+    it(`${name}: sets a value only while the key holds the expected one`, async () => {
+      const now = clock();
+      const store = createStore(now);
+      assert.equal(await store.compareAndSet('a', { used: 1 }, { used: 2 }, 1000), false);
+      assert.equal(await store.compareAndSet('a', null, { used: 1 }, 1000), true);
+      assert.equal(await store.compareAndSet('a', null, { used: 1 }, 1000), false);
+      assert.equal(await store.compareAndSet('a', { used: 1 }, { used: 2 }, 1000), true);
+      assert.deepEqual(await store.get('a'), { used: 2 });
+
+      now.advance(2000);
+      assert.equal(await store.get('a'), null);
+      assert.equal(await store.compareAndSet('a', null, { used: 1 }, 1000), true);
+    });
+
+    it(`${name}: lets several instances share one budget`, async () => {
+      const now = clock();
+      const store = createStore(now);
+      const limits = { perMinute: 60, burst: 3, daily: 0, monthly: 0 };
+      const instances = [1, 2, 3].map(() => createLimiter({ limits, store, now }));
+
+      const outcomes = await Promise.allSettled(instances.flatMap(limiter => [limiter.consume('ip:a'), limiter.consume('ip:a')]));
+      assert.equal(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 3);
+      assert.ok(outcomes.filter(outcome => outcome.status === 'rejected').every(outcome => outcome.reason.status === 429));
+    });
+  }
+});
+
+describe('limitStoreFromEnv', () => {
+  it('counts in memory unless told otherwise', () => {
+    assert.ok(limitStoreFromEnv({}).compareAndSet);
+    assert.ok(limitStoreFromEnv({ RATE_LIMIT_STORE: 's3', S3_BUCKET: 'limits' }).compareAndSet);
+  });
+
+  it('rejects unknown and unconfigured stores', () => {
+    assert.throws(() => limitStoreFromEnv({ RATE_LIMIT_STORE: 'redis' }), { code: 'CONFIGURATION_ERROR' });
+    assert.throws(() => limitStoreFromEnv({ RATE_LIMIT_STORE: 's3' }), { code: 'CONFIGURATION_ERROR', message: 'Rate limit store is not configured' });
+  });
+});
+
+describe('rate limit headers', () => {
+  it('describe the window closest to running out', async () => {
+    const now = clock(Date.UTC(2026, 4, 31, 12, 0, 0));
+    const limiter = limiterWith({ perMinute: 10, burst: 10, daily: 4 }, now);
+    const windows = await limiter.consume('ip:a');
+    assert.deepEqual(rateLimitHeaders(windows, now()), { 'RateLimit-Limit': '4', 'RateLimit-Remaining': '3', 'RateLimit-Reset': '43200' });
+  });
+
+  it('are not sent when limits are off', async () => {
+    assert.deepEqual(await checkLimits(1, { limiter: limiterWith({}), ip: '1.2.3.4' }), {});
+  });
+});
+
+describe('getUsage', () => {
+  it('reports what a key has left without spending it', async () => {
+    const now = clock(Date.UTC(2026, 4, 31, 12, 0, 0));
+    const limiter = limiterWith({ perMinute: 10, burst: 5, daily: 20 }, now);
+    const user = { name: 'ann', role: 'user', keyId: 'k1' };
+    assert.equal(clientId({ user, ip: '1.2.3.4' }), 'key:k1');
+
+    await checkLimits(3, { limiter, user });
+    const usage = await getUsage({ limiter, user });
+    assert.deepEqual(usage, {
+      client: { user: 'ann' },
+      rate: { name: 'rate', limit: 5, remaining: 2, perMinute: 10, resetAt: '2026-05-31T12:00:18.000Z' },
+      daily: { name: 'daily', limit: 20, used: 3, remaining: 17, resetAt: '2026-06-01T00:00:00.000Z' },
+      monthly: null
+    });
+  });
+});
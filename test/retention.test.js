@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm, utimes, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { diskUsage, formatBytes, retentionLimitsFromEnv, sweepDirectory } from '../lib/retention.js';
+import { createMemoryHistoryStore, historyFiles } from '../lib/history.js';
+import { createMemorySessionStore, referencedFiles } from '../lib/sessions.js';
+
+const HOUR = 60 * 60 * 1000;
+// Whole seconds, so the times survive the round trip through the file system
+const NOW = Math.floor(Date.now() / 1000) * 1000;
+const NO_LIMITS = { maxAgeMs: 0, maxBytes: 0, maxFiles: 0 };
+
+let dir;
+
+// Write a file of `size` bytes last modified `ageHours` ago
+async function addFile(name, size, ageHours) {
+  const filePath = path.join(dir, name);
+  await writeFile(filePath, Buffer.alloc(size));
+  const time = new Date(NOW - ageHours * HOUR);
+  await utimes(filePath, time, time);
+}
+
+async function remaining() {
+  return (await readdir(dir)).sort();
+}
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(os.tmpdir(), 'generated-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('sweepDirectory', () => {
+  it('evicts files older than the maximum age', async () => {
+    await addFile('old.png', 10, 48);
+    await addFile('new.png', 10, 1);
+
+    const result = await sweepDirectory(dir, { ...NO_LIMITS, maxAgeMs: 24 * HOUR }, undefined, NOW);
+
+    assert.deepEqual(result, { removed: ['old.png'], files: 1, bytes: 10 });
+    assert.deepEqual(await remaining(), ['new.png']);
+  });
+
+  it('evicts the oldest files until under the size and count limits', async () => {
+    await addFile('a.png', 100, 4);
+    await addFile('b.png', 100, 3);
+    await addFile('c.png', 100, 2);
+    await addFile('d.png', 100, 1);
+
+    await sweepDirectory(dir, { ...NO_LIMITS, maxBytes: 250 }, undefined, NOW);
+    assert.deepEqual(await remaining(), ['c.png', 'd.png']);
+
+    await sweepDirectory(dir, { ...NO_LIMITS, maxFiles: 1 }, undefined, NOW);
+    assert.deepEqual(await remaining(), ['d.png']);
+  });
+
+  it('keeps referenced and freshly written files', async () => {
+    await addFile('in-session.png', 100, 10);
+    await addFile('old.png', 100, 5);
+    await addFile('just-saved.png', 100, 0);
+
+    const result = await sweepDirectory(dir, { ...NO_LIMITS, maxFiles: 1 }, async () => new Set(['in-session.png']), NOW);
+
+    assert.deepEqual(result.removed, ['old.png']);
+    assert.deepEqual(await remaining(), ['in-session.png', 'just-saved.png']);
+  });
+
+  it('keeps the files named in the .keep file', async () => {
+    await addFile('sample.png', 100, 10);
+    await addFile('old.png', 100, 5);
+    await writeFile(path.join(dir, '.keep'), 'sample.png\n');
+
+    const result = await sweepDirectory(dir, { ...NO_LIMITS, maxAgeMs: HOUR }, undefined, NOW);
+
+    assert.deepEqual(result.removed, ['old.png']);
+    assert.deepEqual(await remaining(), ['.keep', 'sample.png']);
+  });
+
+  it('ignores hidden files and treats a missing directory as empty', async () => {
+    await addFile('.gitkeep', 0, 100);
+    await sweepDirectory(dir, { ...NO_LIMITS, maxAgeMs: HOUR }, undefined, NOW);
+    assert.deepEqual(await remaining(), ['.gitkeep']);
+
+    const missing = await sweepDirectory(path.join(dir, 'missing'), NO_LIMITS);
+    assert.deepEqual(missing, { removed: [], files: 0, bytes: 0 });
+  });
+});
+
+describe('diskUsage', () => {
+  it('totals the files in the directory', async () => {
+    await addFile('a.png', 300, 2);
+    await addFile('b.png', 200, 1);
+
+    const usage = await diskUsage(dir);
+    assert.equal(usage.files, 2);
+    assert.equal(usage.bytes, 500);
+    assert.equal(usage.oldest, new Date(NOW - 2 * HOUR).toISOString());
+  });
+});
+
+describe('retentionLimitsFromEnv', () => {
+  it('caps only the total size by default', () => {
+    assert.deepEqual(retentionLimitsFromEnv({}), {
+      maxAgeMs: 0,
+      maxBytes: 1024 * 1024 * 1024,
+      maxFiles: 0,
+      sweepIntervalMs: 10 * 60 * 1000,
+    });
+  });
+
+  it('reads every limit and lets 0 turn one off', () => {
+    const limits = retentionLimitsFromEnv({
+      GENERATED_MAX_AGE_HOURS: '24',
+      GENERATED_MAX_MB: '0',
+      GENERATED_MAX_FILES: '500',
+      GENERATED_SWEEP_MINUTES: '1',
+    });
+    assert.deepEqual(limits, { maxAgeMs: 24 * HOUR, maxBytes: 0, maxFiles: 500, sweepIntervalMs: 60 * 1000 });
+  });
+});
+
+describe('referencedFiles', () => {
+  it('lists the images shown in live edit sessions', async () => {
+    const store = createMemorySessionStore();
+    await store.set('s1', {
+      updatedAt: Date.now(),
+      turns: [{ results: [{ type: 'text', content: 'hi' }, { type: 'image', filename: 'edit_session_1_0.png' }] }],
+    });
+
+    assert.deepEqual([...await referencedFiles(store)], ['edit_session_1_0.png']);
+  });
+});
+
+describe('historyFiles', () => {
+  it('lists the output files of every history entry', async () => {
+    const history = createMemoryHistoryStore();
+    await history.add({ id: 'a', user: 'alice', outputs: [{ filename: 'text_to_image_1_0.png' }] });
+    await history.add({ id: 'b', outputs: [{ filename: 'batch_1_v0_0.png', variation: 0 }, { filename: 'batch_1_v1_0.png', variation: 1 }] });
+
+    assert.deepEqual([...await historyFiles(history)].sort(), ['batch_1_v0_0.png', 'batch_1_v1_0.png', 'text_to_image_1_0.png']);
+  });
+});
+
+it('formats byte counts', () => {
+  assert.equal(formatBytes(512), '512 B');
+  assert.equal(formatBytes(1536), '1.5 KB');
+  assert.equal(formatBytes(3 * 1024 * 1024 * 1024), '3.0 GB');
+});
@@ -0,0 +1,175 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { runModel } from '../lib/core.js';
+import { HttpError, toErrorResponse } from '../lib/errors.js';
+import { backoffDelay, isRetryable, retryAfterMs, retryPolicyFromEnv, withRetry } from '../lib/retry.js';
+import { apiError, createMemorySink, createStubProvider, textChunk } from './helpers.js';
+
+const policy = { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 1000 };
+
+// Fails with each error in turn, then succeeds
+function failing(...errors) {
+  const pending = [...errors];
+  return mock.fn(async () => {
+    if (pending.length > 0) {
+      throw pending.shift();
+    }
+    return 'ok';
+  });
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('retryPolicyFromEnv', () => {
+  it('defaults to three attempts with a one second base delay', () => {
+    assert.deepEqual(retryPolicyFromEnv({}), { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 30000 });
+    assert.deepEqual(
+      retryPolicyFromEnv({ MODEL_MAX_ATTEMPTS: '0', MODEL_RETRY_BASE_MS: '250', MODEL_RETRY_MAX_MS: 'soon' }),
+      { maxAttempts: 1, baseDelayMs: 250, maxDelayMs: 30000 }
+    );
+  });
+});
+
+describe('isRetryable', () => {
+  it('retries rate limits, server errors and dropped connections only', () => {
+    for (const status of [429, 500, 503]) {
+      assert.equal(isRetryable(apiError(status)), true);
+    }
+    for (const status of [400, 401, 403, 404]) {
+      assert.equal(isRetryable(apiError(status)), false);
+    }
+    assert.equal(isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+    assert.equal(isRetryable(new HttpError(500, 'GEMINI_API_KEY not configured')), false);
+  });
+});
+
+describe('retryAfterMs', () => {
+  it('reads the RetryInfo delay from a Gemini error', () => {
+    const message = '{"error":{"code":429,"details":[{"@type":"type.googleapis.com/google.rpc.RetryInfo","retryDelay":"37s"}]}}';
+    assert.equal(retryAfterMs(apiError(429, message)), 37000);
+  });
+
+  it('reads a Retry-After header', () => {
+    assert.equal(retryAfterMs({ headers: new Headers({ 'Retry-After': '2' }) }), 2000);
+    assert.equal(retryAfterMs(apiError(429)), null);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles the ceiling per attempt up to the maximum', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, policy, () => 1)), [100, 200, 400, 800, 1000]);
+    assert.equal(backoffDelay(3, policy, () => 0.5), 200);
+  });
+});
+
+describe('withRetry', () => {
+  it('retries retryable errors and reports each retry', async () => {
+    const fn = failing(apiError(429), apiError(503));
+    const retries = [];
+    const waits = [];
+
+    const result = await withRetry(fn, { policy, onRetry: retry => retries.push(retry), wait: async ms => waits.push(ms), random: () => 1 });
+
+    assert.equal(result, 'ok');
+    assert.equal(fn.mock.callCount(), 3);
+    assert.deepEqual(waits, [100, 200]);
+    assert.deepEqual(retries, [
+      { attempt: 2, maxAttempts: 3, delayMs: 100, status: 429, reason: 'API rate limit exceeded' },
+      { attempt: 3, maxAttempts: 3, delayMs: 200, status: 503, reason: 'Model temporarily unavailable' }
+    ]);
+  });
+
+  it('fails at once on errors that are not retryable', async () => {
+    const fn = failing(apiError(401));
+    await assert.rejects(withRetry(fn, { policy, wait: async () => {} }), { status: 401, attempts: 1 });
+    assert.equal(fn.mock.callCount(), 1);
+  });
+
+  it('gives up after the last attempt', async () => {
+    const fn = failing(apiError(429), apiError(429), apiError(429));
+    await assert.rejects(withRetry(fn, { policy, wait: async () => {} }), { status: 429, attempts: 3 });
+  });
+
+  it('waits at least as long as the API asks, unless that is too long', async () => {
+    const hinted = seconds => apiError(429, `{"retryDelay": "${seconds}s"}`);
+
+    const waits = [];
+    await withRetry(failing(hinted(0.5)), { policy, wait: async ms => waits.push(ms), random: () => 0 });
+    assert.deepEqual(waits, [500]);
+
+    const fn = failing(hinted(3600));
+    await assert.rejects(withRetry(fn, { policy, wait: async () => {} }), { status: 429, attempts: 1, retryAfterMs: 3600000 });
+    assert.equal(fn.mock.callCount(), 1);
+  });
+
+  it('stops waiting as soon as the signal is aborted', async () => {
+    const controller = new AbortController();
+    const fn = failing(apiError(503));
+    const retrying = withRetry(fn, {
+      policy: { ...policy, baseDelayMs: 60000, maxDelayMs: 60000 },
+      signal: controller.signal,
+      onRetry: () => setImmediate(() => controller.abort(new Error('cancelled')))
+    });
+    await assert.rejects(retrying, { message: 'cancelled' });
+    assert.equal(fn.mock.callCount(), 1);
+  });
+
+  it('stops when shouldRetry says no', async () => {
+    const fn = failing(apiError(500));
+    await assert.rejects(withRetry(fn, { policy, shouldRetry: () => false, wait: async () => {} }), { status: 500 });
+    assert.equal(fn.mock.callCount(), 1);
+  });
+});
+
+describe('runModel retries', () => {
+  const contents = [{ role: 'user', parts: [{ text: 'x' }] }];
+  const retry = { maxAttempts: 3, baseDelayMs: 0, maxDelayMs: 0 };
+
+  it('retries a failed call before anything was produced', async () => {
+    const provider = createStubProvider();
+    const generate = provider.generateContentStream;
+    let calls = 0;
+    provider.generateContentStream = async request => {
+      if (calls++ === 0) {
+        throw apiError(429);
+      }
+      return generate(request);
+    };
+
+    const retries = [];
+    const output = await runModel(contents, { sink: createMemorySink(), provider, retry, onRetry: info => retries.push(info) }, 'test');
+    assert.equal(output.results.length, 2);
+    assert.deepEqual(retries.map(info => info.attempt), [2]);
+  });
+
+  it('does not retry once results were streamed', async () => {
+    let calls = 0;
+    const provider = {
+      ...createStubProvider(),
+      async generateContentStream() {
+        calls++;
+        return (async function* () {
+          yield textChunk('Starting');
+          throw apiError(503);
+        })();
+      }
+    };
+
+    await assert.rejects(runModel(contents, { sink: createMemorySink(), provider, retry }, 'test'), { status: 503 });
+    assert.equal(calls, 1);
+  });
+});
+
+describe('rate limit errors after retries', () => {
+  it('say how often the call was tried and how long to wait', () => {
+    const error = Object.assign(apiError(429), { attempts: 3, retryAfterMs: 20500 });
+    const { status, body } = toErrorResponse(error);
+    assert.equal(status, 429);
+    assert.equal(body.details, 'You have exceeded the API rate limit after 3 attempts. Please wait 21 seconds and try again.');
+    assert.equal(body.retryAfter, 21);
+  });
+});
@@ -0,0 +1,1006 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../app.js';
+import { createAuth } from '../lib/auth.js';
+import { createMemoryHistoryStore } from '../lib/history.js';
+import { createJobQueue } from '../lib/jobs.js';
+import { createModelRegistry } from '../lib/models.js';
+import { createModeration } from '../lib/moderation.js';
+import { createLimiter } from '../lib/ratelimit.js';
+import { createMemoryStatsStore } from '../lib/stats.js';
+import { createMemoryTemplateStore } from '../lib/templates.js';
+import {
+  NORMALIZED_PNG_BASE64,
+  PNG_BYTES,
+  apiError,
+  createMemorySink,
+  createStubProvider,
+  imageChunk,
+  listen,
+  parseEventStream,
+  textChunk,
+} from './helpers.js';
+
+async function withServer(provider, fn, appOptions = {}) {
+  const sink = createMemorySink();
+  const history = createMemoryHistoryStore();
+  const templates = createMemoryTemplateStore();
+  const stats = createMemoryStatsStore();
+  const server = await listen(createApp({ sink, history, stats, templates, provider, auth: createAuth(), ...appOptions }));
+  try {
+    await fn(server.url, sink, history);
+  } finally {
+    await server.close();
+  }
+}
+
+function postJson(url, body) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+function postImage(url, { prompt, image = PNG_BYTES, type = 'image/png', filename = 'photo.png' } = {}) {
+  const form = new FormData();
+  if (prompt !== undefined) {
+    form.append('prompt', prompt);
+  }
+  if (image) {
+    form.append('image', new Blob([image], { type }), filename);
+  }
+  return fetch(url, { method: 'POST', body: form });
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('GET /api/health', () => {
+  it('reports the active provider and model', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await fetch(`${url}/api/health`);
+      assert.equal(response.status, 200);
+      assert.deepEqual(await response.json(), {
+        status: 'OK',
+        message: 'Google AI Image Generation Server is running',
+        provider: 'stub',
+        model: 'stub-model',
+      });
+    });
+  });
+});
+
+describe('/api/models', () => {
+  const models = createModelRegistry({
+    models: [
+      { id: 'stub-draw', label: 'Stub draw', provider: 'stub', capabilities: ['image-out'] },
+      { id: 'stub-edit', label: 'Stub edit', provider: 'stub', capabilities: ['image-in', 'image-out'] }
+    ],
+    defaults: { generate: 'stub-edit' }
+  });
+
+  it('lists the models of the active provider', async () => {
+    await withServer(createStubProvider(), async url => {
+      const data = await (await fetch(`${url}/api/models`)).json();
+      assert.equal(data.provider, 'stub');
+      assert.deepEqual(data.defaults, { generate: 'stub-edit', manipulate: 'stub-edit', compose: 'stub-edit', edit: 'stub-edit' });
+      assert.deepEqual(data.models.map(model => [model.id, model.modes]), [
+        ['stub-draw', ['generate']],
+        ['stub-edit', ['generate', 'manipulate', 'compose', 'edit']]
+      ]);
+
+      const health = await (await fetch(`${url}/api/health`)).json();
+      assert.equal(health.model, 'stub-edit');
+    }, { models });
+  });
+
+  it('runs requests on the model they pick and records it', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async (url, sink, history) => {
+      const response = await postJson(`${url}/api/generate-image`, { prompt: 'a fox', model: 'stub-draw' });
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).model, 'stub-draw');
+      assert.equal(provider.calls[0].model, 'stub-draw');
+
+      const [entry] = await history.all();
+      assert.equal(entry.model, 'stub-draw');
+    }, { models });
+  });
+
+  it('rejects models that are unknown or cannot serve the mode', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const unknown = await postJson(`${url}/api/generate-image`, { prompt: 'a fox', model: 'gpt-image' });
+      assert.equal(unknown.status, 400);
+      assert.deepEqual(await unknown.json(), { error: 'Unknown model: gpt-image', code: 'INVALID_MODEL', retryable: false, details: 'Available models: stub-draw, stub-edit' });
+
+      const form = new FormData();
+      form.append('prompt', 'warmer');
+      form.append('model', 'stub-draw');
+      form.append('image', new Blob([PNG_BYTES], { type: 'image/png' }), 'photo.png');
+      const incapable = await fetch(`${url}/api/manipulate-image`, { method: 'POST', body: form });
+      assert.equal(incapable.status, 400);
+      assert.equal((await incapable.json()).error, 'Model stub-draw cannot be used to manipulate');
+      assert.equal(provider.calls.length, 0);
+    }, { models });
+  });
+});
+
+describe('POST /api/generate-image', () => {
+  it('requires a prompt', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const response = await postJson(`${url}/api/generate-image`, {});
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'Prompt is required', code: 'INVALID_REQUEST', retryable: false });
+      assert.equal(provider.calls.length, 0);
+    });
+  });
+
+  it('answers malformed JSON with a coded 400', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await fetch(`${url}/api/generate-image`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"prompt":'
+      });
+      assert.equal(response.status, 400);
+      const data = await response.json();
+      assert.equal(data.code, 'INVALID_REQUEST');
+      assert.equal(data.retryable, false);
+    });
+  });
+
+  it('returns text and images stored through the sink', async () => {
+    const provider = createStubProvider({ chunks: [textChunk('Here you go'), imageChunk()] });
+    await withServer(provider, async (url, sink) => {
+      const response = await postJson(`${url}/api/generate-image`, { prompt: 'a red fox' });
+      assert.equal(response.status, 200);
+
+      const data = await response.json();
+      assert.equal(data.success, true);
+      assert.equal(data.prompt, 'a red fox');
+      assert.deepEqual(data.results[0], { type: 'text', candidate: 0, content: 'Here you go' });
+      assert.equal(data.results[1].type, 'image');
+      assert.equal(data.results[1].mimeType, 'image/png');
+      assert.match(data.results[1].filename, /^text_to_image_\d+_0\.png$/);
+      assert.equal(data.results[1].url, `/memory/${data.results[1].filename}`);
+
+      assert.equal(sink.saved.length, 1);
+      assert.deepEqual(sink.saved[0].buffer, PNG_BYTES);
+      assert.deepEqual(provider.calls[0].contents, [{ role: 'user', parts: [{ text: 'a red fox' }] }]);
+    });
+  });
+
+  it('fails with 500 when the model returns nothing', async () => {
+    await withServer(createStubProvider({ chunks: [] }), async url => {
+      const response = await postJson(`${url}/api/generate-image`, { prompt: 'anything' });
+      assert.equal(response.status, 500);
+      assert.deepEqual(await response.json(), { error: 'No content generated', code: 'NO_CONTENT', retryable: true });
+    });
+  });
+
+  it('passes generation options to the model and echoes them', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const options = { temperature: 0.4, seed: 9, candidateCount: 2, aspectRatio: '16:9', systemInstruction: 'Flat colors only' };
+      const response = await postJson(`${url}/api/generate-image`, { prompt: 'a red fox', options });
+      assert.equal(response.status, 200);
+      assert.deepEqual((await response.json()).options, options);
+
+      const { config, contents } = provider.calls[0];
+      assert.deepEqual(config, {
+        responseModalities: ['IMAGE', 'TEXT'],
+        temperature: 0.4,
+        seed: 9,
+        candidateCount: 2,
+        systemInstruction: 'Flat colors only'
+      });
+      assert.equal(contents[0].parts[0].text, 'a red fox\n\nAspect ratio: 16:9');
+    });
+  });
+
+  it('rejects invalid generation options', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const response = await postJson(`${url}/api/generate-image`, { prompt: 'a red fox', options: { temperature: 5 } });
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'options.temperature must be a number between 0 and 2', code: 'INVALID_OPTIONS', retryable: false });
+      assert.equal(provider.calls.length, 0);
+    });
+  });
+
+  it('answers 422 for prompts blocked by moderation', async () => {
+    const provider = createStubProvider();
+    const moderation = createModeration({ rules: [{ category: 'violence', terms: ['gore'] }] });
+    await withServer(provider, async url => {
+      const response = await postJson(`${url}/api/generate-image`, { prompt: 'a gore scene' });
+      assert.equal(response.status, 422);
+      assert.deepEqual(await response.json(), {
+        error: 'Prompt blocked by content moderation',
+        code: 'CONTENT_BLOCKED',
+        retryable: false,
+        details: 'The prompt was flagged as violence. Please rephrase it and try again.',
+        moderation: { stage: 'prompt', source: 'rules', categories: [{ category: 'violence', label: 'Violence' }] }
+      });
+      assert.equal(provider.calls.length, 0);
+    }, { moderation });
+  });
+
+  it('answers 422 when the model refuses the prompt', async () => {
+    const promptFeedback = { blockReason: 'SAFETY', safetyRatings: [{ category: 'HARM_CATEGORY_HATE_SPEECH', probability: 'HIGH' }] };
+    await withServer(createStubProvider({ chunks: [{ promptFeedback }] }), async url => {
+      const response = await postJson(`${url}/api/generate-image`, { prompt: 'anything' });
+      assert.equal(response.status, 422);
+      const data = await response.json();
+      assert.equal(data.error, 'Prompt blocked by safety filters');
+      assert.deepEqual(data.moderation.categories, [{ category: 'hate_speech', label: 'Hate speech', probability: 'HIGH' }]);
+    });
+  });
+
+  const cases = [
+    [429, 'API rate limit exceeded'],
+    [401, 'Invalid API key'],
+    [400, 'Invalid request'],
+    [500, 'Failed to generate image'],
+  ];
+  for (const [status, message] of cases) {
+    it(`maps a ${status} model error`, async () => {
+      await withServer(createStubProvider({ error: apiError(status) }), async url => {
+        const response = await postJson(`${url}/api/generate-image`, { prompt: 'anything' });
+        assert.equal(response.status, status);
+        assert.equal((await response.json()).error, message);
+      });
+    });
+  }
+});
+
+describe('POST /api/generate-image (event stream)', () => {
+  function postStream(url, body) {
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it('emits each result followed by a summary', async () => {
+    const provider = createStubProvider({ chunks: [textChunk('Sketching'), imageChunk(), textChunk('Done')] });
+    await withServer(provider, async url => {
+      const response = await postStream(`${url}/api/generate-image`, { prompt: 'a red fox' });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+      const events = parseEventStream(await response.text());
+      assert.deepEqual(events.map(({ event }) => event), ['result', 'result', 'result', 'done']);
+      assert.deepEqual(events[0].data, { index: 0, type: 'text', candidate: 0, content: 'Sketching' });
+      assert.equal(events[1].data.type, 'image');
+      assert.deepEqual(events[3].data, { success: true, prompt: 'a red fox', model: 'stub-model', options: {}, candidates: [{ index: 0 }], resultCount: 3 });
+    });
+  });
+
+  it('answers validation errors as JSON before the stream starts', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postStream(`${url}/api/generate-image`, {});
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'Prompt is required', code: 'INVALID_REQUEST', retryable: false });
+    });
+  });
+
+  it('reports retries before the results', async () => {
+    const provider = createStubProvider();
+    const generate = provider.generateContentStream;
+    let calls = 0;
+    provider.generateContentStream = async request => (calls++ === 0 ? Promise.reject(apiError(503)) : generate(request));
+
+    await withServer(provider, async url => {
+      const response = await postStream(`${url}/api/generate-image`, { prompt: 'a red fox' });
+      const events = parseEventStream(await response.text());
+      assert.deepEqual(events.map(({ event }) => event), ['retrying', 'result', 'result', 'done']);
+      assert.deepEqual(events[0].data, { attempt: 2, maxAttempts: 3, delayMs: 0, status: 503, reason: 'Model temporarily unavailable' });
+    });
+  });
+
+  it('reports failures after the first result as an error event', async () => {
+    const chunks = (async function* () {
+      yield textChunk('Starting');
+      throw apiError(429);
+    })();
+    const provider = { ...createStubProvider(), generateContentStream: async () => chunks };
+    await withServer(provider, async url => {
+      const response = await postStream(`${url}/api/generate-image`, { prompt: 'a red fox' });
+      const events = parseEventStream(await response.text());
+      assert.deepEqual(events.map(({ event }) => event), ['result', 'error']);
+      assert.equal(events[1].data.status, 429);
+      assert.equal(events[1].data.error, 'API rate limit exceeded');
+    });
+  });
+
+  it('reports a safety stop after commentary as an error event with its verdict', async () => {
+    const provider = createStubProvider({ chunks: [textChunk('I cannot draw that.'), { candidates: [{ finishReason: 'IMAGE_SAFETY' }] }] });
+    await withServer(provider, async url => {
+      const response = await postStream(`${url}/api/generate-image`, { prompt: 'a red fox' });
+      const events = parseEventStream(await response.text());
+      assert.deepEqual(events.map(({ event }) => event), ['result', 'error']);
+      assert.equal(events[1].data.status, 422);
+      assert.deepEqual(events[1].data.moderation, { stage: 'response', source: 'model', reason: 'IMAGE_SAFETY', categories: [] });
+    });
+  });
+});
+
+describe('POST /api/generate-image (variations)', () => {
+  it('returns every variation grouped in one response', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postJson(`${url}/api/generate-image`, { prompt: 'a fox', count: 2 });
+      assert.equal(response.status, 200);
+
+      const data = await response.json();
+      assert.equal(data.variations.length, 2);
+      assert.equal(data.variations[1].results[1].type, 'image');
+      assert.equal(data.results, undefined);
+    });
+  });
+
+  it('summarises variations in the final stream event', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await fetch(`${url}/api/generate-image`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+        body: JSON.stringify({ prompt: 'a fox', count: 2 }),
+      });
+
+      const events = parseEventStream(await response.text());
+      const results = events.filter(({ event }) => event === 'result');
+      assert.deepEqual(results.map(({ data }) => data.variation).sort(), [0, 0, 1, 1]);
+
+      const done = events.at(-1);
+      assert.equal(done.event, 'done');
+      assert.deepEqual(done.data.variations.map(variation => variation.resultCount), [2, 2]);
+    });
+  });
+
+  it('lets variation seeds override the options seed', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const response = await postJson(`${url}/api/generate-image`, {
+        prompt: 'a fox',
+        count: 2,
+        variations: [{ seed: 100 }],
+        options: { seed: 5, temperature: 1 }
+      });
+      assert.equal(response.status, 200);
+
+      const seeds = provider.calls.map(call => call.config.seed).sort((a, b) => a - b);
+      assert.deepEqual(seeds, [5, 100]);
+      assert.ok(provider.calls.every(call => call.config.temperature === 1));
+    });
+  });
+
+  it('rejects an out-of-range count', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postJson(`${url}/api/generate-image`, { prompt: 'a fox', count: 20 });
+      assert.equal(response.status, 400);
+    });
+  });
+});
+
+describe('POST /api/manipulate-image', () => {
+  it('requires a prompt', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postImage(`${url}/api/manipulate-image`, {});
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'Prompt is required', code: 'INVALID_REQUEST', retryable: false });
+    });
+  });
+
+  it('requires an image', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postImage(`${url}/api/manipulate-image`, { prompt: 'warmer', image: null });
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'Image file is required', code: 'INVALID_REQUEST', retryable: false });
+    });
+  });
+
+  it('sends the uploaded image to the model and describes it in the response', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const response = await postImage(`${url}/api/manipulate-image`, { prompt: 'make it warmer' });
+      assert.equal(response.status, 200);
+
+      const data = await response.json();
+      assert.deepEqual(data.originalImage, { name: 'photo.png', size: PNG_BYTES.length, mimeType: 'image/png' });
+      assert.equal(data.results.length, 2);
+
+      const [textPart, imagePart] = provider.calls[0].contents[0].parts;
+      assert.equal(textPart.text, 'Based on the uploaded image, make it warmer');
+      assert.deepEqual(imagePart.inlineData, { mimeType: 'image/png', data: NORMALIZED_PNG_BASE64 });
+    });
+  });
+
+  it('confines the edit to a mask', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const form = new FormData();
+      form.append('prompt', 'remove the person');
+      form.append('image', new Blob([PNG_BYTES], { type: 'image/png' }), 'photo.png');
+      form.append('mask', new Blob([PNG_BYTES], { type: 'image/png' }), 'mask.png');
+      const response = await fetch(`${url}/api/manipulate-image`, { method: 'POST', body: form });
+      assert.equal(response.status, 200);
+
+      const data = await response.json();
+      assert.deepEqual(data.mask, { name: 'mask.png', size: PNG_BYTES.length, mimeType: 'image/png' });
+
+      const parts = provider.calls[0].contents[0].parts;
+      assert.equal(parts.length, 4);
+      assert.match(parts[2].text, /only the area that is white in this mask/);
+      assert.equal(parts[3].inlineData.mimeType, 'image/png');
+    });
+  });
+
+  it('reads generation options from a JSON form field', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const form = new FormData();
+      form.append('prompt', 'make it warmer');
+      form.append('image', new Blob([PNG_BYTES], { type: 'image/png' }), 'photo.png');
+      form.append('options', JSON.stringify({ seed: 3, aspectRatio: '1:1' }));
+      const response = await fetch(`${url}/api/manipulate-image`, { method: 'POST', body: form });
+      assert.equal(response.status, 200);
+
+      assert.deepEqual((await response.json()).options, { seed: 3, aspectRatio: '1:1' });
+      assert.equal(provider.calls[0].config.seed, 3);
+      assert.equal(provider.calls[0].contents[0].parts[0].text, 'Based on the uploaded image, make it warmer\n\nAspect ratio: 1:1');
+    });
+  });
+
+  it('maps model errors', async () => {
+    await withServer(createStubProvider({ error: apiError(429) }), async url => {
+      const response = await postImage(`${url}/api/manipulate-image`, { prompt: 'warmer' });
+      assert.equal(response.status, 429);
+      assert.equal((await response.json()).error, 'API rate limit exceeded');
+    });
+  });
+
+  it('rejects non-image uploads', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postImage(`${url}/api/manipulate-image`, {
+        prompt: 'warmer',
+        image: Buffer.from('hello'),
+        type: 'text/plain',
+        filename: 'notes.txt',
+      });
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'Only image files are allowed!', code: 'INVALID_UPLOAD', retryable: false });
+    });
+  });
+
+  it('rejects files that only claim to be images', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const response = await postImage(`${url}/api/manipulate-image`, { prompt: 'warmer', image: Buffer.from('<svg onload=alert(1)>') });
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).error, 'Unsupported image format');
+      assert.equal(provider.calls.length, 0);
+    });
+  });
+
+  it('rejects uploads over 10MB', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postImage(`${url}/api/manipulate-image`, {
+        prompt: 'warmer',
+        image: Buffer.alloc(10 * 1024 * 1024 + 1),
+      });
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'File too large. Maximum size is 10MB.', code: 'INVALID_UPLOAD', retryable: false });
+    });
+  });
+});
+
+describe('POST /api/compose-image', () => {
+  function postReferences(url, { prompt = 'combine them', images = 2, labels = [] } = {}) {
+    const form = new FormData();
+    form.append('prompt', prompt);
+    for (let index = 0; index < images; index++) {
+      form.append('images', new Blob([PNG_BYTES], { type: 'image/png' }), `ref${index}.png`);
+    }
+    labels.forEach(label => form.append('labels', label));
+    return fetch(`${url}/api/compose-image`, { method: 'POST', body: form });
+  }
+
+  it('sends every labelled image to the model', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const response = await postReferences(url, { labels: ['product', 'scene'] });
+      assert.equal(response.status, 200);
+
+      const data = await response.json();
+      assert.deepEqual(data.referenceImages.map(image => [image.label, image.name]), [
+        ['product', 'ref0.png'],
+        ['scene', 'ref1.png'],
+      ]);
+      assert.equal(provider.calls[0].contents[0].parts.filter(part => part.inlineData).length, 2);
+    });
+  });
+
+  it('labels unlabelled images by position', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postReferences(url, { images: 3, labels: ['product'] });
+      const data = await response.json();
+      assert.deepEqual(data.referenceImages.map(image => image.label), ['product', 'Image 2', 'Image 3']);
+    });
+  });
+
+  it('requires at least two images', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postReferences(url, { images: 1 });
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'At least two reference images are required', code: 'INVALID_REQUEST', retryable: false });
+    });
+  });
+
+  it('rejects more images than the limit', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postReferences(url, { images: 6 });
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'Too many images. Maximum is 5.', code: 'INVALID_UPLOAD', retryable: false });
+    });
+  });
+});
+
+describe('/api/sessions', () => {
+  it('starts a session, refines it and lists the edit chain', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const started = await postImage(`${url}/api/sessions`, { prompt: 'add a hat' });
+      assert.equal(started.status, 200);
+      const { sessionId, turn } = await started.json();
+      assert.equal(turn, 1);
+
+      const followUp = await postJson(`${url}/api/sessions/${sessionId}/messages`, { prompt: 'make it warmer' });
+      assert.equal(followUp.status, 200);
+      assert.equal((await followUp.json()).turn, 2);
+      assert.equal(provider.calls[1].contents.length, 3);
+
+      const session = await (await fetch(`${url}/api/sessions/${sessionId}`)).json();
+      assert.deepEqual(session.turns.map(entry => entry.prompt), ['add a hat', 'make it warmer']);
+    });
+  });
+
+  it('deletes sessions', async () => {
+    await withServer(createStubProvider(), async url => {
+      const { sessionId } = await (await postImage(`${url}/api/sessions`, { prompt: 'add a hat' })).json();
+
+      const deleted = await fetch(`${url}/api/sessions/${sessionId}`, { method: 'DELETE' });
+      assert.deepEqual(await deleted.json(), { success: true, sessionId });
+
+      const response = await postJson(`${url}/api/sessions/${sessionId}/messages`, { prompt: 'warmer' });
+      assert.equal(response.status, 404);
+      assert.equal((await response.json()).error, 'Session not found');
+    });
+  });
+
+  it('requires an image to start', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postImage(`${url}/api/sessions`, { prompt: 'add a hat', image: null });
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'Image file is required', code: 'INVALID_REQUEST', retryable: false });
+    });
+  });
+});
+
+describe('/api/jobs', () => {
+  async function poll(url) {
+    for (;;) {
+      const job = await (await fetch(url)).json();
+      if (job.status !== 'queued' && job.status !== 'running') {
+        return job;
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  it('queues a generation and serves its status until it finishes', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postJson(`${url}/api/jobs`, { type: 'generate', prompt: 'a red fox', options: { temperature: 0.5 } });
+      assert.equal(response.status, 202);
+
+      const submitted = await response.json();
+      assert.equal(response.headers.get('location'), `/api/jobs/${submitted.jobId}`);
+      assert.equal(submitted.type, 'generate');
+
+      const job = await poll(`${url}/api/jobs/${submitted.jobId}`);
+      assert.equal(job.status, 'succeeded');
+      assert.equal(job.response.prompt, 'a red fox');
+      assert.deepEqual(job.response.options, { temperature: 0.5 });
+      assert.equal(job.results.length, 2);
+    }, { jobs: createJobQueue() });
+  });
+
+  it('accepts uploads for manipulate jobs', async () => {
+    const provider = createStubProvider();
+    await withServer(provider, async url => {
+      const form = new FormData();
+      form.append('type', 'manipulate');
+      form.append('prompt', 'add a hat');
+      form.append('image', new Blob([PNG_BYTES], { type: 'image/png' }), 'photo.png');
+      const response = await fetch(`${url}/api/jobs`, { method: 'POST', body: form });
+      assert.equal(response.status, 202);
+
+      const job = await poll(`${url}/api/jobs/${(await response.json()).jobId}`);
+      assert.equal(job.status, 'succeeded');
+      assert.equal(provider.calls[0].contents[0].parts[1].inlineData.data, NORMALIZED_PNG_BASE64);
+    }, { jobs: createJobQueue() });
+  });
+
+  it('runs edit sessions and their follow-ups as jobs', async () => {
+    await withServer(createStubProvider(), async url => {
+      const form = new FormData();
+      form.append('type', 'edit');
+      form.append('prompt', 'add a hat');
+      form.append('image', new Blob([PNG_BYTES], { type: 'image/png' }), 'photo.png');
+      const started = await poll(`${url}/api/jobs/${(await (await fetch(`${url}/api/jobs`, { method: 'POST', body: form })).json()).jobId}`);
+      assert.equal(started.response.turn, 1);
+
+      const submitted = await postJson(`${url}/api/jobs`, { type: 'follow-up', sessionId: started.response.sessionId, prompt: 'make it red' });
+      const followUp = await poll(`${url}/api/jobs/${(await submitted.json()).jobId}`);
+      assert.equal(followUp.status, 'succeeded');
+      assert.equal(followUp.response.turn, 2);
+    }, { jobs: createJobQueue() });
+  });
+
+  it('cancels a running job', async () => {
+    const provider = createStubProvider();
+    provider.generateContentStream = async ({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+    await withServer(provider, async url => {
+      const { jobId } = await (await postJson(`${url}/api/jobs`, { type: 'generate', prompt: 'a red fox' })).json();
+
+      const response = await fetch(`${url}/api/jobs/${jobId}`, { method: 'DELETE' });
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).status, 'cancelled');
+
+      const again = await fetch(`${url}/api/jobs/${jobId}`, { method: 'DELETE' });
+      assert.equal(again.status, 409);
+    }, { jobs: createJobQueue() });
+  });
+
+  it('rejects unknown job types and ids', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await postJson(`${url}/api/jobs`, { type: 'upscale', prompt: 'x' });
+      assert.equal(response.status, 400);
+      assert.equal((await fetch(`${url}/api/jobs/nope`)).status, 404);
+    }, { jobs: createJobQueue() });
+  });
+});
+
+describe('authentication', () => {
+  const ADMIN_KEY = 'test-admin-key';
+  const asAdmin = { Authorization: `Bearer ${ADMIN_KEY}` };
+
+  function withAuthServer(fn, appOptions = {}) {
+    return withServer(createStubProvider(), fn, { auth: createAuth({ adminKey: ADMIN_KEY }), jobs: createJobQueue(), ...appOptions });
+  }
+
+  function send(url, { method = 'POST', headers = {}, body } = {}) {
+    return fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+  }
+
+  it('requires a key for the API but not for health or sign-in status', async () => {
+    await withAuthServer(async url => {
+      const response = await send(`${url}/api/generate-image`, { body: { prompt: 'a fox' } });
+      assert.equal(response.status, 401);
+      assert.equal((await response.json()).error, 'Authentication required');
+
+      assert.equal((await fetch(`${url}/api/health`)).status, 200);
+      assert.deepEqual(await (await fetch(`${url}/api/auth/me`)).json(), { enabled: true, authenticated: false });
+      assert.equal((await send(`${url}/api/generate-image`, { headers: asAdmin, body: { prompt: 'a fox' } })).status, 200);
+    });
+  });
+
+  it('attributes generations to the user whose key issued them', async () => {
+    await withAuthServer(async (url, sink, history) => {
+      const issued = await (await send(`${url}/api/admin/keys`, { headers: asAdmin, body: { user: 'ann' } })).json();
+      assert.match(issued.key, /^gai_/);
+
+      const response = await send(`${url}/api/generate-image`, { headers: { 'X-API-Key': issued.key }, body: { prompt: 'a fox' } });
+      assert.equal(response.status, 200);
+      const [entry] = await history.all();
+      assert.equal(entry.user, 'ann');
+
+      // Only admins manage keys
+      assert.equal((await send(`${url}/api/admin/keys`, { headers: { 'X-API-Key': issued.key }, body: { user: 'bob' } })).status, 403);
+
+      const revoked = await send(`${url}/api/admin/keys/${issued.id}`, { method: 'DELETE', headers: asAdmin });
+      assert.ok((await revoked.json()).revokedAt);
+      assert.equal((await send(`${url}/api/generate-image`, { headers: { 'X-API-Key': issued.key }, body: { prompt: 'a fox' } })).status, 401);
+    });
+  });
+
+  it('signs the UI in with a session cookie', async () => {
+    await withAuthServer(async url => {
+      assert.equal((await send(`${url}/api/auth/login`, { body: { apiKey: 'nope' } })).status, 401);
+
+      const response = await send(`${url}/api/auth/login`, { body: { apiKey: ADMIN_KEY } });
+      assert.deepEqual(await response.json(), { success: true, user: 'admin', role: 'admin' });
+      const cookie = response.headers.get('set-cookie').split(';')[0];
+
+      assert.equal((await fetch(`${url}/api/models`, { headers: { Cookie: cookie } })).status, 200);
+      assert.deepEqual(await (await fetch(`${url}/api/auth/me`, { headers: { Cookie: cookie } })).json(), {
+        enabled: true,
+        authenticated: true,
+        user: 'admin',
+        role: 'admin',
+      });
+
+      const logout = await send(`${url}/api/auth/logout`, { headers: { Cookie: cookie } });
+      assert.match(logout.headers.get('set-cookie'), /^session=; .*Max-Age=0/);
+    });
+  });
+
+  it('serves generated images only on signed links', async () => {
+    const auth = createAuth({ adminKey: ADMIN_KEY });
+    const image = '/generated/text_to_image_1758080658129_0.png';
+    await withAuthServer(async url => {
+      const unsigned = await fetch(`${url}${image}`);
+      assert.equal(unsigned.status, 403);
+      assert.equal((await unsigned.json()).code, 'FORBIDDEN');
+
+      const signed = await fetch(`${url}${auth.signUrl(image)}`);
+      assert.equal(signed.status, 200);
+      assert.equal(signed.headers.get('content-type'), 'image/png');
+      assert.equal((await fetch(`${url}${auth.signUrl(image).replace('text_to_image', 'other')}`)).status, 403);
+    }, { auth });
+
+    await withServer(createStubProvider(), async url => {
+      assert.equal((await fetch(`${url}${image}`)).status, 200);
+    });
+  });
+
+  it("hides other users' jobs", async () => {
+    await withAuthServer(async url => {
+      const issue = async user => (await (await send(`${url}/api/admin/keys`, { headers: asAdmin, body: { user } })).json()).key;
+      const ann = { 'X-API-Key': await issue('ann') };
+      const bob = { 'X-API-Key': await issue('bob') };
+
+      const job = await (await send(`${url}/api/jobs`, { headers: ann, body: { type: 'generate', prompt: 'a fox' } })).json();
+      assert.equal(job.user, 'ann');
+      assert.equal((await fetch(`${url}/api/jobs/${job.jobId}`, { headers: ann })).status, 200);
+      assert.equal((await fetch(`${url}/api/jobs/${job.jobId}`, { headers: bob })).status, 404);
+      assert.equal((await fetch(`${url}/api/jobs/${job.jobId}`, { headers: asAdmin })).status, 200);
+    });
+  });
+
+  it("hides other users' history", async () => {
+    await withAuthServer(async url => {
+      const issue = async user => (await (await send(`${url}/api/admin/keys`, { headers: asAdmin, body: { user } })).json()).key;
+      const ann = { 'X-API-Key': await issue('ann') };
+      const bob = { 'X-API-Key': await issue('bob') };
+
+      await send(`${url}/api/generate-image`, { headers: ann, body: { prompt: 'a fox' } });
+      const [entry] = (await (await fetch(`${url}/api/history`, { headers: ann })).json()).entries;
+      assert.equal(entry.prompt, 'a fox');
+
+      assert.equal((await (await fetch(`${url}/api/history`, { headers: bob })).json()).total, 0);
+      assert.equal((await fetch(`${url}/api/history/${entry.id}`, { headers: bob })).status, 404);
+      assert.equal((await send(`${url}/api/history/${entry.id}`, { method: 'DELETE', headers: bob })).status, 404);
+      assert.equal((await (await fetch(`${url}/api/history`, { headers: asAdmin })).json()).total, 1);
+      assert.equal((await fetch(`${url}/api/history/${entry.id}`, { headers: ann })).status, 200);
+    });
+  });
+
+  it('keeps other users out of edit sessions', async () => {
+    await withAuthServer(async url => {
+      const issue = async user => (await (await send(`${url}/api/admin/keys`, { headers: asAdmin, body: { user } })).json()).key;
+      const ann = { 'X-API-Key': await issue('ann') };
+      const bob = { 'X-API-Key': await issue('bob') };
+
+      const form = new FormData();
+      form.append('prompt', 'add a hat');
+      form.append('image', new Blob([PNG_BYTES], { type: 'image/png' }), 'photo.png');
+      const { sessionId } = await (await fetch(`${url}/api/sessions`, { method: 'POST', headers: ann, body: form })).json();
+
+      assert.equal((await fetch(`${url}/api/sessions/${sessionId}`, { headers: bob })).status, 404);
+      const followUp = await send(`${url}/api/sessions/${sessionId}/messages`, { headers: bob, body: { prompt: 'make it warmer' } });
+      assert.equal(followUp.status, 404);
+      const job = await (await send(`${url}/api/jobs`, { headers: bob, body: { type: 'follow-up', sessionId, prompt: 'make it warmer' } })).json();
+      let status;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        status = await (await fetch(`${url}/api/jobs/${job.jobId}`, { headers: bob })).json();
+      } while (status.status === 'queued' || status.status === 'running');
+      assert.equal(status.error.error, 'Session not found');
+      assert.equal((await send(`${url}/api/sessions/${sessionId}`, { method: 'DELETE', headers: bob })).status, 404);
+
+      assert.equal((await fetch(`${url}/api/sessions/${sessionId}`, { headers: ann })).status, 200);
+      assert.equal((await fetch(`${url}/api/sessions/${sessionId}`, { headers: asAdmin })).status, 200);
+    });
+  });
+
+  it("only lets a template's creator or an admin change it", async () => {
+    await withAuthServer(async url => {
+      const issue = async user => (await (await send(`${url}/api/admin/keys`, { headers: asAdmin, body: { user } })).json()).key;
+      const ann = { 'X-API-Key': await issue('ann') };
+      const bob = { 'X-API-Key': await issue('bob') };
+
+      const { template } = await (await send(`${url}/api/templates`, { headers: ann, body: { name: 'Fox', prompt: 'a {{color}} fox' } })).json();
+      assert.equal(template.createdBy, 'ann');
+
+      const edit = await send(`${url}/api/templates/${template.id}`, { method: 'PUT', headers: bob, body: { prompt: '<img src=x>' } });
+      assert.equal(edit.status, 403);
+      assert.equal((await edit.json()).error, 'Template belongs to another user');
+      assert.equal((await send(`${url}/api/templates/${template.id}`, { method: 'DELETE', headers: bob })).status, 403);
+      assert.equal((await send(`${url}/api/templates/product-shot`, { method: 'DELETE', headers: bob })).status, 403);
+
+      assert.equal((await send(`${url}/api/templates/${template.id}`, { method: 'PUT', headers: ann, body: { name: 'Red fox' } })).status, 200);
+      assert.equal((await send(`${url}/api/templates/${template.id}`, { method: 'DELETE', headers: asAdmin })).status, 200);
+    });
+  });
+
+  it('only answers CORS for allowed origins once authentication is on', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await fetch(`${url}/api/health`, { headers: { Origin: 'https://elsewhere.example' } });
+      assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    });
+    await withAuthServer(async url => {
+      const response = await fetch(`${url}/api/health`, { headers: { Origin: 'https://elsewhere.example' } });
+      assert.equal(response.headers.get('access-control-allow-origin'), null);
+    });
+  });
+});
+
+describe('rate limits', () => {
+  const limiter = () => createLimiter({ limits: { perMinute: 60, burst: 2, daily: 10, monthly: 0 } });
+
+  it('sends rate limit headers and answers 429 once the bucket is empty', async () => {
+    await withServer(createStubProvider(), async url => {
+      const first = await postJson(`${url}/api/generate-image`, { prompt: 'a fox' });
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get('ratelimit-limit'), '2');
+      assert.equal(first.headers.get('ratelimit-remaining'), '1');
+      assert.equal(first.headers.get('ratelimit-reset'), '1');
+
+      // A batch of two costs two
+      const batch = await postJson(`${url}/api/generate-image`, { prompt: 'a fox', count: 2 });
+      assert.equal(batch.status, 429);
+      assert.equal(batch.headers.get('retry-after'), '1');
+      const body = await batch.json();
+      assert.equal(body.error, 'Rate limit exceeded');
+      assert.equal(body.retryAfter, 1);
+
+      // Jobs and edits count too
+      assert.equal((await postJson(`${url}/api/jobs`, { type: 'generate', prompt: 'a fox' })).status, 202);
+      assert.equal((await postImage(`${url}/api/manipulate-image`, { prompt: 'add a hat' })).status, 429);
+    }, { limiter: limiter(), jobs: createJobQueue() });
+  });
+
+  it('reports the remaining budget at /api/usage', async () => {
+    await withServer(createStubProvider(), async url => {
+      await postJson(`${url}/api/generate-image`, { prompt: 'a fox' });
+      const usage = await (await fetch(`${url}/api/usage`)).json();
+      assert.match(usage.client.ip, /127\.0\.0\.1/);
+      assert.deepEqual([usage.rate.remaining, usage.daily.used, usage.daily.remaining, usage.monthly], [1, 1, 9, null]);
+    }, { limiter: limiter() });
+  });
+});
+
+describe('/api/stats', () => {
+  it('reports the tokens of past generations', async () => {
+    const usageMetadata = { promptTokenCount: 5, candidatesTokenCount: 1290, totalTokenCount: 1295, candidatesTokensDetails: [{ modality: 'IMAGE', tokenCount: 1290 }] };
+    const provider = createStubProvider({ chunks: [textChunk('Sketching'), { ...imageChunk(), usageMetadata }] });
+
+    await withServer(provider, async url => {
+      const generated = await (await postJson(`${url}/api/generate-image`, { prompt: 'a fox' })).json();
+      assert.equal(generated.usage.imageTokens, 1290);
+
+      const stats = await (await fetch(`${url}/api/stats`)).json();
+      assert.deepEqual([stats.totals.calls, stats.totals.totalTokens], [1, 1295]);
+      assert.deepEqual(stats.byMode.map(group => group.mode), ['generate']);
+
+      assert.equal((await fetch(`${url}/api/stats?to=soon`)).status, 400);
+    });
+  });
+});
+
+describe('/api/history', () => {
+  it('records generations and searches them by prompt', async () => {
+    await withServer(createStubProvider(), async url => {
+      await postJson(`${url}/api/generate-image`, { prompt: 'a red fox' });
+      await postImage(`${url}/api/manipulate-image`, { prompt: 'add snow' });
+
+      const all = await (await fetch(`${url}/api/history`)).json();
+      assert.equal(all.total, 2);
+      assert.deepEqual(all.entries.map(entry => entry.mode), ['manipulate', 'generate']);
+
+      const found = await (await fetch(`${url}/api/history?q=FOX`)).json();
+      assert.equal(found.total, 1);
+      assert.equal(found.entries[0].prompt, 'a red fox');
+      assert.equal(found.entries[0].model, 'stub-model');
+      assert.match(found.entries[0].outputs[0].url, /^\/memory\/text_to_image_/);
+    });
+  });
+
+  it('gets and deletes single entries', async () => {
+    await withServer(createStubProvider(), async url => {
+      await postJson(`${url}/api/generate-image`, { prompt: 'a red fox' });
+      const [{ id }] = (await (await fetch(`${url}/api/history`)).json()).entries;
+
+      const entry = await (await fetch(`${url}/api/history/${id}`)).json();
+      assert.equal(entry.prompt, 'a red fox');
+
+      const deleted = await fetch(`${url}/api/history/${id}`, { method: 'DELETE' });
+      assert.deepEqual(await deleted.json(), { success: true, id });
+
+      const missing = await fetch(`${url}/api/history/${id}`);
+      assert.equal(missing.status, 404);
+    });
+  });
+
+  it('rejects invalid dates', async () => {
+    await withServer(createStubProvider(), async url => {
+      const response = await fetch(`${url}/api/history?from=yesterday`);
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), { error: 'from must be a valid date', code: 'INVALID_REQUEST', retryable: false });
+    });
+  });
+});
+
+describe('/api/templates', () => {
+  function sendJson(url, method, body) {
+    return fetch(url, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  }
+
+  it('lists the built-in templates for a tab', async () => {
+    await withServer(createStubProvider(), async url => {
+      const { templates } = await (await fetch(`${url}/api/templates?mode=manipulate`)).json();
+      assert.deepEqual(templates.map(template => template.id), ['restyle']);
+      assert.deepEqual(templates[0].variables, ['style', 'palette', 'subject']);
+    });
+  });
+
+  it('creates, renders, updates and deletes templates', async () => {
+    await withServer(createStubProvider(), async url => {
+      const created = await sendJson(`${url}/api/templates`, 'POST', {
+        name: 'Poster',
+        prompt: 'A poster of {{subject}} in {{palette}}',
+        defaults: { palette: 'black and gold' },
+      });
+      assert.equal(created.status, 200);
+      const { template } = await created.json();
+      assert.deepEqual(template.variables, ['subject', 'palette']);
+
+      const rendered = await sendJson(`${url}/api/templates/${template.id}/render`, 'POST', { variables: { subject: 'a fox' } });
+      assert.deepEqual(await rendered.json(), { templateId: template.id, prompt: 'A poster of a fox in black and gold' });
+
+      const updated = await sendJson(`${url}/api/templates/${template.id}`, 'PUT', { name: 'Gig poster' });
+      assert.equal((await updated.json()).template.name, 'Gig poster');
+      assert.equal((await (await fetch(`${url}/api/templates/${template.id}`)).json()).prompt, 'A poster of {{subject}} in {{palette}}');
+
+      assert.equal((await fetch(`${url}/api/templates/${template.id}`, { method: 'DELETE' })).status, 200);
+      const missing = await fetch(`${url}/api/templates/${template.id}`);
+      assert.equal(missing.status, 404);
+      assert.equal((await missing.json()).error, 'Template not found');
+    });
+  });
+
+  it('rejects invalid templates and missing variables', async () => {
+    await withServer(createStubProvider(), async url => {
+      const invalid = await sendJson(`${url}/api/templates`, 'POST', { name: 'Empty' });
+      assert.equal(invalid.status, 400);
+      assert.equal((await invalid.json()).error, 'Template prompt is required');
+
+      const rendered = await sendJson(`${url}/api/templates/product-shot/render`, 'POST', { variables: {} });
+      assert.equal(rendered.status, 400);
+      assert.deepEqual(await rendered.json(), { error: 'Missing template variables', code: 'INVALID_REQUEST', retryable: false, details: 'Provide a value for: subject' });
+    });
+  });
+});
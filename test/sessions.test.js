@@ -0,0 +1,183 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_HISTORY_TURNS,
+  continueSession,
+  createMemorySessionStore,
+  deleteSession,
+  getSession,
+  startSession,
+} from '../lib/sessions.js';
+import { createModelRegistry } from '../lib/models.js';
+import { NORMALIZED_PNG_BASE64, PNG_BYTES, apiError, createMemorySink, createStubProvider, imageChunk, textChunk } from './helpers.js';
+
+const image = { buffer: PNG_BYTES, mimeType: 'image/png', name: 'photo.png' };
+
+function setup(providerOptions) {
+  const store = createMemorySessionStore();
+  const provider = createStubProvider(providerOptions);
+  return { store, provider, options: { store, provider, sink: createMemorySink() } };
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('edit sessions', () => {
+  it('starts a session with the uploaded image', async () => {
+    const { provider, options } = setup();
+    const data = await startSession({ prompt: 'add a hat', image }, options);
+
+    assert.equal(data.turn, 1);
+    assert.equal(data.prompt, 'add a hat');
+    assert.equal(data.results.length, 2);
+    assert.deepEqual(data.originalImage, { name: 'photo.png', size: PNG_BYTES.length, mimeType: 'image/png' });
+
+    const [userContent] = provider.calls[0].contents;
+    assert.equal(userContent.parts[0].text, 'Based on the uploaded image, add a hat');
+    assert.equal(userContent.parts[1].inlineData.data, NORMALIZED_PNG_BASE64);
+  });
+
+  it('sends the full history, including prior model images, with follow-ups', async () => {
+    const { provider, options } = setup({ chunks: [textChunk('Here it is'), imageChunk()] });
+    const { sessionId } = await startSession({ prompt: 'add a hat', image }, options);
+    const data = await continueSession({ sessionId, prompt: 'make it warmer' }, options);
+
+    assert.equal(data.turn, 2);
+    const contents = provider.calls[1].contents;
+    assert.deepEqual(contents.map(content => content.role), ['user', 'model', 'user']);
+    assert.deepEqual(contents[1].parts, [
+      { text: 'Here it is' },
+      { inlineData: { mimeType: 'image/png', data: PNG_BYTES.toString('base64') } },
+    ]);
+    assert.equal(contents[2].parts[0].text, 'Now, starting from your most recent image, make it warmer');
+  });
+
+  it('keeps every turn of a masked session inside the mask', async () => {
+    const { provider, options } = setup();
+    const { sessionId } = await startSession({ prompt: 'add a hat', image, mask: image }, options);
+    await continueSession({ sessionId, prompt: 'make it red' }, options);
+
+    assert.equal(provider.calls[0].contents[0].parts.length, 4);
+    assert.match(provider.calls[1].contents[2].parts[0].text, /make it red Again, only change the area that is white in the mask\.$/);
+    // Both turns were composited, and the model history holds the composited image
+    assert.equal(options.sink.saved.length, 2);
+    const [first] = options.sink.saved;
+    assert.equal(provider.calls[1].contents[1].parts[1].inlineData.data, first.buffer.toString('base64'));
+  });
+
+  it('applies the session options to every turn until a follow-up replaces them', async () => {
+    const { provider, options } = setup();
+    const started = await startSession({ prompt: 'add a hat', image, options: '{"temperature":0.2,"aspectRatio":"4:5"}' }, options);
+    assert.deepEqual(started.options, { temperature: 0.2, aspectRatio: '4:5' });
+
+    await continueSession({ sessionId: started.sessionId, prompt: 'make it red' }, options);
+    const changed = await continueSession({ sessionId: started.sessionId, prompt: 'now blue', options: { temperature: 1 } }, options);
+
+    assert.deepEqual(provider.calls.map(call => call.config.temperature), [0.2, 0.2, 1]);
+    assert.match(provider.calls[1].contents[2].parts[0].text, /make it red\n\nAspect ratio: 4:5$/);
+    assert.equal(provider.calls[2].contents[4].parts[0].text, 'Now, starting from your most recent image, now blue');
+    assert.deepEqual(changed.options, { temperature: 1 });
+  });
+
+  it('keeps the session model until a follow-up picks another', async () => {
+    const { provider, options } = setup();
+    options.models = createModelRegistry({
+      models: [{ id: 'stub-a', provider: 'stub' }, { id: 'stub-b', provider: 'stub' }]
+    });
+
+    const { sessionId, model } = await startSession({ prompt: 'add a hat', image }, options);
+    assert.equal(model, 'stub-a');
+    await continueSession({ sessionId, prompt: 'make it red' }, options);
+    await continueSession({ sessionId, prompt: 'now blue', model: 'stub-b' }, options);
+    await assert.rejects(continueSession({ sessionId, prompt: 'again', model: 'stub-c' }, options), { status: 400 });
+
+    assert.deepEqual(provider.calls.map(call => call.model), ['stub-a', 'stub-a', 'stub-b']);
+  });
+
+  it('lists the edit chain', async () => {
+    const { options } = setup();
+    const { sessionId } = await startSession({ prompt: 'add a hat', image }, options);
+    await continueSession({ sessionId, prompt: 'make it warmer' }, options);
+
+    const session = await getSession(sessionId, options);
+    assert.equal(session.sessionId, sessionId);
+    assert.deepEqual(session.turns.map(turn => [turn.turn, turn.prompt]), [[1, 'add a hat'], [2, 'make it warmer']]);
+    assert.equal(session.contents, undefined);
+  });
+
+  it('keeps the first turn and the most recent ones', async () => {
+    const { provider, options } = setup();
+    const { sessionId } = await startSession({ prompt: 'turn 1', image }, options);
+    for (let turn = 2; turn <= MAX_HISTORY_TURNS + 2; turn++) {
+      await continueSession({ sessionId, prompt: `turn ${turn}` }, options);
+    }
+
+    const contents = provider.calls.at(-1).contents;
+    assert.equal(contents.length, MAX_HISTORY_TURNS * 2 + 1);
+    assert.equal(contents[0].parts[0].text, 'Based on the uploaded image, turn 1');
+    assert.match(contents.at(-1).parts[0].text, new RegExp(`turn ${MAX_HISTORY_TURNS + 2}$`));
+  });
+
+  it('does not keep a session whose first turn failed', async () => {
+    const { store, options } = setup({ error: apiError(429) });
+    const set = mock.method(store, 'set');
+    await assert.rejects(startSession({ prompt: 'add a hat', image }, options), { status: 429 });
+
+    assert.equal(set.mock.callCount(), 0);
+  });
+
+  it('rejects follow-ups while a turn is running', async () => {
+    const { options } = setup();
+    const { sessionId } = await startSession({ prompt: 'add a hat', image }, options);
+
+    const first = continueSession({ sessionId, prompt: 'warmer' }, options);
+    await assert.rejects(continueSession({ sessionId, prompt: 'cooler' }, options), { status: 409 });
+    await first;
+  });
+
+  it('reports unknown sessions as 404', async () => {
+    const { options } = setup();
+    await assert.rejects(continueSession({ sessionId: 'nope', prompt: 'x' }, options), { status: 404 });
+    await assert.rejects(getSession('nope', options), { status: 404 });
+    await assert.rejects(deleteSession('nope', options), { status: 404 });
+  });
+
+  it('deletes sessions', async () => {
+    const { options } = setup();
+    const { sessionId } = await startSession({ prompt: 'add a hat', image }, options);
+    assert.deepEqual(await deleteSession(sessionId, options), { success: true, sessionId });
+    await assert.rejects(getSession(sessionId, options), { status: 404 });
+  });
+
+  it('validates the prompt and image', async () => {
+    const { options } = setup();
+    await assert.rejects(startSession({ image }, options), { status: 400, message: 'Prompt is required' });
+    await assert.rejects(startSession({ prompt: 'x' }, options), { status: 400, message: 'Image file is required' });
+  });
+});
+
+describe('createMemorySessionStore', () => {
+  it('expires idle sessions', async () => {
+    const store = createMemorySessionStore({ ttlMs: 1000 });
+    await store.set('old', { updatedAt: Date.now() - 2000 });
+    await store.set('fresh', { updatedAt: Date.now() });
+
+    assert.equal(await store.get('old'), null);
+    assert.ok(await store.get('fresh'));
+  });
+
+  it('evicts the least recently saved session when full', async () => {
+    const store = createMemorySessionStore({ maxSessions: 2 });
+    await store.set('a', { updatedAt: Date.now() });
+    await store.set('b', { updatedAt: Date.now() });
+    await store.set('a', { updatedAt: Date.now() });
+    await store.set('c', { updatedAt: Date.now() });
+
+    assert.equal(await store.get('b'), null);
+    assert.ok(await store.get('a'));
+    assert.ok(await store.get('c'));
+  });
+});
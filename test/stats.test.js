@@ -0,0 +1,160 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runModel } from '../lib/core.js';
+import { createModelRegistry } from '../lib/models.js';
+import { createJsonStatsStore, createMemoryStatsStore, estimateCost, getStats, tokenUsage } from '../lib/stats.js';
+import { apiError, createMemorySink, createStubProvider, imageChunk, textChunk } from './helpers.js';
+
+// What Gemini reports for a prompt with one generated image
+const usageMetadata = {
+  promptTokenCount: 12,
+  candidatesTokenCount: 1300,
+  totalTokenCount: 1312,
+  candidatesTokensDetails: [{ modality: 'TEXT', tokenCount: 10 }, { modality: 'IMAGE', tokenCount: 1290 }]
+};
+
+const models = createModelRegistry({
+  models: [
+    { id: 'priced', provider: 'stub', pricing: { input: 1, output: 2, imageOutput: 30 } },
+    { id: 'free', provider: 'stub' }
+  ]
+});
+
+const ann = { name: 'ann', role: 'user', keyId: 'k1' };
+const admin = { name: 'admin', role: 'admin', keyId: 'admin' };
+
+function call(overrides = {}) {
+  return {
+    day: '2026-05-01',
+    user: 'ann',
+    mode: 'generate',
+    model: 'priced',
+    provider: 'stub',
+    calls: 1,
+    failures: 0,
+    latencyMs: 100,
+    ...tokenUsage(usageMetadata),
+    ...overrides
+  };
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('tokenUsage', () => {
+  it('reads prompt, candidate and image tokens', () => {
+    assert.deepEqual(tokenUsage(usageMetadata), { promptTokens: 12, candidateTokens: 1300, imageTokens: 1290, totalTokens: 1312 });
+    assert.equal(tokenUsage(undefined), null);
+  });
+});
+
+describe('estimateCost', () => {
+  it('prices prompt, text and image tokens per million', () => {
+    assert.equal(estimateCost({ promptTokens: 1e6, candidateTokens: 2e6, imageTokens: 1e6 }, { input: 1, output: 2, imageOutput: 30 }), 33);
+    // Images cost the output price unless priced separately
+    assert.equal(estimateCost({ promptTokens: 0, candidateTokens: 1e6, imageTokens: 1e6 }, { output: 2 }), 2);
+    assert.equal(estimateCost({ promptTokens: 1, candidateTokens: 1, imageTokens: 0 }, undefined), null);
+  });
+});
+
+describe('runModel accounting', () => {
+  const contents = [{ role: 'user', parts: [{ text: 'x' }] }];
+
+  it('records the tokens, latency and model of each call', async () => {
+    const stats = createMemoryStatsStore();
+    const provider = createStubProvider({ chunks: [textChunk('Sketching'), { ...imageChunk(), usageMetadata }] });
+
+    const output = await runModel(contents, { sink: createMemorySink(), provider, stats, mode: 'generate', model: 'priced', user: ann }, 'test');
+    assert.deepEqual(output.usage, tokenUsage(usageMetadata));
+
+    const [row] = await stats.all();
+    assert.equal(row.day, new Date().toISOString().slice(0, 10));
+    assert.deepEqual(
+      [row.user, row.mode, row.model, row.provider, row.calls, row.failures, row.imageTokens],
+      ['ann', 'generate', 'priced', 'stub', 1, 0, 1290]
+    );
+    assert.ok(row.latencyMs >= 0);
+  });
+
+  it('counts failed calls without tokens', async () => {
+    const stats = createMemoryStatsStore();
+    const provider = createStubProvider({ error: apiError(400) });
+
+    await assert.rejects(runModel(contents, { sink: createMemorySink(), provider, stats, mode: 'edit' }, 'test'));
+    const [row] = await stats.all();
+    assert.deepEqual([row.user, row.mode, row.model, row.calls, row.failures, row.totalTokens], [null, 'edit', 'stub-model', 1, 1, 0]);
+  });
+});
+
+describe('getStats', () => {
+  async function seeded() {
+    const stats = createMemoryStatsStore();
+    await stats.add(call());
+    await stats.add(call({ latencyMs: 300 }));
+    await stats.add(call({ day: '2026-05-02', user: 'bob', mode: 'manipulate' }));
+    await stats.add(call({ day: '2026-05-02', model: 'free' }));
+    await stats.add(call({ day: '2026-03-01' }));
+    return stats;
+  }
+
+  it('adds up usage per day, user, mode and model with an estimated cost', async () => {
+    const result = await getStats({ from: '2026-05-01', to: '2026-05-31' }, { stats: await seeded(), models });
+
+    assert.equal(result.currency, 'USD');
+    assert.equal(result.totals.calls, 4);
+    assert.equal(result.totals.imageTokens, 4 * 1290);
+    assert.equal(result.totals.averageLatencyMs, 150);
+    // Three priced calls at 12 prompt, 10 text and 1290 image tokens each
+    assert.equal(result.totals.estimatedCost, Math.round(3 * (12 * 1 + 10 * 2 + 1290 * 30)) / 1e6);
+    assert.equal(result.totals.unpricedCalls, 1);
+
+    assert.deepEqual(result.byDay.map(group => [group.day, group.calls]), [['2026-05-01', 2], ['2026-05-02', 2]]);
+    assert.deepEqual(result.byUser.map(group => [group.user, group.calls]), [['ann', 3], ['bob', 1]]);
+    assert.deepEqual(result.byMode.map(group => [group.mode, group.calls]), [['generate', 3], ['manipulate', 1]]);
+    assert.deepEqual(result.byModel.map(group => [group.model, group.calls]), [['priced', 3], ['free', 1]]);
+  });
+
+  it('defaults to the last 30 days', async () => {
+    const result = await getStats({}, { stats: await seeded(), models, now: Date.UTC(2026, 4, 20) });
+    assert.deepEqual([result.from, result.to, result.totals.calls], ['2026-04-21', '2026-05-20', 4]);
+  });
+
+  it("shows users only their own usage, and admins anyone's", async () => {
+    const stats = await seeded();
+    const range = { from: '2026-05-01', to: '2026-05-31' };
+
+    assert.deepEqual((await getStats({ ...range, user: 'bob' }, { stats, models, user: ann })).byUser.map(group => group.user), ['ann']);
+    assert.deepEqual((await getStats({ ...range, user: 'bob' }, { stats, models, user: admin })).byUser.map(group => group.user), ['bob']);
+    assert.equal((await getStats({ ...range, mode: 'manipulate' }, { stats, models, user: admin })).totals.calls, 1);
+  });
+
+  it('rejects malformed dates', async () => {
+    await assert.rejects(getStats({ from: 'last week' }, { stats: createMemoryStatsStore(), models }), { status: 400, message: 'from must be a date (YYYY-MM-DD)' });
+  });
+});
+
+describe('createJsonStatsStore', () => {
+  it('keeps one row per day, user, mode and model across store instances', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'stats-'));
+    const filePath = path.join(dir, 'nested', 'stats.json');
+    try {
+      const store = createJsonStatsStore(filePath);
+      await Promise.all([store.add(call()), store.add(call()), store.add(call({ mode: 'compose' }))]);
+
+      const saved = JSON.parse(await readFile(filePath, 'utf8'));
+      assert.deepEqual(saved.rows.map(row => [row.mode, row.calls, row.totalTokens]), [['generate', 2, 2624], ['compose', 1, 1312]]);
+
+      const reopened = createJsonStatsStore(filePath);
+      assert.equal((await reopened.all()).length, 2);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
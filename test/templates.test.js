@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_TEMPLATES,
+  createJsonTemplateStore,
+  createMemoryTemplateStore,
+  createTemplate,
+  expandTemplate,
+  listTemplates,
+  renderTemplate,
+  templateVariables,
+  updateTemplate,
+} from '../lib/templates.js';
+
+describe('templateVariables', () => {
+  it('lists each variable once, in order', () => {
+    assert.deepEqual(templateVariables('{{subject}} by {{ artist }}, {{subject}} again, {{not a var}}'), ['subject', 'artist']);
+  });
+});
+
+describe('expandTemplate', () => {
+  it('fills values, then defaults', () => {
+    assert.equal(
+      expandTemplate('{{subject}} in {{ palette }}', { subject: ' a fox ' }, { palette: 'teal' }),
+      'a fox in teal'
+    );
+  });
+
+  it('reports every missing variable', () => {
+    assert.throws(() => expandTemplate('{{a}} {{b}} {{c}}', { b: 'x', c: '  ' }), {
+      status: 400,
+      message: 'Missing template variables',
+      details: 'Provide a value for: a, c',
+    });
+  });
+});
+
+describe('template CRUD', () => {
+  it('validates fields and drops unused defaults', async () => {
+    const templates = createMemoryTemplateStore([]);
+    const { template } = await createTemplate(
+      { name: '  Poster ', prompt: 'A poster of {{subject}}', mode: 'generate', defaults: { subject: 'a fox', palette: 'red' } },
+      { templates }
+    );
+
+    assert.equal(template.name, 'Poster');
+    assert.deepEqual(template.defaults, { subject: 'a fox' });
+    await assert.rejects(createTemplate({ name: 'x', prompt: 'y', mode: 'edit' }, { templates }), /mode must be one of: any, generate, manipulate/);
+    await assert.rejects(createTemplate({ name: 'x', prompt: 'y', defaults: { a: 1 } }, { templates }), /defaults must be an object of strings/);
+    await assert.rejects(updateTemplate(template.id, { name: '' }, { templates }), { status: 400, message: 'Template name is required' });
+  });
+
+  it('includes templates for any tab when filtering by mode', async () => {
+    const templates = createMemoryTemplateStore([]);
+    await createTemplate({ name: 'B', prompt: 'b', mode: 'manipulate' }, { templates });
+    await createTemplate({ name: 'A', prompt: 'a' }, { templates });
+
+    const { templates: listed } = await listTemplates({ mode: 'manipulate' }, { templates });
+    assert.deepEqual(listed.map(template => [template.name, template.mode]), [['A', 'any'], ['B', 'manipulate']]);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('treats null and undefined values as missing', async () => {
+    const options = { templates: createMemoryTemplateStore() };
+    const { prompt } = await renderTemplate('product-shot', { variables: { subject: 'a mug', palette: null } }, options);
+    assert.match(prompt, /of a mug .* neutral color palette/);
+    await assert.rejects(renderTemplate('product-shot', { variables: { subject: null } }, options), {
+      status: 400,
+      details: 'Provide a value for: subject'
+    });
+  });
+});
+
+describe('createJsonTemplateStore', () => {
+  it('starts from the defaults and persists changes', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'templates-'));
+    const filePath = path.join(dir, 'nested', 'templates.json');
+    try {
+      const store = createJsonTemplateStore(filePath);
+      assert.equal((await store.all()).length, DEFAULT_TEMPLATES.length);
+
+      const { template } = await createTemplate({ name: 'Poster', prompt: 'A poster of {{subject}}' }, { templates: store });
+      await store.delete('watercolor');
+
+      const saved = JSON.parse(await readFile(filePath, 'utf8'));
+      assert.equal(saved.templates.some(entry => entry.id === 'watercolor'), false);
+      assert.equal(saved.templates[0].variables, undefined);
+
+      const reopened = createJsonTemplateStore(filePath);
+      assert.equal((await reopened.get(template.id)).name, 'Poster');
+      assert.equal(await reopened.get('watercolor'), null);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});